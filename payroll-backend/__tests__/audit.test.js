@@ -0,0 +1,207 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { logAudit, diffChanges } = require('../utils/auditLogger');
+
+const companyRoutes = require('../routes/companies');
+const employeeRoutes = require('../routes/employees');
+const auditRoutes = require('../routes/audit');
+
+const app = express();
+app.use(express.json());
+app.use('/api/companies', companyRoutes);
+app.use('/api/employees', employeeRoutes);
+app.use('/api/audit', auditRoutes);
+
+describe('Audit Log', () => {
+  let accountantToken, otherAccountantToken, clientToken;
+  let accountantUserId, companyId, otherCompanyId, employeeId;
+
+  const createAccountant = async (email) => {
+    const user = await db.query(
+      'INSERT INTO users (email, password, user_type, is_verified) VALUES ($1, $2, $3, $4) RETURNING user_id',
+      [email, 'not-a-real-hash', 'accountant', true]
+    );
+    const accountant = await db.query(
+      'INSERT INTO accountants (user_id, first_name, last_name) VALUES ($1, $2, $3) RETURNING accountant_id',
+      [user.rows[0].user_id, 'Audit', 'Accountant']
+    );
+    return { userId: user.rows[0].user_id, accountantId: accountant.rows[0].accountant_id };
+  };
+
+  beforeAll(async () => {
+    const accountant = await createAccountant('auditor@test.com');
+    const otherAccountant = await createAccountant('other.auditor@test.com');
+    accountantUserId = accountant.userId;
+
+    const company = await db.query(
+      `INSERT INTO companies (company_name, contact_person, phone, address, accountant_id)
+       VALUES ($1, $2, $3, $4, $5) RETURNING company_id`,
+      ['Audited Co', 'Ada Audit', '4165550101', '1 Ledger Lane', accountant.accountantId]
+    );
+    companyId = company.rows[0].company_id;
+    const otherCompany = await db.query(
+      `INSERT INTO companies (company_name, contact_person, phone, address, accountant_id)
+       VALUES ($1, $2, $3, $4, $5) RETURNING company_id`,
+      ['Elsewhere Co', 'Eli Where', '4165550102', '2 Ledger Lane', otherAccountant.accountantId]
+    );
+    otherCompanyId = otherCompany.rows[0].company_id;
+
+    const employee = await db.query(
+      `INSERT INTO employees (
+        company_id, last_name, first_name, date_of_birth, full_address, email,
+        phone_number, sin, start_date, position, pay_type, pay_rate,
+        pay_schedule, consent_electronic_documents
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+      [companyId, 'Trail', 'Paige', '1990-03-03', '3 Ledger Lane', 'paige.trail@test.com',
+       '5555555555', '123456789', '2024-01-01', 'Clerk', 'SALARY', 50000, 'BIWEEKLY', false]
+    );
+    employeeId = employee.rows[0].employee_id;
+
+    accountantToken = jwt.sign(
+      { userId: accountant.userId, userType: 'accountant', accountantId: accountant.accountantId },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+    otherAccountantToken = jwt.sign(
+      { userId: otherAccountant.userId, userType: 'accountant', accountantId: otherAccountant.accountantId },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+    clientToken = jwt.sign(
+      { userId: accountant.userId + 100, userType: 'client', companyId },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  describe('Field diffs', () => {
+    it('should record only changed fields and redact sensitive values', () => {
+      const before = { pay_rate: '50000.00', sin: '123456789', position: 'Clerk', updated_at: new Date('2024-01-01') };
+      const after = { pay_rate: '52000.00', sin: '987654321', position: 'Clerk', updated_at: new Date('2024-02-01') };
+      expect(diffChanges(before, after)).toEqual({
+        pay_rate: { before: '50000.00', after: '52000.00' },
+        sin: { before: '[REDACTED]', after: '[REDACTED]' }
+      });
+    });
+
+    it('should record every field of a created or deleted record', () => {
+      expect(diffChanges(null, { name: 'New', start_date: new Date('2024-05-01T00:00:00Z') })).toEqual({
+        name: { before: null, after: 'New' },
+        start_date: { before: null, after: '2024-05-01T00:00:00.000Z' }
+      });
+      expect(diffChanges({ name: 'Old' }, null)).toEqual({ name: { before: 'Old', after: null } });
+      expect(diffChanges({ name: 'Same' }, { name: 'Same' })).toBeNull();
+    });
+  });
+
+  describe('Recording', () => {
+    it('should record an update with the actor, company, changes and IP address', async () => {
+      const res = await request(app)
+        .put(`/api/employees/${employeeId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ pay_rate: 52000, sin: '987654321' });
+      expect(res.statusCode).toEqual(200);
+
+      const log = await db.query('SELECT * FROM audit_log WHERE action = $1', ['update_employee']);
+      expect(log.rows).toHaveLength(1);
+      expect(log.rows[0]).toMatchObject({
+        user_id: accountantUserId,
+        user_role: 'accountant',
+        entity_type: 'employee',
+        entity_id: String(employeeId),
+        company_id: companyId
+      });
+      expect(log.rows[0].changes).toEqual({
+        pay_rate: { before: '50000.00', after: '52000.00' },
+        sin: { before: '[REDACTED]', after: '[REDACTED]' }
+      });
+      expect(log.rows[0].ip_address).toBeTruthy();
+      expect(log.rows[0].created_at).toBeInstanceOf(Date);
+    });
+
+    it('should record creations against the new record', async () => {
+      const res = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_name: 'Fresh Co',
+          contact_person: 'Fay Fresh',
+          email: 'fresh@test.com',
+          phone: '4165550103',
+          address: '4 Ledger Lane'
+        });
+      expect(res.statusCode).toEqual(201);
+
+      const log = await db.query('SELECT * FROM audit_log WHERE action = $1', ['create_company']);
+      expect(log.rows[0]).toMatchObject({ entity_type: 'company', company_id: res.body.company_id });
+      expect(log.rows[0].changes.company_name).toEqual({ before: null, after: 'Fresh Co' });
+    });
+
+    it('should not fail the request when the entry cannot be written', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      await expect(logAudit(accountantUserId, 'accountant', null, 1)).resolves.toBeUndefined();
+      expect(consoleError).toHaveBeenCalledWith('Error in logAudit:', expect.any(Error));
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    beforeAll(async () => {
+      await logAudit(accountantUserId, 'accountant', 'export_t4_xml', otherCompanyId);
+      await db.query(
+        `INSERT INTO audit_log (user_id, user_role, action, entity_type, entity_id, company_id, created_at)
+         VALUES ($1, 'accountant', 'update_pay_calendar', 'pay_calendar', '99', $2, '2023-06-15T12:00:00Z')`,
+        [accountantUserId, companyId]
+      );
+    });
+
+    it('should list entries for the accountant\'s companies, newest first', async () => {
+      const res = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .query({ company_id: companyId });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.totalEntries).toEqual(3);
+      expect(res.body.entries.map(entry => entry.action))
+        .toEqual(['change_compensation', 'update_employee', 'update_pay_calendar']);
+      expect(res.body.entries[0].user_email).toEqual('auditor@test.com');
+    });
+
+    it('should filter by entity, user and date', async () => {
+      const byEntity = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .query({ entity_type: 'employee', entity_id: String(employeeId), user_id: accountantUserId });
+      expect(byEntity.body.entries.map(entry => entry.action)).toEqual(['change_compensation', 'update_employee']);
+
+      const byDate = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .query({ from: '2023-06-01', to: '2023-06-15' });
+      expect(byDate.body.entries.map(entry => entry.action)).toEqual(['update_pay_calendar']);
+    });
+
+    it('should only show another accountant the entries for their own companies', async () => {
+      const res = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${otherAccountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.entries.map(entry => entry.action)).toEqual(['export_t4_xml']);
+
+      const forbidden = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${otherAccountantToken}`)
+        .query({ company_id: companyId });
+      expect(forbidden.statusCode).toEqual(403);
+    });
+
+    it('should be limited to accountants', async () => {
+      const res = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+});
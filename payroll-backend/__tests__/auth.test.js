@@ -22,6 +22,9 @@ const authRoutes = require('../routes/auth');
 const companyRoutes = require('../routes/companies');
 const employeeRoutes = require('../routes/employees');
 const payrollRoutes = require('../routes/payroll');
+const { buildPayStub } = require('../utils/payStub');
+const { calculatePayroll } = require('../utils/payrollCalculator');
+const { toISODate } = require('../utils/payCalendar');
 
 // Create test app
 const app = express();
@@ -31,6 +34,13 @@ app.use('/api/companies', companyRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/payroll', payrollRoutes);
 
+// Collect binary responses (PDFs, zips) into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
 describe('API Routes', () => {
   let accountantToken, clientToken, companyId, employeeId, payrollId, accountantId, clientUserId;
   let testFilesDir;
@@ -749,13 +759,129 @@ describe('API Routes', () => {
             pay_period_end: '2023-01-31',
             hours_worked: 80,
             overtime_hours: 5,
-            gross_pay: 2500,
-            deductions: 500,
-            net_pay: 2000,
             payment_date: '2023-02-05'
           });
         expect(res.statusCode).toEqual(201);
         expect(res.body).toHaveProperty('payroll_id');
+        // Salaried at 50,000 biweekly: the employee update tests' raises take effect on the day they were made
+        expect(res.body.gross_pay).toEqual('1923.08');
+        expect(res.body.deduction_lines.map(line => line.deduction_type))
+          .toEqual(['CPP', 'EI', 'FEDERAL_TAX', 'PROVINCIAL_TAX']);
+        const totalDeductions = res.body.deduction_lines.reduce((sum, line) => sum + parseFloat(line.amount), 0);
+        expect(parseFloat(res.body.net_pay)).toBeCloseTo(1923.08 - totalDeductions, 2);
+      });
+
+      it('should ignore caller-supplied pay amounts when creating a payroll entry', async () => {
+        const res = await request(app)
+          .post('/api/payroll')
+          .set('Authorization', `Bearer ${accountantToken}`)
+          .send({
+            employee_id: employeeId,
+            pay_period_start: '2023-03-01',
+            pay_period_end: '2023-03-14',
+            hours_worked: 80,
+            overtime_hours: 0,
+            gross_pay: 99999,
+            deductions: 0,
+            net_pay: 99999,
+            payment_date: '2023-03-17'
+          });
+        expect(res.statusCode).toEqual(201);
+        expect(res.body.gross_pay).toEqual('1923.08');
+      });
+
+      describe('Deduction Lines', () => {
+        let itemizedPayrollId;
+
+        it('should add caller-supplied deduction lines to the calculated ones', async () => {
+          const res = await request(app)
+            .post('/api/payroll')
+            .set('Authorization', `Bearer ${accountantToken}`)
+            .send({
+              employee_id: employeeId,
+              pay_period_start: '2023-03-15',
+              pay_period_end: '2023-03-28',
+              hours_worked: 80,
+              overtime_hours: 0,
+              payment_date: '2023-03-31',
+              deduction_lines: [
+                { deduction_type: 'RRSP', amount: 100, employer_amount: 50, is_pre_tax: true },
+                { deduction_type: 'GARNISHMENT', amount: 75.5 }
+              ]
+            });
+          expect(res.statusCode).toEqual(201);
+          itemizedPayrollId = res.body.payroll_id;
+
+          const rrsp = res.body.deduction_lines.find(line => line.deduction_type === 'RRSP');
+          expect(rrsp).toMatchObject({ amount: '100.00', employer_amount: '50.00', is_pre_tax: true });
+          const total = res.body.deduction_lines.reduce((sum, line) => sum + parseFloat(line.amount), 0);
+          expect(parseFloat(res.body.deductions)).toBeCloseTo(total, 2);
+          expect(parseFloat(res.body.net_pay)).toBeCloseTo(parseFloat(res.body.gross_pay) - total, 2);
+        });
+
+        it('should reject caller-supplied statutory deductions', async () => {
+          const res = await request(app)
+            .post('/api/payroll')
+            .set('Authorization', `Bearer ${accountantToken}`)
+            .send({
+              employee_id: employeeId,
+              pay_period_start: '2023-03-15',
+              pay_period_end: '2023-03-28',
+              hours_worked: 80,
+              overtime_hours: 0,
+              payment_date: '2023-03-31',
+              deduction_lines: [{ deduction_type: 'CPP', amount: 10 }]
+            });
+          expect(res.statusCode).toEqual(400);
+        });
+
+        it('should return deduction lines with a single payroll entry', async () => {
+          const res = await request(app)
+            .get(`/api/payroll/${itemizedPayrollId}`)
+            .set('Authorization', `Bearer ${accountantToken}`);
+          expect(res.statusCode).toEqual(200);
+          expect(res.body.deduction_lines).toHaveLength(6);
+        });
+
+        it('should return deduction lines in the company listing', async () => {
+          const res = await request(app)
+            .get(`/api/payroll/company/${companyId}`)
+            .set('Authorization', `Bearer ${accountantToken}`)
+            .query({ limit: 100 });
+          expect(res.statusCode).toEqual(200);
+          const entry = res.body.payrollEntries.find(e => e.payroll_id === itemizedPayrollId);
+          expect(entry.deduction_lines).toHaveLength(6);
+        });
+
+        it('should reject pay amounts and statutory deductions supplied on update', async () => {
+          const amountsRes = await request(app)
+            .put(`/api/payroll/${itemizedPayrollId}`)
+            .set('Authorization', `Bearer ${accountantToken}`)
+            .send({ gross_pay: 3000, net_pay: 2500 });
+          expect(amountsRes.statusCode).toEqual(400);
+          expect(amountsRes.body.errors.map(error => error.path)).toEqual(['gross_pay', 'net_pay']);
+
+          const statutoryRes = await request(app)
+            .put(`/api/payroll/${itemizedPayrollId}`)
+            .set('Authorization', `Bearer ${accountantToken}`)
+            .send({ deduction_lines: [{ deduction_type: 'FEDERAL_TAX', amount: 300 }] });
+          expect(statutoryRes.statusCode).toEqual(400);
+          expect(statutoryRes.body.error).toMatch(/Statutory deductions/);
+        });
+
+        it('should recalculate a draft when its deduction lines are replaced', async () => {
+          const res = await request(app)
+            .put(`/api/payroll/${itemizedPayrollId}`)
+            .set('Authorization', `Bearer ${accountantToken}`)
+            .send({ deduction_lines: [{ deduction_type: 'BENEFIT', amount: 200, is_pre_tax: true }] });
+          expect(res.statusCode).toEqual(200);
+          expect(res.body.gross_pay).toEqual('1923.08');
+          expect(res.body.deduction_lines.map(line => line.deduction_type))
+            .toEqual(['CPP', 'EI', 'FEDERAL_TAX', 'PROVINCIAL_TAX', 'BENEFIT']);
+          const total = res.body.deduction_lines.reduce((sum, line) => sum + parseFloat(line.amount), 0);
+          expect(parseFloat(res.body.deductions)).toBeCloseTo(total, 2);
+          expect(parseFloat(res.body.net_pay)).toBeCloseTo(1923.08 - total, 2);
+        });
       });
 
       it('should be able to get all payroll entries for a company', async () => {
@@ -775,16 +901,16 @@ describe('API Routes', () => {
       });
 
       it('should be able to update a payroll entry', async () => {
+        // The seeded entry's hand-entered amounts are replaced by the calculated ones
         const res = await request(app)
           .put(`/api/payroll/${payrollId}`)
           .set('Authorization', `Bearer ${accountantToken}`)
-          .send({
-            gross_pay: 2600,
-            net_pay: 2100
-          });
+          .send({ deduction_lines: [{ deduction_type: 'GARNISHMENT', amount: 100 }] });
         expect(res.statusCode).toEqual(200);
-        expect(res.body.gross_pay).toEqual('2600.00');
-        expect(res.body.net_pay).toEqual('2100.00');
+        expect(res.body.gross_pay).toEqual('1923.08');
+        const total = res.body.deduction_lines.reduce((sum, line) => sum + parseFloat(line.amount), 0);
+        expect(res.body.deduction_lines.find(line => line.deduction_type === 'GARNISHMENT').amount).toEqual('100.00');
+        expect(parseFloat(res.body.net_pay)).toBeCloseTo(1923.08 - total, 2);
       });
 
       it('should be able to calculate total payroll for a company', async () => {
@@ -830,13 +956,10 @@ describe('API Routes', () => {
         const res = await request(app)
           .put(`/api/payroll/${payrollId}`)
           .set('Authorization', `Bearer ${clientToken}`)
-          .send({
-            gross_pay: 2100,
-            net_pay: 1700
-          });
+          .send({ hours_worked: 70 });
         expect(res.statusCode).toEqual(200);
-        expect(res.body.gross_pay).toEqual('2100.00');
-        expect(res.body.net_pay).toEqual('1700.00');
+        expect(res.body.hours_worked).toEqual('70.00');
+        expect(res.body.deduction_lines.some(line => line.deduction_type === 'GARNISHMENT')).toBe(true);
       });
 
       it('should not be able to update an old payroll entry', async () => {
@@ -852,12 +975,2555 @@ describe('API Routes', () => {
         const res = await request(app)
           .put(`/api/payroll/${oldPayrollId}`)
           .set('Authorization', `Bearer ${clientToken}`)
+          .send({ hours_worked: 70 });
+        expect(res.statusCode).toEqual(403);
+      });
+    });
+  });
+
+  describe('Pay Run Routes', () => {
+    let runId, salariedId, hourlyId, hourlyEntryId, lateHireId;
+
+    const insertEmployee = async (email, payType, payRate) => {
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+        [companyId, 'Runner', email.split('@')[0], '1985-05-05', '1 Run St', email,
+         '5555555555', '111222333', '2024-01-01', 'Staff', payType, payRate, 'WEEKLY', false]
+      );
+      return result.rows[0].employee_id;
+    };
+
+    beforeAll(async () => {
+      salariedId = await insertEmployee('salaried.runner@test.com', 'SALARY', 52000);
+      hourlyId = await insertEmployee('hourly.runner@test.com', 'HOURLY', 20);
+    });
+
+    it('should open a pay run with draft entries for active employees on the schedule', async () => {
+      const res = await request(app)
+        .post('/api/payroll/runs')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_id: companyId,
+          pay_schedule: 'WEEKLY',
+          pay_period_start: '2024-04-01',
+          pay_period_end: '2024-04-07',
+          payment_date: '2024-04-12'
+        });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.status).toEqual('OPEN');
+      expect(res.body.entries).toHaveLength(2);
+      expect(res.body.entries.every(entry => entry.status === 'DRAFT')).toBeTruthy();
+      expect(res.body.missing_employees).toHaveLength(0);
+      runId = res.body.run_id;
+      hourlyEntryId = res.body.entries.find(entry => entry.employee_id === hourlyId).payroll_id;
+      expect(res.body.entries.find(entry => entry.employee_id === salariedId).gross_pay).toEqual('1000.00');
+    });
+
+    it('should not open a second run for the same pay period', async () => {
+      const res = await request(app)
+        .post('/api/payroll/runs')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_id: companyId,
+          pay_schedule: 'WEEKLY',
+          pay_period_start: '2024-04-01',
+          pay_period_end: '2024-04-07',
+          payment_date: '2024-04-12'
+        });
+      expect(res.statusCode).toEqual(409);
+    });
+
+    it('should recalculate an entry when hours are adjusted', async () => {
+      const res = await request(app)
+        .put(`/api/payroll/runs/${runId}/entries/${hourlyEntryId}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ hours_worked: 46 });
+      expect(res.statusCode).toEqual(200);
+      // Ontario overtime starts after 44 hours a week
+      expect(res.body.overtime_hours).toEqual('2.00');
+      expect(res.body.gross_pay).toEqual('940.00');
+      expect(res.body.deduction_lines.length).toBeGreaterThan(0);
+    });
+
+    it('should list pay runs for a company', async () => {
+      const res = await request(app)
+        .get(`/api/payroll/runs/company/${companyId}`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.payRuns.some(run => run.run_id === runId)).toBeTruthy();
+    });
+
+    it('should not let clients finalize a pay run', async () => {
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/finalize`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should refuse to finalize while an employee is missing from the run', async () => {
+      lateHireId = await insertEmployee('late.runner@test.com', 'SALARY', 41600);
+
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.missing_employees.map(employee => employee.employee_id)).toEqual([lateHireId]);
+    });
+
+    it('should add a missing employee to the run', async () => {
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/entries`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ employee_id: lateHireId });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.run_id).toEqual(runId);
+      expect(res.body.gross_pay).toEqual('800.00');
+    });
+
+    it('should only generate EFT files for finalized runs', async () => {
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/eft-files`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(409);
+    });
+
+    it('should finalize and lock the run', async () => {
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.status).toEqual('FINALIZED');
+      expect(res.body.entries).toHaveLength(3);
+      expect(res.body.entries.every(entry => entry.status === 'FINALIZED')).toBeTruthy();
+      expect(res.body.missing_employees).toHaveLength(0);
+    });
+
+    it('should list employees without electronic consent for paper stubs', async () => {
+      const res = await request(app)
+        .get(`/api/payroll/runs/${runId}/stub-deliveries`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.sent).toEqual(0);
+      expect(res.body.paper_stubs.map(stub => stub.employee_id).sort())
+        .toEqual([salariedId, hourlyId, lateHireId].sort());
+      expect(res.body.deliveries.every(delivery => delivery.status === 'PAPER')).toBeTruthy();
+    });
+
+    it('should not allow changes to entries of a finalized run', async () => {
+      const runEntryRes = await request(app)
+        .put(`/api/payroll/runs/${runId}/entries/${hourlyEntryId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ hours_worked: 10 });
+      expect(runEntryRes.statusCode).toEqual(409);
+
+      const entryRes = await request(app)
+        .put(`/api/payroll/${hourlyEntryId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ hours_worked: 10 });
+      expect(entryRes.statusCode).toEqual(409);
+    });
+
+    it('should require banking details before generating an EFT file', async () => {
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/eft-files`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error).toMatch(/banking details/);
+    });
+
+    it('should require originator settings before generating an EFT file', async () => {
+      await db.query(
+        `UPDATE employees SET institution_number = '004', transit_number = '12345', account_number = '9876543'
+         WHERE employee_id = ANY($1)`,
+        [[salariedId, hourlyId, lateHireId]]
+      );
+
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/eft-files`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error).toMatch(/originator settings/);
+    });
+
+    it('should validate direct deposit originator settings', async () => {
+      const res = await request(app)
+        .put(`/api/companies/${companyId}/eft-settings`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ originator_id: 'SHORT', originator_short_name: 'Test Co' });
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should save direct deposit originator settings', async () => {
+      const res = await request(app)
+        .put(`/api/companies/${companyId}/eft-settings`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          originator_id: 'testco0001',
+          originator_short_name: 'Test Co',
+          originator_long_name: 'Test Company Incorporated',
+          destination_data_centre: '00320',
+          return_institution_number: '001',
+          return_transit_number: '00011',
+          return_account_number: '1234567'
+        });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.originator_id).toEqual('TESTCO0001');
+      expect(res.body.transaction_code).toEqual('200');
+    });
+
+    it('should generate a CPA-005 file that balances to the run net pay', async () => {
+      const runRes = await request(app)
+        .get(`/api/payroll/runs/${runId}`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/eft-files`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.file_creation_number).toEqual(1);
+      expect(res.body.credit_count).toEqual(3);
+      expect(res.body.record_count).toEqual(3);
+      expect(res.body.total_amount).toEqual(parseFloat(runRes.body.total_net));
+      expect(res.body.totals_match).toBe(true);
+      expect(res.body.credits.every(credit => credit.account_number === '****6543')).toBeTruthy();
+
+      const fileRes = await request(app)
+        .get(`/api/payroll/runs/${runId}/eft-files/${res.body.file_id}`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(fileRes.statusCode).toEqual(200);
+      const records = fileRes.text.split('\r\n').filter(Boolean);
+      expect(records.map(record => record[0])).toEqual(['A', 'C', 'Z']);
+      expect(records.every(record => record.length === 1464)).toBeTruthy();
+      expect(records[0].slice(10, 24)).toEqual('TESTCO00010001');
+
+      const salaried = runRes.body.entries.find(entry => entry.employee_id === salariedId);
+      const cents = String(Math.round(parseFloat(salaried.net_pay) * 100)).padStart(10, '0');
+      expect(records[1]).toContain(`200${cents}024103000412345`);
+    });
+
+    it('should number each EFT file generated for the company', async () => {
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/eft-files`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.file_creation_number).toEqual(2);
+
+      const listRes = await request(app)
+        .get(`/api/payroll/runs/${runId}/eft-files`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(listRes.body.eftFiles).toHaveLength(2);
+      expect(listRes.body.eftFiles[0].content).toBeUndefined();
+    });
+
+    it('should not let clients generate EFT files', async () => {
+      const res = await request(app)
+        .post(`/api/payroll/runs/${runId}/eft-files`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should itemize earnings, deductions and year-to-date totals on a pay stub', async () => {
+      const entry = (await db.query('SELECT * FROM payroll_entries WHERE payroll_id = $1', [hourlyEntryId])).rows[0];
+      const stub = await buildPayStub(db, entry);
+      expect(stub.earnings).toEqual([
+        { earning_type: 'REGULAR', hours: 44, rate: 20, amount: 880 },
+        { earning_type: 'OVERTIME', hours: 2, rate: 30, amount: 60 }
+      ]);
+      expect(stub.deductions.map(line => line.deduction_type)).toEqual(['CPP', 'EI', 'FEDERAL_TAX', 'PROVINCIAL_TAX']);
+      expect(stub.employee.deposit_account).toEqual('004-12345 ****6543');
+      expect(stub.year_to_date.gross_pay).toEqual(940);
+      expect(stub.year_to_date.net_pay).toEqual(stub.net_pay);
+    });
+
+    it('should download a pay stub as a PDF', async () => {
+      const res = await request(app)
+        .get(`/api/payroll/${hourlyEntryId}/stub`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-type']).toEqual('application/pdf');
+      expect(res.body.slice(0, 4).toString()).toEqual('%PDF');
+    });
+
+    it('should download every pay stub for a pay period as a zip', async () => {
+      const res = await request(app)
+        .get(`/api/payroll/company/${companyId}/stubs?pay_period_start=2024-04-01&pay_period_end=2024-04-07`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-type']).toEqual('application/zip');
+      expect(res.body.slice(0, 2).toString()).toEqual('PK');
+      expect(res.body.toString('latin1')).toContain(`Runner-hourly.runner-${hourlyEntryId}.pdf`);
+
+      const emptyRes = await request(app)
+        .get(`/api/payroll/company/${companyId}/stubs?pay_period_start=2024-05-01&pay_period_end=2024-05-07`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(emptyRes.statusCode).toEqual(404);
+    });
+
+    it('should finalize a standalone payroll entry', async () => {
+      const createRes = await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: hourlyId,
+          pay_period_start: '2024-04-08',
+          pay_period_end: '2024-04-14',
+          hours_worked: 10,
+          overtime_hours: 0,
+          payment_date: '2024-04-19'
+        });
+      expect(createRes.statusCode).toEqual(201);
+
+      const res = await request(app)
+        .post(`/api/payroll/${createRes.body.payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.status).toEqual('FINALIZED');
+      expect(res.body.stub_delivery.paper_stubs.map(stub => stub.employee_id)).toEqual([hourlyId]);
+    });
+
+    describe('Emailed Pay Stubs', () => {
+      let stubEntryId;
+
+      beforeAll(async () => {
+        const createRes = await request(app)
+          .post('/api/payroll')
+          .set('Authorization', `Bearer ${accountantToken}`)
           .send({
-            gross_pay: 2200,
-            net_pay: 1800
+            employee_id: employeeId,
+            pay_period_start: '2024-06-01',
+            pay_period_end: '2024-06-14',
+            payment_date: '2024-06-21'
           });
-        expect(res.statusCode).toEqual(403);
+        stubEntryId = createRes.body.payroll_id;
+      });
+
+      afterAll(async () => {
+        await db.query('UPDATE companies SET pay_stub_password_protected = false WHERE company_id = $1', [companyId]);
+      });
+
+      it('should not email stubs for draft entries', async () => {
+        const res = await request(app)
+          .post(`/api/payroll/${stubEntryId}/stub/email`)
+          .set('Authorization', `Bearer ${clientToken}`);
+        expect(res.statusCode).toEqual(409);
+      });
+
+      it('should email a password-protected stub to a consenting employee on finalization', async () => {
+        const companyRes = await request(app)
+          .put(`/api/companies/${companyId}`)
+          .set('Authorization', `Bearer ${accountantToken}`)
+          .send({ pay_stub_password_protected: true });
+        expect(companyRes.statusCode).toEqual(200);
+        expect(companyRes.body.pay_stub_password_protected).toBe(true);
+
+        mockSendEmail.mockClear();
+        const res = await request(app)
+          .post(`/api/payroll/${stubEntryId}/finalize`)
+          .set('Authorization', `Bearer ${accountantToken}`);
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.stub_delivery.sent).toEqual(1);
+        expect(res.body.stub_delivery.paper_stubs).toHaveLength(0);
+
+        const delivery = res.body.stub_delivery.deliveries[0];
+        expect(delivery.status).toEqual('SENT');
+        expect(delivery.password_protected).toBe(true);
+        expect(delivery.attempts).toEqual(1);
+
+        expect(mockSendEmail).toHaveBeenCalledTimes(1);
+        const [to, subject, text, , attachments] = mockSendEmail.mock.calls[0];
+        expect(to).toEqual(delivery.email);
+        expect(subject).toContain('2024-06-01');
+        expect(text).toContain('date of birth');
+        expect(attachments[0].contentType).toEqual('application/pdf');
+        const pdf = attachments[0].content;
+        expect(pdf.slice(0, 4).toString()).toEqual('%PDF');
+        expect(pdf.toString('latin1')).toContain('/Encrypt');
+      });
+
+      it('should record a failed send and allow a retry', async () => {
+        mockSendEmail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+        const failedRes = await request(app)
+          .post(`/api/payroll/${stubEntryId}/stub/email`)
+          .set('Authorization', `Bearer ${clientToken}`);
+        expect(failedRes.statusCode).toEqual(200);
+        expect(failedRes.body.status).toEqual('FAILED');
+        expect(failedRes.body.last_error).toEqual('SMTP unavailable');
+        expect(failedRes.body.attempts).toEqual(2);
+
+        await db.query('UPDATE companies SET pay_stub_password_protected = false WHERE company_id = $1', [companyId]);
+        const retryRes = await request(app)
+          .post(`/api/payroll/${stubEntryId}/stub/email`)
+          .set('Authorization', `Bearer ${clientToken}`);
+        expect(retryRes.statusCode).toEqual(200);
+        expect(retryRes.body.status).toEqual('SENT');
+        expect(retryRes.body.last_error).toBeNull();
+        expect(retryRes.body.attempts).toEqual(3);
+        const attachment = mockSendEmail.mock.calls[mockSendEmail.mock.calls.length - 1][4][0];
+        expect(attachment.content.toString('latin1')).not.toContain('/Encrypt');
+      });
+    });
+  });
+
+  describe('Vacation Accrual', () => {
+    let veteranId, newcomerId;
+
+    const insertEmployee = async (email, startDate, accrualMethod, hoursPerPeriod) => {
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents, vacation_accrual_method, vacation_hours_per_period
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING employee_id`,
+        [companyId, 'Vacation', email.split('@')[0], '1975-07-07', '7 Leave St', email,
+         '5555555555', '555666777', startDate, 'Clerk', 'HOURLY', 25, 'WEEKLY', true,
+         accrualMethod, hoursPerPeriod]
+      );
+      return result.rows[0].employee_id;
+    };
+
+    const payAndFinalize = async (employeeId) => {
+      const createRes = await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: employeeId,
+          pay_period_start: '2024-06-03',
+          pay_period_end: '2024-06-09',
+          hours_worked: 40,
+          payment_date: '2024-06-14'
+        });
+      expect(createRes.statusCode).toEqual(201);
+      return request(app)
+        .post(`/api/payroll/${createRes.body.payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+    };
+
+    const getVacation = (employeeId) => request(app)
+      .get(`/api/employees/${employeeId}/vacation`)
+      .set('Authorization', `Bearer ${clientToken}`);
+
+    beforeAll(async () => {
+      veteranId = await insertEmployee('veteran@test.com', '2018-01-15', 'PERCENT', null);
+      newcomerId = await insertEmployee('newcomer@test.com', '2024-01-15', 'HOURS', 3.08);
+    });
+
+    it('should not accrue vacation on draft entries', async () => {
+      await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: veteranId,
+          pay_period_start: '2024-05-27',
+          pay_period_end: '2024-06-02',
+          hours_worked: 40,
+          payment_date: '2024-06-07'
+        });
+
+      const res = await getVacation(veteranId);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.ledger).toHaveLength(0);
+      expect(res.body.balance_amount).toEqual(0);
+    });
+
+    it('should accrue 6% vacation pay after five years of service when an entry is finalized', async () => {
+      const finalizeRes = await payAndFinalize(veteranId);
+      expect(finalizeRes.statusCode).toEqual(200);
+
+      const res = await getVacation(veteranId);
+      expect(res.body.accrual_method).toEqual('PERCENT');
+      expect(res.body.ledger).toHaveLength(1);
+      expect(res.body.ledger[0]).toMatchObject({ entry_type: 'ACCRUAL', accrual_rate: '0.0600', amount_accrued: '60.00' });
+      expect(res.body.balance_amount).toEqual(60);
+    });
+
+    it('should accrue hours per period for hour-based employees', async () => {
+      await payAndFinalize(newcomerId);
+
+      const res = await getVacation(newcomerId);
+      expect(res.body.balance_hours).toEqual(3.08);
+      expect(res.body.balance_amount).toEqual(0);
+    });
+
+    it('should record vacation usage against the running balance', async () => {
+      const res = await request(app)
+        .post(`/api/employees/${veteranId}/vacation/usage`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ usage_date: '2024-06-20', amount: 20, note: 'Long weekend' });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.amount_balance).toEqual('40.00');
+
+      const ledgerRes = await getVacation(veteranId);
+      expect(ledgerRes.body.ledger.map(entry => entry.entry_type)).toEqual(['ACCRUAL', 'USAGE']);
+      expect(ledgerRes.body.balance_amount).toEqual(40);
+    });
+
+    it('should not allow usage beyond the available balance', async () => {
+      const res = await request(app)
+        .post(`/api/employees/${newcomerId}/vacation/usage`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ usage_date: '2024-06-20', hours: 8 });
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should keep the vacation balance when offboarding without a payout', async () => {
+      const res = await request(app)
+        .post(`/api/employees/${newcomerId}/offboard`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({
+          reason_for_leaving: 'LAID_OFF',
+          last_day_worked: '2024-06-21',
+          payout_accrued_vacation: false,
+          callback_date: '2024-09-01'
+        });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.vacation_payout).toBeNull();
+
+      const ledgerRes = await getVacation(newcomerId);
+      expect(ledgerRes.body.balance_hours).toEqual(3.08);
+    });
+
+    it('should pay out the vacation balance when offboarding with a payout', async () => {
+      const res = await request(app)
+        .post(`/api/employees/${veteranId}/offboard`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ reason_for_leaving: 'RETIRED', last_day_worked: '2024-06-21', payout_accrued_vacation: true });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.vacation_payout).toMatchObject({
+        entry_type: 'VACATION_PAYOUT',
+        status: 'DRAFT',
+        vacation_pay: '40.00',
+        gross_pay: '40.00',
+        payment_date: expect.any(String)
       });
+
+      // The balance is only paid out once the payout is finalized
+      const ledgerRes = await getVacation(veteranId);
+      expect(ledgerRes.body.balance_amount).toEqual(40);
+      expect(ledgerRes.body.ledger.map(entry => entry.entry_type)).toEqual(['ACCRUAL', 'USAGE']);
+
+      // The final period is finalized after the payout was drafted and accrues another 60.00
+      const finalPeriod = await db.query(
+        `SELECT payroll_id FROM payroll_entries WHERE employee_id = $1 AND status = 'DRAFT' AND entry_type = 'REGULAR'`,
+        [veteranId]
+      );
+      await request(app)
+        .post(`/api/payroll/${finalPeriod.rows[0].payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+
+      // Vacation pay is not vacationable, so finalizing the payout accrues nothing
+      const finalizeRes = await request(app)
+        .post(`/api/payroll/${res.body.vacation_payout.payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(finalizeRes.statusCode).toEqual(200);
+      expect(finalizeRes.body).toMatchObject({ status: 'FINALIZED', vacation_pay: '100.00', gross_pay: '100.00' });
+      const afterFinalize = await getVacation(veteranId);
+      expect(afterFinalize.body.ledger.map(entry => entry.entry_type)).toEqual(['ACCRUAL', 'USAGE', 'ACCRUAL', 'PAYOUT']);
+      expect(afterFinalize.body.ledger[3]).toMatchObject({ amount_used: '100.00', amount_balance: '0.00' });
+      expect(afterFinalize.body.balance_amount).toEqual(0);
+    });
+
+    it('should not finalize a payout once the balance is gone', async () => {
+      const employeeId = await insertEmployee('payout.spent@test.com', '2018-01-15', 'PERCENT', null);
+      await payAndFinalize(employeeId);
+      const offboardRes = await request(app)
+        .post(`/api/employees/${employeeId}/offboard`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ reason_for_leaving: 'QUIT', last_day_worked: '2024-06-21', payout_accrued_vacation: true });
+      expect(offboardRes.body.vacation_payout.vacation_pay).toEqual('60.00');
+
+      await request(app)
+        .post(`/api/employees/${employeeId}/vacation/usage`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ usage_date: '2024-06-20', amount: 60 });
+
+      const res = await request(app)
+        .post(`/api/payroll/${offboardRes.body.vacation_payout.payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.error).toMatch(/no vacation balance left/);
+
+      const deleteRes = await request(app)
+        .delete(`/api/payroll/${offboardRes.body.vacation_payout.payroll_id}`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(deleteRes.statusCode).toEqual(200);
+
+      const entry = await db.query('SELECT * FROM payroll_entries WHERE payroll_id = $1', [offboardRes.body.vacation_payout.payroll_id]);
+      expect(entry.rows).toHaveLength(0);
+      const vacation = await getVacation(employeeId);
+      expect(vacation.body.balance_amount).toEqual(0);
+      expect(vacation.body.ledger.map(row => row.entry_type)).toEqual(['ACCRUAL', 'USAGE']);
+    });
+
+    it('should not delete a finalized payroll entry', async () => {
+      const employeeId = await insertEmployee('payout.kept@test.com', '2018-01-15', 'PERCENT', null);
+      await payAndFinalize(employeeId);
+      const entry = await db.query('SELECT payroll_id FROM payroll_entries WHERE employee_id = $1', [employeeId]);
+
+      const res = await request(app)
+        .delete(`/api/payroll/${entry.rows[0].payroll_id}`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.error).toMatch(/reverse the entry/);
+    });
+  });
+
+  describe('Record of Employment', () => {
+    let leaverId, stayerId, salariedLeaverId;
+
+    const insertEmployee = async (email, payType = 'HOURLY', payRate = 25) => {
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+        [companyId, 'Leaver', email.split('@')[0], '1988-08-08', '8 Exit Rd, Toronto ON', email,
+         '5555555555', '666777888', '2024-01-01', 'Picker & Packer', payType, payRate, 'WEEKLY', true]
+      );
+      return result.rows[0].employee_id;
+    };
+
+    const draftPayroll = (employeeId, start, end, hours) => request(app)
+      .post('/api/payroll')
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send({ employee_id: employeeId, pay_period_start: start, pay_period_end: end, hours_worked: hours, payment_date: end });
+
+    const weeklyPayroll = async (employeeId, start, end, hours) => {
+      const created = await draftPayroll(employeeId, start, end, hours);
+      await request(app)
+        .post(`/api/payroll/${created.body.payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      return created;
+    };
+
+    beforeAll(async () => {
+      leaverId = await insertEmployee('roe.leaver@test.com');
+      stayerId = await insertEmployee('roe.stayer@test.com');
+
+      await request(app)
+        .put(`/api/companies/${companyId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ business_number: '123456789RP0001' });
+
+      await weeklyPayroll(leaverId, '2024-07-01', '2024-07-07', 40);
+      await weeklyPayroll(leaverId, '2024-07-08', '2024-07-14', 45);
+      await request(app)
+        .post(`/api/employees/${leaverId}/offboard`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          reason_for_leaving: 'LAID_OFF',
+          last_day_worked: '2024-07-12',
+          payout_accrued_vacation: false,
+          callback_date: '2024-10-01'
+        });
+    });
+
+    it('should build ROE data from the offboarding record and payroll entries', async () => {
+      const res = await request(app)
+        .get(`/api/employees/${leaverId}/roe`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body).toMatchObject({
+        reason_code: 'A',
+        pay_period_type: 'W',
+        first_day_worked: '2024-01-01',
+        last_day_for_which_paid: '2024-07-12',
+        final_pay_period_ending_date: '2024-07-14',
+        expected_recall: { code: 'Y', date: '2024-10-01' },
+        total_insurable_hours: 85
+      });
+      expect(res.body.employer.business_number).toEqual('123456789RP0001');
+      // 44 regular hours and 1 overtime hour in the final week
+      expect(res.body.insurable_earnings).toEqual([
+        { pay_period_number: 1, pay_period_end: '2024-07-14', amount: 1137.5 },
+        { pay_period_number: 2, pay_period_end: '2024-07-07', amount: 1000 }
+      ]);
+    });
+
+    it('should count the normal hours of salaried periods and leave out drafts', async () => {
+      // 52,000 a year on a weekly schedule: 40 normal hours and 1,000 a week
+      salariedLeaverId = await insertEmployee('roe.salaried@test.com', 'SALARY', 52000);
+      await draftPayroll(salariedLeaverId, '2024-06-24', '2024-06-30');
+      await weeklyPayroll(salariedLeaverId, '2024-07-01', '2024-07-07');
+      await request(app)
+        .post(`/api/employees/${salariedLeaverId}/offboard`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ reason_for_leaving: 'QUIT', last_day_worked: '2024-07-10', payout_accrued_vacation: false });
+      // Paid for 3 of the final week's 5 working days
+      await weeklyPayroll(salariedLeaverId, '2024-07-08', '2024-07-14');
+
+      const res = await request(app)
+        .get(`/api/employees/${salariedLeaverId}/roe`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.total_insurable_hours).toEqual(64);
+      expect(res.body.insurable_earnings).toEqual([
+        { pay_period_number: 1, pay_period_end: '2024-07-14', amount: 600 },
+        { pay_period_number: 2, pay_period_end: '2024-07-07', amount: 1000 }
+      ]);
+    });
+
+    it('should export the ROE as ROE Web XML', async () => {
+      const res = await request(app)
+        .get(`/api/employees/${leaverId}/roe/xml`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-type']).toMatch(/application\/xml/);
+      expect(res.text).toContain('<ROEHEADER FileVersion="W-2.0"');
+      expect(res.text).toContain('<B5>123456789RP0001</B5>');
+      expect(res.text).toContain('<B13>Picker &amp; Packer</B13>');
+      expect(res.text).toContain('<B15C><PP nbr="1"><AMT>1137.50</AMT></PP><PP nbr="2"><AMT>1000.00</AMT></PP></B15C>');
+      expect(res.text).toContain('<B16><CD>A</CD>');
+    });
+
+    it('should not issue an ROE for an employee who has not been offboarded', async () => {
+      const res = await request(app)
+        .get(`/api/employees/${stayerId}/roe`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(409);
+    });
+
+    it('should export a bulk ROE file for a company', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${companyId}/roe`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .query({ from: '2024-07-01', to: '2024-07-31' });
+      expect(res.statusCode).toEqual(200);
+      expect(res.text.match(/<ROE /g)).toHaveLength(2);
+    });
+  });
+
+  describe('Year-End T4', () => {
+    let yearEndCompanyId, yearEndEmployeeId;
+    const lineTotal = (entries, type) => entries.reduce((sum, entry) => sum + parseFloat(
+      entry.deduction_lines.find(line => line.deduction_type === type).amount
+    ), 0);
+    const entries = [];
+
+    const biweeklyPayroll = (start, end, paymentDate, deductionLines) => request(app)
+      .post('/api/payroll')
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send({
+        employee_id: yearEndEmployeeId,
+        pay_period_start: start,
+        pay_period_end: end,
+        hours_worked: 80,
+        payment_date: paymentDate,
+        deduction_lines: deductionLines
+      });
+
+    const finalizedPayroll = async (...args) => {
+      const created = await biweeklyPayroll(...args);
+      const finalized = await request(app)
+        .post(`/api/payroll/${created.body.payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(finalized.statusCode).toBe(200);
+      return created.body;
+    };
+
+    beforeAll(async () => {
+      const companyRes = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_name: 'Year End Co',
+          contact_person: 'Yara End',
+          email: 'yearend@test.com',
+          phone: '4165550199',
+          address: '9 Filing Way, Ottawa ON'
+        });
+      yearEndCompanyId = companyRes.body.company_id;
+
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+        [yearEndCompanyId, 'Slip', 'Tina', '1982-09-09', '10 Slip St, Ottawa ON', 'tina.slip@test.com',
+         '5555555555', '777888999', '2023-01-01', 'Bookkeeper', 'SALARY', 52000, 'BIWEEKLY', true]
+      );
+      yearEndEmployeeId = result.rows[0].employee_id;
+
+      await finalizedPayroll('2023-12-11', '2023-12-24', '2023-12-29');
+      entries.push(await finalizedPayroll('2023-12-25', '2024-01-07', '2024-01-12'));
+      entries.push(await finalizedPayroll('2024-01-08', '2024-01-21', '2024-01-26', [
+        { deduction_type: 'UNION_DUES', amount: 25 }
+      ]));
+    });
+
+    it('should add up a T4 slip per employee for payments made in the year', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${yearEndCompanyId}/year-end/2024/t4`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.slips).toHaveLength(1);
+
+      const slip = res.body.slips[0];
+      expect(slip.box_14_employment_income).toEqual(4000);
+      expect(slip.box_16_cpp_contributions).toBeCloseTo(lineTotal(entries, 'CPP'), 2);
+      expect(slip.box_18_ei_premiums).toBeCloseTo(lineTotal(entries, 'EI'), 2);
+      expect(slip.box_22_income_tax_deducted)
+        .toBeCloseTo(lineTotal(entries, 'FEDERAL_TAX') + lineTotal(entries, 'PROVINCIAL_TAX'), 2);
+      expect(slip.box_24_ei_insurable_earnings).toEqual(4000);
+      expect(slip.box_44_union_dues).toEqual(25);
+
+      const { summary } = res.body;
+      expect(summary.box_88_slip_count).toEqual(1);
+      expect(summary.box_80_total_deductions).toBeCloseTo(
+        summary.box_16_cpp_contributions + summary.box_27_employer_cpp_contributions +
+        summary.box_18_ei_premiums + summary.box_19_employer_ei_premiums + summary.box_22_income_tax_deducted,
+        2
+      );
+    });
+
+    it('should leave draft entries off the slips', async () => {
+      const draft = await biweeklyPayroll('2024-01-22', '2024-02-04', '2024-02-09');
+      expect(draft.statusCode).toEqual(201);
+
+      const res = await request(app)
+        .get(`/api/companies/${yearEndCompanyId}/year-end/2024/t4`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.body.slips[0].box_14_employment_income).toEqual(4000);
+      expect(res.body.slips[0].box_16_cpp_contributions).toBeCloseTo(lineTotal(entries, 'CPP'), 2);
+
+      await db.query('DELETE FROM payroll_entries WHERE payroll_id = $1', [draft.body.payroll_id]);
+    });
+
+    it('should return year-to-date totals on payroll entries, reset each calendar year', async () => {
+      const [january, lateJanuary] = entries;
+      const firstRes = await request(app)
+        .get(`/api/payroll/${january.payroll_id}`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(firstRes.statusCode).toEqual(200);
+      expect(firstRes.body.year_to_date).toMatchObject({ year: 2024, entry_count: 1, gross_pay: 2000 });
+
+      const res = await request(app)
+        .get(`/api/payroll/${lateJanuary.payroll_id}`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      const ytd = res.body.year_to_date;
+      expect(ytd.entry_count).toEqual(2);
+      expect(ytd.gross_pay).toEqual(4000);
+      expect(ytd.deductions_by_type.CPP).toBeCloseTo(lineTotal(entries, 'CPP'), 2);
+      expect(ytd.deductions_by_type.UNION_DUES).toEqual(25);
+      expect(ytd.net_pay).toBeCloseTo(parseFloat(january.net_pay) + parseFloat(lateJanuary.net_pay), 2);
+
+      const listRes = await request(app)
+        .get(`/api/payroll/company/${yearEndCompanyId}`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(listRes.statusCode).toEqual(200);
+      const december = listRes.body.payrollEntries.find(entry => entry.pay_period_start.startsWith('2023-12-11'));
+      expect(december.year_to_date).toMatchObject({ year: 2023, gross_pay: 2000 });
+      expect(listRes.body.payrollEntries.find(entry => entry.payroll_id === lateJanuary.payroll_id).year_to_date)
+        .toEqual(ytd);
+    });
+
+    it('should leave other draft entries out of year-to-date totals', async () => {
+      const draft = await biweeklyPayroll('2024-01-22', '2024-02-04', '2024-02-09');
+      const nextDraft = await biweeklyPayroll('2024-02-05', '2024-02-18', '2024-02-23');
+
+      const res = await request(app)
+        .get(`/api/payroll/${nextDraft.body.payroll_id}`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.body.year_to_date).toMatchObject({ entry_count: 3, gross_pay: 6000 });
+
+      const employeeRes = await request(app)
+        .get(`/api/employees/${yearEndEmployeeId}/ytd`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .query({ as_of: '2024-12-31' });
+      expect(employeeRes.body).toMatchObject({ entry_count: 2, gross_pay: 4000 });
+
+      await db.query('DELETE FROM payroll_entries WHERE payroll_id = ANY($1)',
+        [[draft.body.payroll_id, nextDraft.body.payroll_id]]);
+    });
+
+    it('should return an employee\'s year-to-date totals as of a date', async () => {
+      const res = await request(app)
+        .get(`/api/employees/${yearEndEmployeeId}/ytd`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .query({ as_of: '2024-01-20' });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body).toMatchObject({ employee_id: yearEndEmployeeId, as_of: '2024-01-20', year: 2024, entry_count: 1, gross_pay: 2000 });
+
+      const yearRes = await request(app)
+        .get(`/api/employees/${yearEndEmployeeId}/ytd`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .query({ as_of: '2024-12-31' });
+      expect(yearRes.body.gross_pay).toEqual(4000);
+      expect(yearRes.body.deductions_by_type.UNION_DUES).toEqual(25);
+
+      const clientRes = await request(app)
+        .get(`/api/employees/${yearEndEmployeeId}/ytd`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(clientRes.statusCode).toEqual(404);
+    });
+
+    it('should not let clients see another company\'s T4 slips', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${yearEndCompanyId}/year-end/2024/t4`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should require a business number for the XML export', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${yearEndCompanyId}/year-end/2024/t4/xml`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should export the T4 return as CRA XML', async () => {
+      await request(app)
+        .put(`/api/companies/${yearEndCompanyId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ business_number: '987654321RP0001' });
+
+      const res = await request(app)
+        .get(`/api/companies/${yearEndCompanyId}/year-end/2024/t4/xml`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.text).toContain('<trnmtr_nbr>MM555555</trnmtr_nbr>');
+      expect(res.text).toContain('<empt_incamt>4000.00</empt_incamt>');
+      expect(res.text).toContain('<unn_dues_amt>25.00</unn_dues_amt>');
+      expect(res.text).toContain('<tx_yr>2024</tx_yr><slp_cnt>1</slp_cnt>');
+    });
+
+    it('should produce a printable T4 slip', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${yearEndCompanyId}/year-end/2024/t4/slips/${yearEndEmployeeId}/pdf`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers['content-type']).toEqual('application/pdf');
+      expect(res.body.slice(0, 4).toString()).toEqual('%PDF');
+    });
+  });
+
+  describe('Source Deduction Remittances', () => {
+    let remitCompanyId, remitEmployeeId;
+    const amountDue = (entry) => entry.deduction_lines
+      .filter(line => ['CPP', 'EI', 'FEDERAL_TAX', 'PROVINCIAL_TAX'].includes(line.deduction_type))
+      .reduce((sum, line) => sum + parseFloat(line.amount) + parseFloat(line.employer_amount), 0);
+    let januaryDue, februaryDue;
+
+    const biweeklyPayroll = async (start, end, paymentDate) => {
+      const res = await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: remitEmployeeId,
+          pay_period_start: start,
+          pay_period_end: end,
+          hours_worked: 80,
+          payment_date: paymentDate
+        });
+      return res.body;
+    };
+
+    const finalizedPayroll = async (...args) => {
+      const entry = await biweeklyPayroll(...args);
+      const finalized = await request(app)
+        .post(`/api/payroll/${entry.payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(finalized.statusCode).toBe(200);
+      return entry;
+    };
+
+    beforeAll(async () => {
+      const companyRes = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_name: 'Remit Co',
+          contact_person: 'Rita Mitt',
+          email: 'remit@test.com',
+          phone: '4165550188',
+          address: '3 Remit Rd, Ottawa ON'
+        });
+      remitCompanyId = companyRes.body.company_id;
+
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+        [remitCompanyId, 'Remitter', 'Ray', '1979-04-04', '4 Remit Rd, Ottawa ON', 'ray.remitter@test.com',
+         '5555555555', '666777888', '2023-06-01', 'Analyst', 'SALARY', 52000, 'BIWEEKLY', true]
+      );
+      remitEmployeeId = result.rows[0].employee_id;
+
+      const january = [
+        await finalizedPayroll('2023-12-25', '2024-01-07', '2024-01-12'),
+        await finalizedPayroll('2024-01-08', '2024-01-21', '2024-01-26')
+      ];
+      const february = await finalizedPayroll('2024-01-22', '2024-02-04', '2024-02-09');
+      januaryDue = january.reduce((sum, entry) => sum + amountDue(entry), 0);
+      februaryDue = amountDue(february);
+    });
+
+    it('should default companies to regular remitters', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${remitCompanyId}`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.remitter_type).toEqual('REGULAR');
+    });
+
+    it('should report source deductions for a month', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${remitCompanyId}/remittances/report?month=2024-01`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.period_start).toEqual('2024-01-01');
+      expect(res.body.period_end).toEqual('2024-01-31');
+      expect(res.body.gross_payroll).toEqual(4000);
+      expect(res.body.employee_count).toEqual(1);
+      expect(res.body.cpp_employer).toEqual(res.body.cpp_employee);
+      expect(res.body.ei_employer).toBeCloseTo(res.body.ei_employee * 1.4, 1);
+      expect(res.body.total_due).toBeCloseTo(januaryDue, 2);
+      expect(res.body.balance).toBeCloseTo(januaryDue, 2);
+    });
+
+    it('should require a month or a date range for the report', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${remitCompanyId}/remittances/report`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should record a remittance against its remitting period', async () => {
+      const res = await request(app)
+        .post(`/api/companies/${remitCompanyId}/remittances/payments`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ period_date: '2024-01-20', amount_paid: januaryDue.toFixed(2), paid_date: '2024-02-14', reference: 'PD7A-JAN' });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.period_start).toEqual('2024-01-01');
+      expect(res.body.period_end).toEqual('2024-01-31');
+      expect(res.body.due_date).toEqual('2024-02-15');
+    });
+
+    it('should show due dates, payments and balances per remitting period', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${remitCompanyId}/remittances?year=2024`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.periods).toHaveLength(12);
+
+      const [january, february, march] = res.body.periods;
+      expect(january.status).toEqual('PAID');
+      expect(january.balance).toEqual(0);
+      expect(february.due_date).toEqual('2024-03-15');
+      expect(february.status).toEqual('OVERDUE');
+      expect(february.balance).toBeCloseTo(februaryDue, 2);
+      expect(march.status).toEqual('NIL');
+    });
+
+    it('should list overdue balances', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${remitCompanyId}/remittances/overdue`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.periods.map(period => period.period_start)).toEqual(['2024-02-01']);
+      expect(res.body.total_overdue).toBeCloseTo(februaryDue, 2);
+    });
+
+    it('should leave draft entries out of the amounts to remit', async () => {
+      const draft = await biweeklyPayroll('2024-02-19', '2024-03-03', '2024-03-08');
+      expect(draft.status).toEqual('DRAFT');
+
+      const res = await request(app)
+        .get(`/api/companies/${remitCompanyId}/remittances/report?month=2024-03`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.body.total_due).toEqual(0);
+
+      const overdue = await request(app)
+        .get(`/api/companies/${remitCompanyId}/remittances/overdue`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(overdue.body.periods.map(period => period.period_start)).toEqual(['2024-02-01']);
+    });
+
+    it('should regroup remitting periods when the remitter type changes', async () => {
+      const invalid = await request(app)
+        .put(`/api/companies/${remitCompanyId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ remitter_type: 'ANNUAL' });
+      expect(invalid.statusCode).toEqual(400);
+
+      await request(app)
+        .put(`/api/companies/${remitCompanyId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ remitter_type: 'QUARTERLY' });
+
+      const res = await request(app)
+        .get(`/api/companies/${remitCompanyId}/remittances?year=2024`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.body.periods).toHaveLength(4);
+      expect(res.body.periods[0].due_date).toEqual('2024-04-15');
+      expect(res.body.periods[0].total_due).toBeCloseTo(januaryDue + februaryDue, 2);
+      expect(res.body.periods[0].balance).toBeCloseTo(februaryDue, 2);
+    });
+
+    it('should not let clients see another company\'s remittances', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${remitCompanyId}/remittances?year=2024`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  describe('Statutory Maximums', () => {
+    let maxCompanyId, maxEmployeeId;
+    const lineAmount = (entry, type) => {
+      const line = entry.deduction_lines.find(deduction => deduction.deduction_type === type);
+      return line ? parseFloat(line.amount) : 0;
+    };
+
+    // A payroll entry recorded with fixed CPP and EI lines (e.g. migrated from a previous payroll provider)
+    const insertEntry = async (paymentDate, grossPay, cpp, ei) => {
+      const entry = await db.query(
+        `INSERT INTO payroll_entries (
+          employee_id, pay_period_start, pay_period_end, gross_pay, deductions, net_pay, payment_date, status
+        ) VALUES ($1, $2, $2, $3, $4, $5, $2, 'FINALIZED') RETURNING payroll_id`,
+        [maxEmployeeId, paymentDate, grossPay, cpp + ei, grossPay - cpp - ei]
+      );
+      const payrollId = entry.rows[0].payroll_id;
+      await db.query(
+        `INSERT INTO payroll_deduction_lines (payroll_id, deduction_type, amount, employer_amount)
+         VALUES ($1, 'CPP', $2, $2), ($1, 'EI', $3, $3 * 1.4)`,
+        [payrollId, cpp, ei]
+      );
+      return payrollId;
+    };
+
+    beforeAll(async () => {
+      const companyRes = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_name: 'Max Co',
+          contact_person: 'Max Imum',
+          email: 'max@test.com',
+          phone: '4165550177',
+          address: '5 Ceiling Ave, Ottawa ON'
+        });
+      maxCompanyId = companyRes.body.company_id;
+
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+        [maxCompanyId, 'Earner', 'Hal', '1975-02-02', '6 Ceiling Ave, Ottawa ON', 'hal.earner@test.com',
+         '5555555555', '444555666', '2023-01-01', 'Director', 'SALARY', 156000, 'BIWEEKLY', false]
+      );
+      maxEmployeeId = result.rows[0].employee_id;
+
+      await insertEntry('2024-10-18', 66000, 3850, 1049.12);
+    });
+
+    it('should list the yearly statutory parameters', async () => {
+      const res = await request(app)
+        .get('/api/payroll/statutory-parameters')
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.find(row => row.year === 2024)).toMatchObject({
+        effective_date: '2024-01-01', ympe: 68500, yampe: 73200, cpp2_max_contribution: 188, ei_max_premium: 1049.12
+      });
+      expect(res.body.find(row => row.year === 2023)).toMatchObject({ ympe: 66600, yampe: null, cpp2_rate: 0 });
+      expect(res.body[0].year).toBeGreaterThan(res.body[res.body.length - 1].year);
+    });
+
+    it('should show the tax table versions in effect on a payment date', async () => {
+      const res = await request(app)
+        .get('/api/payroll/tax-tables')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .query({ date: '2025-03-14' });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.versions).toMatchObject({ federal: '2025-01-01', ON: '2025-01-01', BC: '2025-01-01' });
+      expect(res.body.provinces.ON.basicPersonalAmount).toEqual(12747);
+
+      const listRes = await request(app)
+        .get('/api/payroll/tax-tables')
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(listRes.body.find(entry => entry.jurisdiction === 'ON').versions).toHaveLength(4);
+
+      const uncovered = await request(app)
+        .get('/api/payroll/tax-tables')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .query({ date: '2022-12-30' });
+      expect(uncovered.statusCode).toEqual(400);
+      expect(uncovered.body.error).toEqual('No federal tax table covers 2022-12-30');
+    });
+
+    it('should take the limits only from the tax tables', async () => {
+      const putRes = await request(app)
+        .put('/api/payroll/statutory-parameters/2024')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ ympe: 74000, ei_max_premium: 1108.40 });
+      expect(putRes.statusCode).toEqual(404);
+
+      const uncovered = await request(app)
+        .get(`/api/companies/${maxCompanyId}/year-end/2030/over-contributions`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(uncovered.statusCode).toEqual(400);
+      expect(uncovered.body.error).toEqual('No federal tax table covers 2030-12-31');
+    });
+
+    it('should not count draft entries towards the maximums', async () => {
+      const draft = (start, end) => request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ employee_id: maxEmployeeId, pay_period_start: start, pay_period_end: end, payment_date: end });
+
+      const first = await draft('2024-10-19', '2024-11-01');
+      const second = await draft('2024-11-02', '2024-11-15');
+      expect(second.statusCode).toEqual(201);
+      // The first draft's CPP is not yet deducted, so the second has the same room left under the maximum
+      expect(lineAmount(second.body, 'CPP')).toEqual(lineAmount(first.body, 'CPP'));
+      expect(lineAmount(second.body, 'CPP')).toEqual(17.5);
+
+      await db.query('DELETE FROM payroll_entries WHERE payroll_id = ANY($1)', [[first.body.payroll_id, second.body.payroll_id]]);
+    });
+
+    it('should stop CPP and EI at the annual maximums and deduct CPP2 above the YMPE', async () => {
+      const res = await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: maxEmployeeId,
+          pay_period_start: '2024-10-19',
+          pay_period_end: '2024-11-01',
+          payment_date: '2024-11-01'
+        });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.gross_pay).toEqual('6000.00');
+      expect(lineAmount(res.body, 'CPP')).toEqual(17.5);
+      expect(lineAmount(res.body, 'EI')).toEqual(0);
+      // Pensionable earnings go from 66000 to 72000: 3500 above the YMPE at 4%
+      expect(lineAmount(res.body, 'CPP2')).toEqual(140);
+
+      const finalizeRes = await request(app)
+        .post(`/api/payroll/${res.body.payroll_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(finalizeRes.statusCode).toEqual(200);
+
+      const t4Res = await request(app)
+        .get(`/api/companies/${maxCompanyId}/year-end/2024/t4`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      const slip = t4Res.body.slips[0];
+      expect(slip.box_16_cpp_contributions).toEqual(3867.5);
+      expect(slip.box_16a_cpp2_contributions).toEqual(140);
+      expect(slip.box_26_cpp_pensionable_earnings).toEqual(72000);
+      expect(slip.employer_cpp_contributions).toEqual(4007.5);
+    });
+
+    it('should flag entries that deducted past the annual maximums', async () => {
+      const overPaidId = await insertEntry('2024-11-15', 6000, 50, 20);
+
+      const res = await request(app)
+        .get(`/api/companies/${maxCompanyId}/year-end/2024/over-contributions`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.maximums).toEqual({ CPP: 3867.5, CPP2: 188, EI: 1049.12 });
+      expect(res.body.entries).toHaveLength(1);
+      expect(res.body.entries[0]).toMatchObject({
+        payroll_id: overPaidId,
+        employee_id: maxEmployeeId,
+        payment_date: '2024-11-15',
+        over_contributions: { CPP: 50, EI: 20 },
+        total: 70
+      });
+      expect(res.body.total_over_contribution).toEqual(70);
+    });
+
+    it('should leave draft entries out of the over-contributions', async () => {
+      const draftId = await insertEntry('2024-11-08', 6000, 30, 10);
+      await db.query(`UPDATE payroll_entries SET status = 'DRAFT' WHERE payroll_id = $1`, [draftId]);
+
+      const res = await request(app)
+        .get(`/api/companies/${maxCompanyId}/year-end/2024/over-contributions`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.entries.map(entry => entry.payroll_id)).not.toContain(draftId);
+      expect(res.body.total_over_contribution).toEqual(70);
+
+      await db.query('DELETE FROM payroll_entries WHERE payroll_id = $1', [draftId]);
+    });
+  });
+
+  describe('TD1 Claims', () => {
+    let td1EmployeeId, federalDocumentId, provincialDocumentId;
+    const pdfBuffer = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer<</Root 1 0 R>>');
+    const lineAmount = (entry, type) => parseFloat(entry.deduction_lines.find(line => line.deduction_type === type).amount);
+
+    const biweeklyPayroll = () => request(app)
+      .post('/api/payroll')
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send({
+        employee_id: td1EmployeeId,
+        pay_period_start: '2024-06-01',
+        pay_period_end: '2024-06-14',
+        hours_worked: 0,
+        overtime_hours: 0,
+        payment_date: '2024-06-14'
+      });
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .field('company_id', companyId)
+        .field('first_name', 'Tess')
+        .field('last_name', 'Claimant')
+        .field('date_of_birth', '1988-08-08')
+        .field('full_address', '8 Claim Rd, Toronto ON')
+        .field('email', 'tess.claimant@test.com')
+        .field('phone_number', '+15555555555')
+        .field('sin', '046454286')
+        .field('start_date', '2024-01-02')
+        .field('position', 'Analyst')
+        .field('pay_type', 'SALARY')
+        .field('pay_rate', '52000')
+        .field('pay_schedule', 'BIWEEKLY')
+        .field('institution_number', '003')
+        .field('transit_number', '54321')
+        .field('account_number', '7654321')
+        .field('consent_electronic_documents', 'false')
+        .field('td1_federal_claim_amount', '15705')
+        .field('td1_provincial_claim_amount', '12399')
+        .attach('td1_federal', pdfBuffer, { filename: 'federal.pdf', contentType: 'application/pdf' })
+        .attach('td1_provincial', pdfBuffer, { filename: 'provincial.pdf', contentType: 'application/pdf' });
+      expect(res.statusCode).toBe(201);
+      td1EmployeeId = res.body.employee_id;
+      federalDocumentId = res.body.documents.find(doc => doc.document_type === 'TD1_FEDERAL').document_id;
+      provincialDocumentId = res.body.documents.find(doc => doc.document_type === 'TD1_PROVINCIAL').document_id;
+    });
+
+    it('should save the claim amounts given at hiring with their TD1 documents', async () => {
+      const res = await request(app)
+        .get(`/api/employees/${td1EmployeeId}/td1`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.documents).toHaveLength(2);
+      expect(res.body.declarations).toHaveLength(2);
+      expect(res.body.declarations[0]).toMatchObject({
+        tax_year: 2024, jurisdiction: 'FEDERAL', total_claim_amount: '15705.00', document_id: federalDocumentId
+      });
+      expect(res.body.declarations[1]).toMatchObject({
+        tax_year: 2024, jurisdiction: 'ON', total_claim_amount: '12399.00', document_id: provincialDocumentId
+      });
+    });
+
+    it('should withhold more tax after a TD1 with a lower claim and additional tax', async () => {
+      const before = await biweeklyPayroll();
+      expect(before.statusCode).toEqual(201);
+
+      const update = await request(app)
+        .put(`/api/employees/${td1EmployeeId}/td1/2024`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          federal: { total_claim_amount: 0, additional_tax: 25, document_id: federalDocumentId },
+          provincial: { province: 'ON', total_claim_amount: 0 }
+        });
+      expect(update.statusCode).toEqual(200);
+      expect(update.body.declarations).toHaveLength(2);
+      expect(update.body.declarations[0]).toMatchObject({ jurisdiction: 'FEDERAL', additional_tax: '25.00' });
+      // The provincial TD1 keeps the document it was linked to at hiring
+      expect(update.body.declarations[1]).toMatchObject({ jurisdiction: 'ON', document_id: provincialDocumentId });
+
+      const after = await biweeklyPayroll();
+      expect(after.statusCode).toEqual(201);
+      expect(lineAmount(after.body, 'FEDERAL_TAX')).toBeGreaterThan(lineAmount(before.body, 'FEDERAL_TAX') + 25);
+      expect(lineAmount(after.body, 'PROVINCIAL_TAX')).toBeGreaterThan(lineAmount(before.body, 'PROVINCIAL_TAX'));
+    });
+
+    it('should carry a TD1 forward into later years', async () => {
+      const res = await request(app)
+        .get(`/api/employees/${td1EmployeeId}/td1/2025`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.federal).toMatchObject({ tax_year: 2024, claimAmount: 0, additionalTax: 25 });
+      expect(res.body.provincial).toMatchObject({ tax_year: 2024, claimAmount: 0 });
+    });
+
+    it('should require a federal or provincial TD1', async () => {
+      const res = await request(app)
+        .put(`/api/employees/${td1EmployeeId}/td1/2024`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({});
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should reject a document that is not one of the employee\'s TD1s', async () => {
+      const res = await request(app)
+        .put(`/api/employees/${td1EmployeeId}/td1/2024`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ federal: { total_claim_amount: 15705, document_id: 999999 } });
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error).toMatch(/TD1 documents/);
+    });
+  });
+
+  describe('Province of Employment', () => {
+    let provinceCompanyId, movedEmployeeId;
+    const pdfBuffer = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer<</Root 1 0 R>>');
+
+    const createEmployee = (fields) => {
+      const req = request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .field('company_id', provinceCompanyId)
+        .field('first_name', 'Rowan')
+        .field('last_name', 'Mover')
+        .field('date_of_birth', '1985-04-04')
+        .field('phone_number', '+15555555555')
+        .field('sin', '046454286')
+        .field('start_date', '2024-01-02')
+        .field('position', 'Technician')
+        .field('pay_type', 'HOURLY')
+        .field('pay_rate', '30')
+        .field('pay_schedule', 'WEEKLY')
+        .field('institution_number', '003')
+        .field('transit_number', '54321')
+        .field('account_number', '7654321')
+        .field('consent_electronic_documents', 'false');
+      Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+      return req
+        .attach('td1_federal', pdfBuffer, { filename: 'federal.pdf', contentType: 'application/pdf' })
+        .attach('td1_provincial', pdfBuffer, { filename: 'provincial.pdf', contentType: 'application/pdf' });
+    };
+
+    const weeklyPayroll = (start, end, dailyHours) => request(app)
+      .post('/api/payroll')
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send({
+        employee_id: movedEmployeeId,
+        pay_period_start: start,
+        pay_period_end: end,
+        daily_hours: dailyHours,
+        payment_date: end
+      });
+
+    beforeAll(async () => {
+      const companyRes = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_name: 'Two Province Co',
+          contact_person: 'Pat Border',
+          email: 'border@test.com',
+          phone: '6045550188',
+          address: '1 Border Rd, Vancouver BC'
+        });
+      provinceCompanyId = companyRes.body.company_id;
+    });
+
+    it('should store a structured address and employ in the home province by default', async () => {
+      const res = await createEmployee({
+        email: 'rowan.mover@test.com',
+        address_line1: '12 Cedar St',
+        city: 'Vancouver',
+        province: 'bc',
+        postal_code: 'v6b1a1'
+      });
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toMatchObject({
+        province: 'BC',
+        postal_code: 'V6B 1A1',
+        country: 'CA',
+        province_of_employment: 'BC',
+        full_address: '12 Cedar St, Vancouver, BC V6B 1A1'
+      });
+      movedEmployeeId = res.body.employee_id;
+    });
+
+    it('should validate the address and province of employment', async () => {
+      const badPostalCode = await createEmployee({
+        email: 'bad.postal@test.com', address_line1: '1 Main St', city: 'Regina', province: 'SK', postal_code: '12345'
+      });
+      expect(badPostalCode.statusCode).toBe(400);
+      expect(badPostalCode.body.errors.some(error => error.path === 'postal_code')).toBe(true);
+
+      const quebec = await createEmployee({
+        email: 'quebec@test.com', address_line1: '1 Rue Principale', city: 'Gatineau', province: 'QC', postal_code: 'J8X 1A1'
+      });
+      expect(quebec.statusCode).toBe(400);
+      expect(quebec.body.error).toMatch(/province_of_employment is required/);
+
+      const update = await request(app)
+        .put(`/api/employees/${movedEmployeeId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ province_of_employment: 'XX' });
+      expect(update.statusCode).toBe(400);
+    });
+
+    it('should apply the province\'s tax, overtime and statutory holiday rules', async () => {
+      // August 5 2024 is British Columbia Day: all 8 hours are premium pay, plus 1 daily overtime hour on each other day
+      const dailyHours = ['2024-08-05', '2024-08-06', '2024-08-07', '2024-08-08', '2024-08-09']
+        .map(work_date => ({ work_date, hours: 8 }));
+      dailyHours[1].hours = 9;
+      const res = await weeklyPayroll('2024-08-05', '2024-08-11', dailyHours);
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toMatchObject({ province_of_employment: 'BC', overtime_hours: '9.00' });
+
+      const expected = calculatePayroll({
+        payType: 'HOURLY', payRate: 30, paySchedule: 'WEEKLY', hoursWorked: 32, overtimeHours: 9,
+        paymentDate: '2024-08-11', province: 'BC'
+      });
+      const provincialTax = res.body.deduction_lines.find(line => line.deduction_type === 'PROVINCIAL_TAX');
+      expect(parseFloat(provincialTax.amount)).toBeCloseTo(
+        expected.deductions.find(line => line.deduction_type === 'PROVINCIAL_TAX').amount, 2);
+    });
+
+    it('should issue a T4 slip for each province worked in', async () => {
+      const update = await request(app)
+        .put(`/api/employees/${movedEmployeeId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ address_line1: '40 Prairie Ave', city: 'Calgary', province: 'AB', postal_code: 'T2P 1J9', province_of_employment: 'AB' });
+      expect(update.statusCode).toBe(200);
+      expect(update.body.full_address).toBe('40 Prairie Ave, Calgary, AB T2P 1J9');
+
+      const dailyHours = ['2024-09-09', '2024-09-10'].map(work_date => ({ work_date, hours: 8 }));
+      const entry = await weeklyPayroll('2024-09-09', '2024-09-15', dailyHours);
+      expect(entry.statusCode).toBe(201);
+      expect(entry.body.province_of_employment).toBe('AB');
+
+      const drafts = await db.query(
+        `SELECT payroll_id FROM payroll_entries WHERE employee_id = $1 AND status = 'DRAFT'`,
+        [movedEmployeeId]
+      );
+      for (const draft of drafts.rows) {
+        const finalized = await request(app)
+          .post(`/api/payroll/${draft.payroll_id}/finalize`)
+          .set('Authorization', `Bearer ${accountantToken}`);
+        expect(finalized.statusCode).toBe(200);
+      }
+
+      const t4 = await request(app)
+        .get(`/api/companies/${provinceCompanyId}/year-end/2024/t4`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(t4.statusCode).toBe(200);
+      expect(t4.body.slips.map(slip => [slip.province_of_employment, slip.box_14_employment_income])).toEqual([
+        ['AB', 480], ['BC', 1365]
+      ]);
+
+      const pdfUrl = `/api/companies/${provinceCompanyId}/year-end/2024/t4/slips/${movedEmployeeId}/pdf`;
+      const ambiguous = await request(app).get(pdfUrl).set('Authorization', `Bearer ${accountantToken}`);
+      expect(ambiguous.statusCode).toBe(400);
+      const pdf = await request(app)
+        .get(pdfUrl)
+        .query({ province: 'bc' })
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(pdf.statusCode).toBe(200);
+      expect(pdf.headers['content-type']).toMatch(/application\/pdf/);
+    });
+  });
+
+  describe('Compensation History', () => {
+    let raisedEmployeeId;
+    const pdfBuffer = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer<</Root 1 0 R>>');
+
+    const biweeklyPayroll = (start, end) => request(app)
+      .post('/api/payroll')
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send({
+        employee_id: raisedEmployeeId,
+        pay_period_start: start,
+        pay_period_end: end,
+        hours_worked: 40,
+        payment_date: end
+      });
+
+    const fetchHistory = () => request(app)
+      .get(`/api/employees/${raisedEmployeeId}/compensation-history`)
+      .set('Authorization', `Bearer ${clientToken}`);
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .field('company_id', companyId)
+        .field('first_name', 'Cole')
+        .field('last_name', 'Raise')
+        .field('date_of_birth', '1992-02-02')
+        .field('full_address', '2 Raise Ave, Toronto ON')
+        .field('email', 'cole.raise@test.com')
+        .field('phone_number', '+15555555555')
+        .field('sin', '046454286')
+        .field('start_date', '2024-01-02')
+        .field('position', 'Clerk')
+        .field('pay_type', 'HOURLY')
+        .field('pay_rate', '20')
+        .field('pay_schedule', 'BIWEEKLY')
+        .field('institution_number', '003')
+        .field('transit_number', '54321')
+        .field('account_number', '7654321')
+        .field('consent_electronic_documents', 'false')
+        .attach('td1_federal', pdfBuffer, { filename: 'federal.pdf', contentType: 'application/pdf' })
+        .attach('td1_provincial', pdfBuffer, { filename: 'provincial.pdf', contentType: 'application/pdf' });
+      expect(res.statusCode).toBe(201);
+      raisedEmployeeId = res.body.employee_id;
+    });
+
+    it('should start the history at the start date', async () => {
+      const res = await fetchHistory();
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.history).toHaveLength(1);
+      expect(res.body.history[0]).toMatchObject({
+        pay_type: 'HOURLY', pay_rate: '20.00', pay_schedule: 'BIWEEKLY', position: 'Clerk', reason: 'Hired', effective_to: null
+      });
+      expect(res.body.history[0].effective_from.slice(0, 10)).toEqual('2024-01-02');
+    });
+
+    it('should record a backdated raise and pay each period at the rate in effect', async () => {
+      const update = await request(app)
+        .put(`/api/employees/${raisedEmployeeId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ pay_rate: 25, position: 'Senior Clerk', effective_from: '2024-07-01', change_reason: 'Annual raise' });
+      expect(update.statusCode).toEqual(200);
+      expect(update.body).toMatchObject({ pay_rate: '25.00', position: 'Senior Clerk' });
+
+      const history = await fetchHistory();
+      expect(history.body.history).toHaveLength(2);
+      expect(history.body.history[0].effective_to.slice(0, 10)).toEqual('2024-06-30');
+      expect(history.body.history[1]).toMatchObject({
+        pay_rate: '25.00', position: 'Senior Clerk', pay_type: 'HOURLY', reason: 'Annual raise', effective_to: null
+      });
+
+      const june = await biweeklyPayroll('2024-06-15', '2024-06-28');
+      expect(june.statusCode).toEqual(201);
+      expect(parseFloat(june.body.gross_pay)).toBeCloseTo(800, 2);
+
+      const july = await biweeklyPayroll('2024-07-01', '2024-07-12');
+      expect(july.statusCode).toEqual(201);
+      expect(parseFloat(july.body.gross_pay)).toBeCloseTo(1000, 2);
+    });
+
+    it('should keep the current pay on the employee until a future-dated change takes effect', async () => {
+      const update = await request(app)
+        .put(`/api/employees/${raisedEmployeeId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ pay_rate: 30, effective_from: '2099-01-01', change_reason: 'Promotion' });
+      expect(update.statusCode).toEqual(200);
+      expect(update.body.pay_rate).toEqual('25.00');
+
+      const history = await fetchHistory();
+      expect(history.body.history).toHaveLength(3);
+      expect(history.body.history[2]).toMatchObject({ pay_rate: '30.00', position: 'Senior Clerk', reason: 'Promotion' });
+    });
+
+    it('should not record a change when the values already apply', async () => {
+      const update = await request(app)
+        .put(`/api/employees/${raisedEmployeeId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ pay_rate: '25.00', position: 'Senior Clerk', phone_number: '+15555555556' });
+      expect(update.statusCode).toEqual(200);
+
+      const history = await fetchHistory();
+      expect(history.body.history).toHaveLength(3);
+    });
+
+    it('should reject an effective date without a compensation change', async () => {
+      const res = await request(app)
+        .put(`/api/employees/${raisedEmployeeId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ phone_number: '+15555555557', effective_from: '2024-08-01' });
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  describe('Retro Pay', () => {
+    let retroCompanyId, retroEmployeeId;
+    const pdfBuffer = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer<</Root 1 0 R>>');
+    const runs = {};
+
+    const openRun = async (name, start, end, paymentDate, hours) => {
+      const res = await request(app)
+        .post('/api/payroll/runs')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_id: retroCompanyId,
+          pay_schedule: 'BIWEEKLY',
+          pay_period_start: start,
+          pay_period_end: end,
+          payment_date: paymentDate
+        });
+      expect(res.statusCode).toBe(201);
+      const entry = res.body.entries[0];
+      const update = await request(app)
+        .put(`/api/payroll/runs/${res.body.run_id}/entries/${entry.payroll_id}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ hours_worked: hours });
+      expect(update.statusCode).toBe(200);
+      runs[name] = { runId: res.body.run_id, payrollId: entry.payroll_id };
+    };
+
+    const finalizeRun = (name) => request(app)
+      .post(`/api/payroll/runs/${runs[name].runId}/finalize`)
+      .set('Authorization', `Bearer ${accountantToken}`);
+
+    const payRetro = (fields) => request(app)
+      .post(`/api/employees/${retroEmployeeId}/retro-pay`)
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send(fields);
+
+    const fetchEntry = (payrollId) => db.query('SELECT * FROM payroll_entries WHERE payroll_id = $1', [payrollId]);
+
+    beforeAll(async () => {
+      const companyRes = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_name: 'Retro Co',
+          contact_person: 'Rhea Back',
+          email: 'retro@test.com',
+          phone: '4165550177',
+          address: '9 Back Pay Rd, Toronto ON'
+        });
+      retroCompanyId = companyRes.body.company_id;
+
+      const res = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .field('company_id', retroCompanyId)
+        .field('first_name', 'Ray')
+        .field('last_name', 'Retro')
+        .field('date_of_birth', '1991-01-01')
+        .field('full_address', '9 Back Pay Rd, Toronto ON')
+        .field('email', 'ray.retro@test.com')
+        .field('phone_number', '+15555555555')
+        .field('sin', '046454286')
+        .field('start_date', '2024-01-01')
+        .field('position', 'Machinist')
+        .field('pay_type', 'HOURLY')
+        .field('pay_rate', '20')
+        .field('pay_schedule', 'BIWEEKLY')
+        .field('institution_number', '003')
+        .field('transit_number', '54321')
+        .field('account_number', '7654321')
+        .field('consent_electronic_documents', 'false')
+        .attach('td1_federal', pdfBuffer, { filename: 'federal.pdf', contentType: 'application/pdf' })
+        .attach('td1_provincial', pdfBuffer, { filename: 'provincial.pdf', contentType: 'application/pdf' });
+      expect(res.statusCode).toBe(201);
+      retroEmployeeId = res.body.employee_id;
+
+      await openRun('first', '2024-01-01', '2024-01-14', '2024-01-19', 80);
+      expect((await finalizeRun('first')).statusCode).toBe(200);
+      await openRun('second', '2024-01-15', '2024-01-28', '2024-02-02', 80);
+      expect((await finalizeRun('second')).statusCode).toBe(200);
+      await openRun('next', '2024-01-29', '2024-02-11', '2024-02-16', 80);
+    });
+
+    it('should pay the difference for finalized periods in the next pay run without changing them', async () => {
+      const res = await payRetro({ effective_from: '2024-01-15', pay_rate: 22, reason: 'Wage settlement' });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body).toMatchObject({ entry_type: 'RETRO_PAY', run_id: runs.next.runId, gross_pay: '160.00' });
+      expect(res.body.earning_lines).toEqual([
+        expect.objectContaining({ earning_type: 'RETRO_REGULAR', hours: '80.00', amount: '160.00' })
+      ]);
+      expect(res.body.retro_lines).toHaveLength(1);
+      expect(res.body.retro_lines[0]).toMatchObject({
+        original_payroll_id: runs.second.payrollId,
+        earning_type: 'REGULAR',
+        pay_rate: '22.00',
+        paid_amount: '1600.00',
+        recalculated_amount: '1760.00',
+        difference: '160.00'
+      });
+
+      const original = await fetchEntry(runs.second.payrollId);
+      expect(original.rows[0]).toMatchObject({ status: 'FINALIZED', gross_pay: '1600.00' });
+
+      // The new rate is recorded and the open run's regular entry is paid at it
+      const employee = await db.query('SELECT pay_rate FROM employees WHERE employee_id = $1', [retroEmployeeId]);
+      expect(employee.rows[0].pay_rate).toEqual('22.00');
+      const draft = await fetchEntry(runs.next.payrollId);
+      expect(draft.rows[0].gross_pay).toEqual('1760.00');
+    });
+
+    it('should not pay the same raise twice', async () => {
+      const res = await payRetro({ effective_from: '2024-01-15', pay_rate: 22 });
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should add a further raise to the same adjustment, up to the next compensation change', async () => {
+      // The raise to 22 from January 15 still stands, so 23 is only owed for the first period
+      const res = await payRetro({ effective_from: '2024-01-01', pay_rate: 23 });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.gross_pay).toEqual('400.00');
+      expect(res.body.retro_lines.map(line => [line.original_payroll_id, line.paid_amount, line.difference])).toEqual([
+        [runs.first.payrollId, '1600.00', '240.00'],
+        [runs.second.payrollId, '1600.00', '160.00']
+      ]);
+
+      const employee = await db.query('SELECT pay_rate FROM employees WHERE employee_id = $1', [retroEmployeeId]);
+      expect(employee.rows[0].pay_rate).toEqual('22.00');
+      const draft = await fetchEntry(runs.next.payrollId);
+      expect(draft.rows[0].gross_pay).toEqual('1760.00');
+
+      const entries = await db.query(
+        `SELECT entry_type FROM payroll_entries WHERE run_id = $1 AND employee_id = $2 ORDER BY payroll_id`,
+        [runs.next.runId, retroEmployeeId]
+      );
+      expect(entries.rows.map(entry => entry.entry_type)).toEqual(['REGULAR', 'RETRO_PAY']);
+    });
+
+    it('should finalize the adjustment with its run and list it with its explanation', async () => {
+      const finalized = await finalizeRun('next');
+      expect(finalized.statusCode).toEqual(200);
+      expect(finalized.body.entries.every(entry => entry.status === 'FINALIZED')).toBe(true);
+
+      const res = await request(app)
+        .get(`/api/employees/${retroEmployeeId}/retro-pay`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(404);
+
+      const accountantRes = await request(app)
+        .get(`/api/employees/${retroEmployeeId}/retro-pay`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(accountantRes.statusCode).toEqual(200);
+      expect(accountantRes.body.adjustments).toHaveLength(1);
+      expect(accountantRes.body.adjustments[0].retro_lines).toHaveLength(2);
+    });
+
+    it('should require an open pay run', async () => {
+      const res = await payRetro({ effective_from: '2024-01-01', pay_rate: 25 });
+      expect(res.statusCode).toEqual(409);
+    });
+  });
+
+  describe('Payroll Reversal', () => {
+    let reversalCompanyId, reversalEmployeeId, runId, payrollId, draftId;
+    const pdfBuffer = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer<</Root 1 0 R>>');
+
+    const reverse = (id, fields = {}) => request(app)
+      .post(`/api/payroll/${id}/reverse`)
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send(fields);
+
+    beforeAll(async () => {
+      const companyRes = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_name: 'Reversal Co',
+          contact_person: 'Rory Undo',
+          email: 'reversal@test.com',
+          phone: '4165550178',
+          address: '12 Ledger St, Toronto ON'
+        });
+      reversalCompanyId = companyRes.body.company_id;
+
+      const res = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .field('company_id', reversalCompanyId)
+        .field('first_name', 'Reva')
+        .field('last_name', 'Versal')
+        .field('date_of_birth', '1992-02-02')
+        .field('full_address', '12 Ledger St, Toronto ON')
+        .field('email', 'reva.versal@test.com')
+        .field('phone_number', '+15555555555')
+        .field('sin', '046454286')
+        .field('start_date', '2024-01-01')
+        .field('position', 'Clerk')
+        .field('pay_type', 'HOURLY')
+        .field('pay_rate', '20')
+        .field('pay_schedule', 'BIWEEKLY')
+        .field('institution_number', '003')
+        .field('transit_number', '54321')
+        .field('account_number', '7654321')
+        .field('consent_electronic_documents', 'false')
+        .attach('td1_federal', pdfBuffer, { filename: 'federal.pdf', contentType: 'application/pdf' })
+        .attach('td1_provincial', pdfBuffer, { filename: 'provincial.pdf', contentType: 'application/pdf' });
+      expect(res.statusCode).toBe(201);
+      reversalEmployeeId = res.body.employee_id;
+
+      const run = await request(app)
+        .post('/api/payroll/runs')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_id: reversalCompanyId,
+          pay_schedule: 'BIWEEKLY',
+          pay_period_start: '2024-01-01',
+          pay_period_end: '2024-01-14',
+          payment_date: '2024-01-19'
+        });
+      expect(run.statusCode).toBe(201);
+      runId = run.body.run_id;
+      payrollId = run.body.entries[0].payroll_id;
+      const update = await request(app)
+        .put(`/api/payroll/runs/${runId}/entries/${payrollId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ hours_worked: 80 });
+      expect(update.statusCode).toBe(200);
+      const finalized = await request(app)
+        .post(`/api/payroll/runs/${runId}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(finalized.statusCode).toBe(200);
+    });
+
+    it('should not let a finalized entry be edited', async () => {
+      const res = await request(app)
+        .put(`/api/payroll/${payrollId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ hours_worked: 72 });
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.error).toMatch(/reverse/);
+    });
+
+    it('should negate a finalized entry and create a linked correction', async () => {
+      const res = await reverse(payrollId, {
+        payment_date: '2024-02-02',
+        reason: 'Hours overstated',
+        hours_worked: 72
+      });
+      expect(res.statusCode).toEqual(201);
+
+      const { original, reversal, correction } = res.body;
+      expect(original).toMatchObject({ payroll_id: payrollId, status: 'FINALIZED', gross_pay: '1600.00' });
+      expect(reversal).toMatchObject({
+        entry_type: 'REVERSAL',
+        status: 'FINALIZED',
+        reverses_payroll_id: payrollId,
+        correction_reason: 'Hours overstated',
+        hours_worked: '-80.00',
+        gross_pay: '-1600.00',
+        payment_date: expect.stringContaining('2024-02-0')
+      });
+      expect(parseFloat(reversal.net_pay)).toBeCloseTo(-parseFloat(original.net_pay), 2);
+      expect(reversal.earning_lines).toEqual([
+        expect.objectContaining({ earning_type: 'REGULAR', hours: '-80.00', amount: '-1600.00' })
+      ]);
+      expect(reversal.deduction_lines.length).toBeGreaterThan(0);
+      expect(reversal.deduction_lines.every(line => parseFloat(line.amount) <= 0)).toBe(true);
+
+      expect(correction).toMatchObject({
+        entry_type: 'REGULAR',
+        status: 'DRAFT',
+        corrects_payroll_id: payrollId,
+        hours_worked: '72.00',
+        gross_pay: '1440.00'
+      });
+      draftId = correction.payroll_id;
+
+      const stored = await db.query('SELECT status, gross_pay FROM payroll_entries WHERE payroll_id = $1', [payrollId]);
+      expect(stored.rows[0]).toEqual({ status: 'FINALIZED', gross_pay: '1600.00' });
+    });
+
+    it('should undo the vacation pay the original accrued', async () => {
+      const ledger = await db.query(
+        'SELECT amount_accrued, amount_balance, note FROM vacation_accrual WHERE employee_id = $1 ORDER BY accrual_id',
+        [reversalEmployeeId]
+      );
+      expect(ledger.rows).toHaveLength(2);
+      expect(parseFloat(ledger.rows[1].amount_accrued)).toBeCloseTo(-parseFloat(ledger.rows[0].amount_accrued), 2);
+      expect(ledger.rows[1].amount_balance).toEqual('0.00');
+      expect(ledger.rows[1].note).toEqual(`Reversal of payroll entry ${payrollId}`);
+    });
+
+    it('should refuse to reverse an entry twice, a reversal, or a draft', async () => {
+      expect((await reverse(payrollId)).statusCode).toEqual(409);
+      expect((await reverse(draftId)).statusCode).toEqual(409);
+
+      const reversal = await db.query('SELECT payroll_id FROM payroll_entries WHERE reverses_payroll_id = $1', [payrollId]);
+      expect((await reverse(reversal.rows[0].payroll_id)).statusCode).toEqual(409);
+    });
+
+    it('should be limited to accountants', async () => {
+      const res = await request(app)
+        .post(`/api/payroll/${draftId}/reverse`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({});
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  describe('Rehire', () => {
+    let rehireCompanyId, rehireEmployeeId, callbackDate;
+    const pdfBuffer = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer<</Root 1 0 R>>');
+
+    const daysFromToday = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      return toISODate(date);
+    };
+
+    const getCallbacks = (query, token = accountantToken) => request(app)
+      .get(`/api/employees/company/${rehireCompanyId}/callbacks`)
+      .set('Authorization', `Bearer ${token}`)
+      .query(query);
+
+    const rehire = (fields) => request(app)
+      .post(`/api/employees/${rehireEmployeeId}/rehire`)
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send(fields);
+
+    beforeAll(async () => {
+      const companyRes = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_name: 'Seasonal Co',
+          contact_person: 'Sam Season',
+          email: 'seasonal@test.com',
+          phone: '4165550179',
+          address: '3 Harvest Rd, Toronto ON'
+        });
+      rehireCompanyId = companyRes.body.company_id;
+
+      const res = await request(app)
+        .post('/api/employees')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .field('company_id', rehireCompanyId)
+        .field('first_name', 'Rhys')
+        .field('last_name', 'Hire')
+        .field('date_of_birth', '1993-03-03')
+        .field('full_address', '3 Harvest Rd, Toronto ON')
+        .field('email', 'rhys.hire@test.com')
+        .field('phone_number', '+15555555555')
+        .field('sin', '046454286')
+        .field('start_date', '2024-01-01')
+        .field('position', 'Picker')
+        .field('pay_type', 'HOURLY')
+        .field('pay_rate', '20')
+        .field('pay_schedule', 'BIWEEKLY')
+        .field('institution_number', '003')
+        .field('transit_number', '54321')
+        .field('account_number', '7654321')
+        .field('consent_electronic_documents', 'false')
+        .attach('td1_federal', pdfBuffer, { filename: 'federal.pdf', contentType: 'application/pdf' })
+        .attach('td1_provincial', pdfBuffer, { filename: 'provincial.pdf', contentType: 'application/pdf' });
+      expect(res.statusCode).toBe(201);
+      rehireEmployeeId = res.body.employee_id;
+
+      const run = await request(app)
+        .post('/api/payroll/runs')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_id: rehireCompanyId,
+          pay_schedule: 'BIWEEKLY',
+          pay_period_start: '2024-01-01',
+          pay_period_end: '2024-01-14',
+          payment_date: '2024-01-19'
+        });
+      expect(run.statusCode).toBe(201);
+      const update = await request(app)
+        .put(`/api/payroll/runs/${run.body.run_id}/entries/${run.body.entries[0].payroll_id}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ hours_worked: 80 });
+      expect(update.statusCode).toBe(200);
+      const finalized = await request(app)
+        .post(`/api/payroll/runs/${run.body.run_id}/finalize`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(finalized.statusCode).toBe(200);
+
+      callbackDate = daysFromToday(10);
+      const offboard = await request(app)
+        .post(`/api/employees/${rehireEmployeeId}/offboard`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          reason_for_leaving: 'LAID_OFF',
+          last_day_worked: '2024-01-12',
+          payout_accrued_vacation: false,
+          callback_date: callbackDate
+        });
+      expect(offboard.statusCode).toBe(200);
+    });
+
+    it('should list offboarded employees whose callback date is approaching', async () => {
+      const res = await getCallbacks({ within_days: 30 });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.employees).toHaveLength(1);
+      expect(res.body.employees[0]).toMatchObject({
+        employee_id: rehireEmployeeId,
+        reason_for_leaving: 'LAID_OFF'
+      });
+      expect(toISODate(new Date(res.body.employees[0].callback_date))).toEqual(callbackDate);
+
+      const later = await getCallbacks({ within_days: 5 });
+      expect(later.body.employees).toHaveLength(0);
+
+      const otherCompany = await getCallbacks({}, clientToken);
+      expect(otherCompany.statusCode).toEqual(403);
+    });
+
+    it('should not reactivate an offboarded employee through an update', async () => {
+      const res = await request(app)
+        .put(`/api/employees/${rehireEmployeeId}`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ is_active: true });
+      expect(res.statusCode).toEqual(409);
+    });
+
+    it('should require the new period to start after the last day worked', async () => {
+      const res = await rehire({ start_date: '2024-01-12' });
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should start a new employment period and restore the kept vacation balance', async () => {
+      const res = await rehire({ start_date: '2024-03-04', pay_rate: 22, position: 'Lead Picker' });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.employee).toMatchObject({ is_active: true, pay_rate: '22.00', position: 'Lead Picker' });
+      expect(toISODate(new Date(res.body.employee.start_date))).toEqual('2024-03-04');
+      expect(res.body.vacation_balance).toEqual({ restored: true, paid_out: false, closed_out: null, hours: 0, amount: 64 });
+
+      const offboarding = await db.query(
+        'SELECT employment_start_date, rehire_date FROM employee_offboarding WHERE employee_id = $1',
+        [rehireEmployeeId]
+      );
+      expect(toISODate(offboarding.rows[0].employment_start_date)).toEqual('2024-01-01');
+      expect(toISODate(offboarding.rows[0].rehire_date)).toEqual('2024-03-04');
+
+      const history = await request(app)
+        .get(`/api/employees/${rehireEmployeeId}/compensation-history`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(history.body.history.map(record => [toISODate(record.effective_from), record.pay_rate, record.reason]))
+        .toEqual([['2024-01-01', '20.00', 'Hired'], ['2024-03-04', '22.00', 'Rehired']]);
+
+      const callbacks = await getCallbacks({ within_days: 30 });
+      expect(callbacks.body.employees).toHaveLength(0);
+      expect((await rehire({ start_date: '2024-04-01' })).statusCode).toEqual(409);
+    });
+
+    it('should keep the earlier period for its Record of Employment and the employment history', async () => {
+      const roe = await request(app)
+        .get(`/api/employees/${rehireEmployeeId}/roe`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(roe.statusCode).toEqual(200);
+      expect(roe.body).toMatchObject({ first_day_worked: '2024-01-01', last_day_for_which_paid: '2024-01-12' });
+      expect(roe.body.insurable_earnings).toEqual([
+        expect.objectContaining({ pay_period_end: '2024-01-14', amount: 1600 })
+      ]);
+
+      const offboard = await request(app)
+        .post(`/api/employees/${rehireEmployeeId}/offboard`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ reason_for_leaving: 'QUIT', last_day_worked: '2024-03-15', payout_accrued_vacation: true });
+      expect(offboard.statusCode).toEqual(200);
+
+      const res = await request(app)
+        .get(`/api/employees/${rehireEmployeeId}/employment-history`)
+        .set('Authorization', `Bearer ${accountantToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.is_active).toBe(false);
+      expect(res.body.periods.map(period => [toISODate(period.start_date), toISODate(period.end_date)]))
+        .toEqual([['2024-01-01', '2024-01-12'], ['2024-03-04', '2024-03-15']]);
+      expect(res.body.periods[1].offboarding.reason_for_leaving).toEqual('QUIT');
+    });
+
+    describe('Vacation on return', () => {
+      const insertEmployee = async (email, startDate) => {
+        const result = await db.query(
+          `INSERT INTO employees (
+            company_id, last_name, first_name, date_of_birth, full_address, email,
+            phone_number, sin, start_date, position, pay_type, pay_rate,
+            pay_schedule, consent_electronic_documents
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+          [rehireCompanyId, 'Return', email.split('@')[0], '1990-09-09', '3 Harvest Rd, Toronto ON', email,
+           '5555555555', '777888999', startDate, 'Picker', 'HOURLY', 20, 'WEEKLY', true]
+        );
+        return result.rows[0].employee_id;
+      };
+
+      // 40 hours at 20: 32.00 of vacation pay at 4%
+      const payAndFinalize = async (employeeId, start, end) => {
+        const created = await request(app)
+          .post('/api/payroll')
+          .set('Authorization', `Bearer ${accountantToken}`)
+          .send({ employee_id: employeeId, pay_period_start: start, pay_period_end: end, hours_worked: 40, payment_date: end });
+        return request(app)
+          .post(`/api/payroll/${created.body.payroll_id}/finalize`)
+          .set('Authorization', `Bearer ${accountantToken}`);
+      };
+
+      const layOff = (employeeId, payout) => request(app)
+        .post(`/api/employees/${employeeId}/offboard`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          reason_for_leaving: 'LAID_OFF',
+          last_day_worked: '2024-01-05',
+          payout_accrued_vacation: payout,
+          callback_date: '2024-02-01'
+        });
+
+      const rehireOn = (employeeId, startDate) => request(app)
+        .post(`/api/employees/${employeeId}/rehire`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ start_date: startDate });
+
+      it('should only restore the balance when recalled by the callback date', async () => {
+        const lateId = await insertEmployee('late.return@test.com', '2024-01-01');
+        await payAndFinalize(lateId, '2024-01-01', '2024-01-07');
+        await layOff(lateId, false);
+        const late = await rehireOn(lateId, '2024-03-04');
+        expect(late.statusCode).toEqual(200);
+        expect(late.body.vacation_balance).toEqual({
+          restored: false, paid_out: false, closed_out: { hours: 0, amount: 32 }, hours: 0, amount: 0
+        });
+
+        // The earlier period's balance is closed out, so the new employment's balance is its own accruals
+        await payAndFinalize(lateId, '2024-03-04', '2024-03-10');
+        const vacation = await request(app)
+          .get(`/api/employees/${lateId}/vacation`)
+          .set('Authorization', `Bearer ${accountantToken}`);
+        expect(vacation.body.ledger.map(row => row.entry_type)).toEqual(['ACCRUAL', 'CLOSE_OUT', 'ACCRUAL']);
+        expect(vacation.body.ledger[1].note).toMatch(/employment ending 2024-01-05/);
+        expect(vacation.body.balance_amount).toEqual(32);
+
+        // A recall before the payout was finalized drops the payout and keeps the balance
+        const recalledId = await insertEmployee('early.return@test.com', '2024-01-01');
+        await payAndFinalize(recalledId, '2024-01-01', '2024-01-07');
+        const offboard = await layOff(recalledId, true);
+        expect(offboard.body.vacation_payout.vacation_pay).toEqual('32.00');
+        const recalled = await rehireOn(recalledId, '2024-01-22');
+        expect(recalled.statusCode).toEqual(200);
+        expect(recalled.body.vacation_balance).toEqual({ restored: true, paid_out: false, closed_out: null, hours: 0, amount: 32 });
+        const payout = await db.query('SELECT * FROM payroll_entries WHERE payroll_id = $1',
+          [offboard.body.vacation_payout.payroll_id]);
+        expect(payout.rows).toHaveLength(0);
+      });
+
+      it('should only pay out the earlier period when the payout is finalized after a rehire', async () => {
+        const employeeId = await insertEmployee('paid.return@test.com', '2024-01-01');
+        await payAndFinalize(employeeId, '2024-01-01', '2024-01-07');
+        const offboard = await layOff(employeeId, true);
+        await rehireOn(employeeId, '2024-03-04');
+        await payAndFinalize(employeeId, '2024-03-04', '2024-03-10');
+
+        const res = await request(app)
+          .post(`/api/payroll/${offboard.body.vacation_payout.payroll_id}/finalize`)
+          .set('Authorization', `Bearer ${accountantToken}`);
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.vacation_pay).toEqual('32.00');
+
+        const vacation = await request(app)
+          .get(`/api/employees/${employeeId}/vacation`)
+          .set('Authorization', `Bearer ${accountantToken}`);
+        expect(vacation.body.ledger.map(row => row.entry_type)).toEqual(['ACCRUAL', 'ACCRUAL', 'PAYOUT']);
+        expect(vacation.body.ledger[2]).toMatchObject({ amount_used: '32.00', amount_balance: '32.00' });
+        expect(vacation.body.balance_amount).toEqual(32);
+      });
+
+      it('should count earlier employment periods towards years of service', async () => {
+        const returningId = await insertEmployee('long.return@test.com', '2024-01-08');
+        await db.query(
+          `INSERT INTO employee_offboarding (
+            employee_id, reason_for_leaving, last_day_worked, payout_accrued_vacation, employment_start_date, rehire_date
+          ) VALUES ($1, 'LAID_OFF', '2023-06-30', true, '2018-01-01', '2024-01-08')`,
+          [returningId]
+        );
+        expect((await payAndFinalize(returningId, '2024-01-08', '2024-01-14')).statusCode).toEqual(200);
+
+        const res = await request(app)
+          .get(`/api/employees/${returningId}/vacation`)
+          .set('Authorization', `Bearer ${accountantToken}`);
+        expect(res.body.ledger[0]).toMatchObject({ accrual_rate: '0.0600', amount_accrued: '48.00' });
+      });
+    });
+  });
+
+  describe('Overtime Policies', () => {
+    let policyId, shiftWorkerId;
+
+    const weeklyPayroll = (body) => request(app)
+      .post('/api/payroll')
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send({
+        employee_id: shiftWorkerId,
+        pay_period_start: '2024-05-06',
+        pay_period_end: '2024-05-12',
+        payment_date: '2024-05-17',
+        ...body
+      });
+
+    beforeAll(async () => {
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+        [companyId, 'Worker', 'Sam', '1990-03-03', '3 Shift St', 'shift.worker@test.com',
+         '5555555555', '444555666', '2024-01-01', 'Operator', 'HOURLY', 20, 'WEEKLY', true]
+      );
+      shiftWorkerId = result.rows[0].employee_id;
+    });
+
+    it('should apply the provincial weekly threshold by default', async () => {
+      const res = await weeklyPayroll({ hours_worked: 50, overtime_hours: 0 });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.overtime_hours).toEqual('6.00');
+      expect(res.body.gross_pay).toEqual('1060.00');
+    });
+
+    it('should create a company overtime policy', async () => {
+      const res = await request(app)
+        .post(`/api/companies/${companyId}/overtime-policies`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ daily_threshold: 8, double_time_daily_threshold: 12 });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.overtime_multiplier).toEqual('1.50');
+      policyId = res.body.policy_id;
+
+      const duplicate = await request(app)
+        .post(`/api/companies/${companyId}/overtime-policies`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ weekly_threshold: 40 });
+      expect(duplicate.statusCode).toEqual(409);
+    });
+
+    it('should split daily hours into regular, overtime and double time', async () => {
+      const res = await weeklyPayroll({
+        daily_hours: [
+          { work_date: '2024-05-06', hours: 10 },
+          { work_date: '2024-05-07', hours: 13 },
+          { work_date: '2024-05-08', hours: 8 },
+          { work_date: '2024-05-09', hours: 8 },
+          { work_date: '2024-05-10', hours: 8 }
+        ]
+      });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.hours_worked).toEqual('47.00');
+      expect(res.body.overtime_hours).toEqual('6.00');
+      expect(res.body.double_time_hours).toEqual('1.00');
+      // 40 x 20 + 6 x 30 + 1 x 40
+      expect(res.body.gross_pay).toEqual('1020.00');
+    });
+
+    it('should reject daily hours outside the pay period', async () => {
+      const res = await weeklyPayroll({ daily_hours: [{ work_date: '2024-05-13', hours: 8 }] });
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should reject a work date listed more than once', async () => {
+      // Split across two rows, 12 hours on one day would otherwise escape the daily thresholds
+      const res = await weeklyPayroll({
+        daily_hours: [{ work_date: '2024-05-06', hours: 6 }, { work_date: '2024-05-06', hours: 6 }]
+      });
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.errors[0]).toMatchObject({
+        path: 'daily_hours', msg: 'Each work_date can only be listed once in daily_hours'
+      });
+    });
+
+    it('should delete a company overtime policy', async () => {
+      const res = await request(app)
+        .delete(`/api/companies/${companyId}/overtime-policies/${policyId}`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(res.statusCode).toEqual(200);
+
+      const list = await request(app)
+        .get(`/api/companies/${companyId}/overtime-policies`)
+        .set('Authorization', `Bearer ${clientToken}`);
+      expect(list.body.overtimePolicies).toHaveLength(0);
+      expect(list.body.provincialDefaults.ON.weekly_threshold).toEqual(44);
+    });
+  });
+
+  describe('Pay Calendar Routes', () => {
+    let calendarId, monthlyEmployeeId;
+
+    beforeAll(async () => {
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+        [companyId, 'Monthly', 'Mia', '1980-02-02', '2 Month St', 'monthly@test.com',
+         '5555555555', '222333444', '2024-01-01', 'Controller', 'SALARY', 96000, 'MONTHLY', true]
+      );
+      monthlyEmployeeId = result.rows[0].employee_id;
+    });
+
+    it('should create a pay calendar for a company', async () => {
+      const res = await request(app)
+        .post(`/api/companies/${companyId}/pay-calendars`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ pay_schedule: 'MONTHLY', anchor_date: '2024-01-01' });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.holiday_shift).toEqual('PREVIOUS');
+      calendarId = res.body.calendar_id;
+    });
+
+    it('should not create two calendars for the same pay schedule', async () => {
+      const res = await request(app)
+        .post(`/api/companies/${companyId}/pay-calendars`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ pay_schedule: 'MONTHLY', anchor_date: '2024-01-15' });
+      expect(res.statusCode).toEqual(409);
+    });
+
+    it('should list upcoming periods with holiday-shifted pay dates', async () => {
+      const res = await request(app)
+        .get(`/api/companies/${companyId}/pay-calendars/${calendarId}/periods`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .query({ from: '2024-03-15', count: 3 });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.periods).toHaveLength(3);
+      expect(res.body.periods[0]).toMatchObject({
+        pay_period_start: '2024-03-01',
+        pay_period_end: '2024-03-31',
+        payment_date: '2024-03-28'
+      });
+    });
+
+    it('should reject payroll entries outside the calendar periods', async () => {
+      const res = await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: monthlyEmployeeId,
+          pay_period_start: '2024-03-05',
+          pay_period_end: '2024-04-04',
+          hours_worked: 160,
+          overtime_hours: 0,
+          payment_date: '2024-04-05'
+        });
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error).toMatch(/pay calendar/);
+    });
+
+    it('should reject payment dates other than the calendar\'s pay date', async () => {
+      // March 31 2024 is a Sunday and Good Friday falls on the 29th, so March's pay date moves back to the 28th
+      const res = await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: monthlyEmployeeId,
+          pay_period_start: '2024-03-01',
+          pay_period_end: '2024-03-31',
+          payment_date: '2024-03-31'
+        });
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error).toEqual(
+        'Payment date 2024-03-31 does not match the MONTHLY pay calendar\'s pay date for this period (2024-03-28)'
+      );
+
+      const runRes = await request(app)
+        .post('/api/payroll/runs')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_id: companyId,
+          pay_schedule: 'MONTHLY',
+          pay_period_start: '2024-04-01',
+          pay_period_end: '2024-04-30',
+          payment_date: '2024-05-03'
+        });
+      expect(runRes.statusCode).toEqual(400);
+      expect(runRes.body.error).toMatch(/pay date for this period \(2024-04-30\)/);
+    });
+
+    it('should accept payroll entries that match a calendar period', async () => {
+      const res = await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: monthlyEmployeeId,
+          pay_period_start: '2024-03-01',
+          pay_period_end: '2024-03-31',
+          hours_worked: 160,
+          overtime_hours: 0,
+          payment_date: '2024-03-28'
+        });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.gross_pay).toEqual('8000.00');
+    });
+
+    it('should pay semi-monthly salaries over 24 periods', async () => {
+      await db.query("UPDATE employees SET pay_schedule = 'SEMI_MONTHLY' WHERE employee_id = $1", [monthlyEmployeeId]);
+
+      const res = await request(app)
+        .post('/api/payroll')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          employee_id: monthlyEmployeeId,
+          pay_period_start: '2024-04-16',
+          pay_period_end: '2024-04-30',
+          hours_worked: 80,
+          overtime_hours: 0,
+          payment_date: '2024-04-30'
+        });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.gross_pay).toEqual('4000.00');
+
+      await db.query("UPDATE employees SET pay_schedule = 'MONTHLY' WHERE employee_id = $1", [monthlyEmployeeId]);
+    });
+
+    it('should reject pay runs outside the calendar periods', async () => {
+      const res = await request(app)
+        .post('/api/payroll/runs')
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({
+          company_id: companyId,
+          pay_schedule: 'MONTHLY',
+          pay_period_start: '2024-04-02',
+          pay_period_end: '2024-05-01',
+          payment_date: '2024-05-03'
+        });
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  describe('Salary Proration', () => {
+    let newHireId;
+
+    // The company's monthly pay calendar pays on the last business day of the period
+    const monthlyPayroll = (employeeId, start, end, paymentDate = end) => request(app)
+      .post('/api/payroll')
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .send({
+        employee_id: employeeId,
+        pay_period_start: start,
+        pay_period_end: end,
+        hours_worked: 0,
+        overtime_hours: 0,
+        payment_date: paymentDate
+      });
+
+    beforeAll(async () => {
+      const result = await db.query(
+        `INSERT INTO employees (
+          company_id, last_name, first_name, date_of_birth, full_address, email,
+          phone_number, sin, start_date, position, pay_type, pay_rate,
+          pay_schedule, consent_electronic_documents
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING employee_id`,
+        [companyId, 'Hire', 'Nora', '1992-05-05', '5 New St', 'newhire@test.com',
+         '5555555555', '333444555', '2024-03-18', 'Analyst', 'SALARY', 96000, 'MONTHLY', true]
+      );
+      newHireId = result.rows[0].employee_id;
+    });
+
+    it('should prorate salary by working days from the start date', async () => {
+      // 10 of March 2024's 21 weekdays fall on or after March 18
+      const res = await monthlyPayroll(newHireId, '2024-03-01', '2024-03-31', '2024-03-28');
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.gross_pay).toEqual('3809.52');
+    });
+
+    it('should prorate salary up to the last day worked', async () => {
+      const offboard = await request(app)
+        .post(`/api/employees/${newHireId}/offboard`)
+        .set('Authorization', `Bearer ${accountantToken}`)
+        .send({ reason_for_leaving: 'QUIT', last_day_worked: '2024-04-12', payout_accrued_vacation: false });
+      expect(offboard.statusCode).toEqual(200);
+
+      // 10 of April 2024's 22 weekdays fall on or before April 12
+      const res = await monthlyPayroll(newHireId, '2024-04-01', '2024-04-30');
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.gross_pay).toEqual('3636.36');
     });
   });
 
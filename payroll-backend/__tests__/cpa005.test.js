@@ -0,0 +1,56 @@
+const { buildCreditFile, readCreditTotals, julianDate, RECORD_LENGTH } = require('../utils/cpa005');
+
+const settings = {
+  originator_id: 'ORIG000001',
+  originator_short_name: 'Acme',
+  originator_long_name: 'Acme Payroll Services',
+  destination_data_centre: '00320',
+  return_institution_number: '001',
+  return_transit_number: '00011',
+  return_account_number: '1234567',
+  transaction_code: '200'
+};
+
+const credit = (index, amountCents) => ({
+  payee_name: `Employé ${index}`,
+  institution_number: '004',
+  transit_number: '12345',
+  account_number: '9876543',
+  amount_cents: amountCents,
+  due_date: '2024-04-12',
+  cross_reference: `R1P${index}`
+});
+
+describe('CPA-005 files', () => {
+  it('should write dates as 0YYDDD', () => {
+    expect(julianDate('2024-01-01')).toBe('024001');
+    expect(julianDate('2024-12-31')).toBe('024366');
+  });
+
+  it('should write fixed-length header, credit and trailer records', () => {
+    const credits = Array.from({ length: 7 }, (_, i) => credit(i + 1, 100000 + i));
+    const content = buildCreditFile(settings, 12, '2024-04-10', credits);
+    const records = content.split('\r\n').filter(Boolean);
+
+    expect(records.map(record => record[0])).toEqual(['A', 'C', 'C', 'Z']);
+    expect(records.every(record => record.length === RECORD_LENGTH)).toBeTruthy();
+    expect(records.map(record => record.slice(1, 10))).toEqual(['000000001', '000000002', '000000003', '000000004']);
+
+    expect(records[0].slice(10, 35)).toBe('ORIG0000010012024101' + '00320');
+    expect(records[0].slice(55, 58)).toBe('CAD');
+
+    // Six segments in the first C record, one in the second
+    const segment = records[1].slice(24, 264);
+    expect(segment.slice(0, 3)).toBe('200');
+    expect(segment.slice(3, 13)).toBe('0000100000');
+    expect(segment.slice(13, 19)).toBe('024103');
+    expect(segment.slice(19, 28)).toBe('000412345');
+    expect(segment.slice(28, 40)).toBe('9876543     ');
+    expect(segment.slice(80, 110)).toBe('Employe 1'.padEnd(30, ' '));
+    expect(segment.slice(169, 178)).toBe('000100011');
+    expect(records[2].slice(24, 27)).toBe('200');
+    expect(records[2].slice(264).trim()).toBe('');
+
+    expect(readCreditTotals(content)).toEqual({ total_cents: 700021, credit_count: 7 });
+  });
+});
@@ -0,0 +1,54 @@
+const { splitHours, PROVINCIAL_OVERTIME_RULES } = require('../utils/overtimeRules');
+
+const policy = (rules) => ({ overtime_multiplier: 1.5, double_time_multiplier: 2, ...rules });
+
+describe('Overtime Rules', () => {
+  it('should apply a weekly threshold across the weeks of a period', () => {
+    const hours = splitHours(policy({ weekly_threshold: 44 }), {
+      periodStart: '2024-05-06', periodEnd: '2024-05-19', hoursWorked: 92
+    });
+    expect(hours).toEqual({ hours_worked: 92, regular_hours: 88, overtime_hours: 4, double_time_hours: 0 });
+  });
+
+  it('should apply daily thresholds before the weekly threshold', () => {
+    const hours = splitHours(policy(PROVINCIAL_OVERTIME_RULES.BC), {
+      periodStart: '2024-05-06',
+      periodEnd: '2024-05-12',
+      dailyHours: [
+        { work_date: '2024-05-06', hours: 14 },
+        { work_date: '2024-05-07', hours: 8 },
+        { work_date: '2024-05-08', hours: 8 },
+        { work_date: '2024-05-09', hours: 8 },
+        { work_date: '2024-05-10', hours: 8 },
+        { work_date: '2024-05-11', hours: 8 }
+      ]
+    });
+    // 48 regular hours after daily overtime, 8 over the 40 hour week
+    expect(hours).toEqual({ hours_worked: 54, regular_hours: 40, overtime_hours: 12, double_time_hours: 2 });
+  });
+
+  it('should apply the weekly threshold to each week separately', () => {
+    const dailyHours = ['2024-05-06', '2024-05-07', '2024-05-08', '2024-05-09', '2024-05-10']
+      .map(work_date => ({ work_date, hours: 10 }));
+    const hours = splitHours(policy({ weekly_threshold: 44 }), {
+      periodStart: '2024-05-06', periodEnd: '2024-05-19', dailyHours
+    });
+    expect(hours).toEqual({ hours_worked: 50, regular_hours: 44, overtime_hours: 6, double_time_hours: 0 });
+  });
+
+  it('should pay all hours worked on a statutory holiday at the overtime rate', () => {
+    const dailyHours = ['2024-08-05', '2024-08-06', '2024-08-07', '2024-08-08', '2024-08-09']
+      .map(work_date => ({ work_date, hours: 9 }));
+    const hours = splitHours(policy(PROVINCIAL_OVERTIME_RULES.BC), {
+      periodStart: '2024-08-05', periodEnd: '2024-08-11', dailyHours, holidays: ['2024-08-05']
+    });
+    // 9 holiday hours plus 1 daily overtime hour on each of the other four days
+    expect(hours).toEqual({ hours_worked: 45, regular_hours: 32, overtime_hours: 13, double_time_hours: 0 });
+  });
+
+  it('should reject hours outside the pay period', () => {
+    expect(() => splitHours(policy({ weekly_threshold: 44 }), {
+      periodStart: '2024-05-06', periodEnd: '2024-05-12', dailyHours: [{ work_date: '2024-05-13', hours: 8 }]
+    })).toThrow('outside the pay period');
+  });
+});
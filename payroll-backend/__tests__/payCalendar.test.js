@@ -0,0 +1,102 @@
+const { generatePeriods, findCalendarPeriod, shiftToBusinessDay, countWorkingDays } = require('../utils/payCalendar');
+const { getHolidays, isHoliday, easterSunday } = require('../utils/holidays');
+
+describe('Pay Calendar', () => {
+  describe('Holidays', () => {
+    it('should calculate movable holidays', () => {
+      const holidays = getHolidays(2024).map(holiday => holiday.date);
+      expect(easterSunday(2024).toISOString().split('T')[0]).toBe('2024-03-31');
+      expect(holidays).toEqual(expect.arrayContaining([
+        '2024-03-29', // Good Friday
+        '2024-05-20', // Victoria Day
+        '2024-09-02', // Labour Day
+        '2024-10-14' // Thanksgiving
+      ]));
+    });
+
+    it('should list each province\'s statutory holidays', () => {
+      const ontario = getHolidays(2024, 'ON').map(holiday => holiday.date);
+      expect(ontario).toEqual(expect.arrayContaining(['2024-02-19', '2024-12-26']));
+      expect(ontario).not.toContain('2024-08-05');
+
+      expect(isHoliday('2024-08-05', 'BC')).toBe(true); // British Columbia Day
+      expect(isHoliday('2024-09-30', 'BC')).toBe(true);
+      expect(isHoliday('2024-06-24', 'QC')).toBe(true);
+      expect(isHoliday('2024-06-24')).toBe(false);
+      expect(() => getHolidays(2024, 'XX')).toThrow('No statutory holidays');
+    });
+
+    it('should observe weekend holidays on the next free weekday', () => {
+      // Christmas 2022 was a Sunday and Boxing Day a Monday
+      const holidays = getHolidays(2022).map(holiday => holiday.date);
+      expect(holidays).toEqual(expect.arrayContaining(['2022-12-25', '2022-12-26', '2022-12-27']));
+    });
+  });
+
+  describe('Pay date shifting', () => {
+    it('should move pay dates off weekends and holidays', () => {
+      expect(shiftToBusinessDay('2024-03-29')).toBe('2024-03-28');
+      expect(shiftToBusinessDay('2024-03-29', 'NEXT')).toBe('2024-04-01');
+      expect(shiftToBusinessDay('2024-04-05')).toBe('2024-04-05');
+    });
+  });
+
+  describe('Working days', () => {
+    it('should count weekdays inclusively, including holidays', () => {
+      expect(countWorkingDays('2024-03-01', '2024-03-31')).toBe(21);
+      expect(countWorkingDays('2024-03-29', '2024-03-31')).toBe(1);
+      expect(countWorkingDays('2024-03-30', '2024-03-31')).toBe(0);
+    });
+  });
+
+  describe('Period generation', () => {
+    const biweekly = { pay_schedule: 'BIWEEKLY', anchor_date: '2024-01-01', pay_date_offset_days: 5, holiday_shift: 'PREVIOUS' };
+    const monthly = { pay_schedule: 'MONTHLY', anchor_date: '2024-01-01', pay_date_offset_days: 0, holiday_shift: 'PREVIOUS' };
+
+    it('should generate biweekly periods from the anchor date', () => {
+      const periods = generatePeriods(biweekly, '2024-03-27', 2);
+      expect(periods[0]).toEqual({
+        period_number: 7,
+        pay_period_start: '2024-03-25',
+        pay_period_end: '2024-04-07',
+        payment_date: '2024-04-12'
+      });
+      expect(periods[1].pay_period_start).toBe('2024-04-08');
+    });
+
+    it('should generate calendar-month periods and shift pay dates', () => {
+      const periods = generatePeriods(monthly, '2024-02-10', 2);
+      expect(periods[0]).toMatchObject({ pay_period_start: '2024-02-01', pay_period_end: '2024-02-29', payment_date: '2024-02-29' });
+      // March 31 is a Sunday and March 29 is Good Friday
+      expect(periods[1]).toMatchObject({ pay_period_start: '2024-03-01', pay_period_end: '2024-03-31', payment_date: '2024-03-28' });
+    });
+
+    it('should clamp month-end anchors in short months', () => {
+      const periods = generatePeriods({ ...monthly, anchor_date: '2024-01-31' }, '2024-01-31', 2);
+      expect(periods[0]).toMatchObject({ pay_period_start: '2024-01-31', pay_period_end: '2024-02-28' });
+      expect(periods[1]).toMatchObject({ pay_period_start: '2024-02-29', pay_period_end: '2024-03-30' });
+    });
+
+    it('should generate semi-monthly periods ending on the 15th and the last day of the month', () => {
+      const semiMonthly = { ...monthly, pay_schedule: 'SEMI_MONTHLY' };
+      const periods = generatePeriods(semiMonthly, '2024-02-10', 3);
+      expect(periods.map(period => [period.pay_period_start, period.pay_period_end])).toEqual([
+        ['2024-02-01', '2024-02-15'],
+        ['2024-02-16', '2024-02-29'],
+        ['2024-03-01', '2024-03-15']
+      ]);
+      expect(periods[0].period_number).toBe(3);
+      // December 31 2024 is a Tuesday, so the last period of the year pays on time
+      expect(generatePeriods(semiMonthly, '2024-12-20', 2).map(period => period.payment_date))
+        .toEqual(['2024-12-31', '2025-01-15']);
+      expect(findCalendarPeriod(semiMonthly, '2024-06-16', '2024-06-30')).not.toBeNull();
+      expect(findCalendarPeriod(semiMonthly, '2024-06-16', '2024-07-15')).toBeNull();
+    });
+
+    it('should match only exact calendar periods', () => {
+      expect(findCalendarPeriod(biweekly, '2024-01-15', '2024-01-28')).not.toBeNull();
+      expect(findCalendarPeriod(biweekly, '2024-01-16', '2024-01-29')).toBeNull();
+      expect(findCalendarPeriod(biweekly, '2023-12-18', '2023-12-31')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const { calculatePayroll, calculateEarnings, calculateGrossPay } = require('../utils/payrollCalculator');
+
+const lineAmount = (result, type) => result.deductions.find(line => line.deduction_type === type).amount;
+
+describe('Payroll Calculator', () => {
+  describe('Gross pay', () => {
+    it('should prorate an annual salary by pay schedule', () => {
+      expect(calculateGrossPay({ payType: 'SALARY', payRate: 52000, paySchedule: 'WEEKLY' })).toBe(1000);
+      expect(calculateGrossPay({ payType: 'SALARY', payRate: 60000, paySchedule: 'MONTHLY' })).toBe(5000);
+      expect(calculateGrossPay({ payType: 'SALARY', payRate: 60000, paySchedule: 'SEMI_MONTHLY' })).toBe(2500);
+    });
+
+    it('should apply a proration factor to salaries only', () => {
+      expect(calculateGrossPay({ payType: 'SALARY', payRate: 52000, paySchedule: 'WEEKLY', prorationFactor: 0.6 })).toBe(600);
+      expect(calculateGrossPay({
+        payType: 'HOURLY', payRate: 20, paySchedule: 'WEEKLY', hoursWorked: 24, prorationFactor: 0.6
+      })).toBe(480);
+    });
+
+    it('should pay hourly overtime at time and a half', () => {
+      const gross = calculateGrossPay({
+        payType: 'HOURLY', payRate: 20, paySchedule: 'WEEKLY', hoursWorked: 40, overtimeHours: 5
+      });
+      expect(gross).toBe(950);
+    });
+
+    it('should pay double time and custom overtime multipliers', () => {
+      const gross = calculateGrossPay({
+        payType: 'HOURLY', payRate: 20, paySchedule: 'WEEKLY', hoursWorked: 40, overtimeHours: 4,
+        doubleTimeHours: 2, overtimeMultiplier: 1.75
+      });
+      expect(gross).toBe(800 + 140 + 80);
+    });
+
+    it('should itemize regular, overtime and double time earnings', () => {
+      const lines = calculateEarnings({
+        payType: 'HOURLY', payRate: 20, paySchedule: 'WEEKLY', hoursWorked: 40, overtimeHours: 4, doubleTimeHours: 2
+      });
+      expect(lines).toEqual([
+        { earning_type: 'REGULAR', hours: 40, rate: 20, amount: 800 },
+        { earning_type: 'OVERTIME', hours: 4, rate: 30, amount: 120 },
+        { earning_type: 'DOUBLE_TIME', hours: 2, rate: 40, amount: 80 }
+      ]);
+      expect(calculateEarnings({ payType: 'SALARY', payRate: 52000, paySchedule: 'WEEKLY' }))
+        .toEqual([{ earning_type: 'SALARY', hours: null, rate: null, amount: 1000 }]);
+    });
+
+    it('should reject an unknown pay type', () => {
+      expect(() => calculateGrossPay({ payType: 'COMMISSION', payRate: 10, paySchedule: 'WEEKLY' }))
+        .toThrow('Unsupported pay type');
+    });
+
+    it('should use supplied earnings instead of pay type and hours', () => {
+      const result = calculatePayroll({
+        payType: 'SALARY', payRate: 52000, paySchedule: 'WEEKLY', paymentDate: '2024-06-21', earnings: 400
+      });
+      expect(result.gross_pay).toBe(400);
+      expect(result.net_pay).toBeCloseTo(400 - result.total_deductions, 2);
+      expect(result.earning_lines).toEqual([{ earning_type: 'OTHER', hours: null, rate: null, amount: 400 }]);
+    });
+
+    it('should use supplied itemized earning lines', () => {
+      const result = calculatePayroll({
+        payType: 'HOURLY',
+        payRate: 22,
+        paySchedule: 'BIWEEKLY',
+        paymentDate: '2024-06-21',
+        earnings: [
+          { earning_type: 'RETRO_REGULAR', hours: '80.00', rate: null, amount: '160.00' },
+          { earning_type: 'RETRO_OVERTIME', hours: 4, rate: null, amount: 12 }
+        ]
+      });
+      expect(result.gross_pay).toBe(172);
+      expect(result.earning_lines).toEqual([
+        { earning_type: 'RETRO_REGULAR', hours: 80, rate: null, amount: 160 },
+        { earning_type: 'RETRO_OVERTIME', hours: 4, rate: null, amount: 12 }
+      ]);
+    });
+  });
+
+  describe('Statutory deductions', () => {
+    const result = calculatePayroll({
+      payType: 'SALARY',
+      payRate: 50000,
+      paySchedule: 'BIWEEKLY',
+      paymentDate: '2024-03-15',
+      province: 'ON'
+    });
+
+    it('should calculate CPP and EI for the period', () => {
+      // CPP: 5.95% of (1923.08 - 3500 / 26), EI: 1.66% of gross
+      expect(lineAmount(result, 'CPP')).toBe(106.41);
+      expect(lineAmount(result, 'EI')).toBe(31.92);
+    });
+
+    it('should record the employer portion of CPP and EI', () => {
+      const cpp = result.deductions.find(line => line.deduction_type === 'CPP');
+      const ei = result.deductions.find(line => line.deduction_type === 'EI');
+      expect(cpp.employer_amount).toBe(cpp.amount);
+      expect(ei.employer_amount).toBe(44.69);
+    });
+
+    it('should withhold federal and provincial income tax', () => {
+      expect(lineAmount(result, 'FEDERAL_TAX')).toBeGreaterThan(160);
+      expect(lineAmount(result, 'FEDERAL_TAX')).toBeLessThan(180);
+      expect(lineAmount(result, 'PROVINCIAL_TAX')).toBeGreaterThan(80);
+      expect(lineAmount(result, 'PROVINCIAL_TAX')).toBeLessThan(100);
+    });
+
+    it('should balance gross, deductions and net pay', () => {
+      expect(result.net_pay).toBeCloseTo(result.gross_pay - result.total_deductions, 2);
+    });
+
+    it('should not withhold income tax below the basic personal amounts', () => {
+      const low = calculatePayroll({
+        payType: 'HOURLY', payRate: 17, paySchedule: 'WEEKLY', hoursWorked: 10, paymentDate: '2024-03-15'
+      });
+      expect(lineAmount(low, 'FEDERAL_TAX')).toBe(0);
+      expect(lineAmount(low, 'PROVINCIAL_TAX')).toBe(0);
+    });
+
+    it('should reject provinces without tax tables', () => {
+      expect(() => calculatePayroll({
+        payType: 'SALARY', payRate: 50000, paySchedule: 'BIWEEKLY', paymentDate: '2024-03-15', province: 'QC'
+      })).toThrow('not supported');
+    });
+  });
+
+  describe('Annual maximums', () => {
+    const biweekly = (yearToDate, paymentDate = '2024-11-29') => calculatePayroll({
+      payType: 'SALARY', payRate: 78000, paySchedule: 'BIWEEKLY', paymentDate, yearToDate
+    });
+
+    it('should deduct only what is left of the CPP and EI maximums', () => {
+      const result = biweekly({ gross_pay: 60000, cpp: 3850, ei: 1040 });
+      expect(lineAmount(result, 'CPP')).toBe(17.5);
+      expect(lineAmount(result, 'EI')).toBe(9.12);
+    });
+
+    it('should stop CPP and EI once the maximums are reached', () => {
+      const result = biweekly({ gross_pay: 72000, cpp: 3867.5, cpp2: 100, ei: 1049.12 });
+      expect(lineAmount(result, 'CPP')).toBe(0);
+      expect(lineAmount(result, 'EI')).toBe(0);
+      expect(result.net_pay).toBeCloseTo(result.gross_pay - result.total_deductions, 2);
+    });
+
+    it('should deduct CPP2 on earnings between the YMPE and the YAMPE', () => {
+      // 3000 gross takes pensionable earnings from 67500 to 70500: 2000 above the YMPE at 4%
+      const crossing = calculatePayroll({
+        payType: 'SALARY', payRate: 78000, paySchedule: 'BIWEEKLY', paymentDate: '2024-11-29',
+        earnings: 3000, yearToDate: { gross_pay: 67500, cpp: 3800 }
+      });
+      const cpp2 = crossing.deductions.find(line => line.deduction_type === 'CPP2');
+      expect(cpp2.amount).toBe(80);
+      expect(cpp2.employer_amount).toBe(80);
+
+      expect(lineAmount(biweekly({ gross_pay: 72000, cpp: 3867.5, cpp2: 100 }), 'CPP2')).toBe(48);
+      expect(biweekly({}).deductions.some(line => line.deduction_type === 'CPP2')).toBe(false);
+    });
+
+    it('should apply the maximums of the year the entry is paid in', () => {
+      // 2024 maximums are reached, but 2025 raises them to 4034.10 CPP and 1077.48 EI
+      const result = biweekly({ gross_pay: 60000, cpp: 3867.5, ei: 1049.12 }, '2025-11-28');
+      expect(lineAmount(result, 'CPP')).toBe(166.6);
+      expect(lineAmount(result, 'EI')).toBe(28.36);
+    });
+  });
+
+  describe('TD1 claims', () => {
+    const biweekly = (td1) => calculatePayroll({
+      payType: 'SALARY', payRate: 52000, paySchedule: 'BIWEEKLY', paymentDate: '2024-06-14', td1
+    });
+
+    it('should withhold less tax for a higher claim amount', () => {
+      const basic = biweekly();
+      const claimed = biweekly({
+        federal: { claimAmount: 25000 },
+        provincial: { claimAmount: 20000 }
+      });
+      expect(lineAmount(claimed, 'FEDERAL_TAX')).toBeLessThan(lineAmount(basic, 'FEDERAL_TAX'));
+      expect(lineAmount(claimed, 'PROVINCIAL_TAX')).toBeLessThan(lineAmount(basic, 'PROVINCIAL_TAX'));
+      expect(lineAmount(claimed, 'CPP')).toBe(lineAmount(basic, 'CPP'));
+    });
+
+    it('should withhold no tax when income is below the total claim', () => {
+      const result = biweekly({ federal: { incomeBelowClaim: true }, provincial: { incomeBelowClaim: true } });
+      expect(lineAmount(result, 'FEDERAL_TAX')).toBe(0);
+      expect(lineAmount(result, 'PROVINCIAL_TAX')).toBe(0);
+    });
+
+    it('should add additional tax to the federal tax withheld', () => {
+      const basic = biweekly();
+      const result = biweekly({ federal: { additionalTax: 50 } });
+      expect(lineAmount(result, 'FEDERAL_TAX')).toBeCloseTo(lineAmount(basic, 'FEDERAL_TAX') + 50, 2);
+      expect(lineAmount(result, 'PROVINCIAL_TAX')).toBe(lineAmount(basic, 'PROVINCIAL_TAX'));
+    });
+
+    it('should take the prescribed zone deduction off taxable income', () => {
+      const basic = biweekly();
+      const result = biweekly({ federal: { prescribedZoneDeduction: 4000 } });
+      expect(lineAmount(result, 'FEDERAL_TAX')).toBeLessThan(lineAmount(basic, 'FEDERAL_TAX'));
+      expect(lineAmount(result, 'PROVINCIAL_TAX')).toBeLessThan(lineAmount(basic, 'PROVINCIAL_TAX'));
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { remittancePeriodFor, remittancePeriodsBetween } = require('../utils/remittances');
+
+describe('Remittance periods', () => {
+  it('should make regular remittances due on the 15th of the following month', () => {
+    expect(remittancePeriodFor('REGULAR', '2024-01-12')).toEqual({
+      period_start: '2024-01-01',
+      period_end: '2024-01-31',
+      due_date: '2024-02-15'
+    });
+    // September 15, 2024 was a Sunday
+    expect(remittancePeriodFor('REGULAR', '2024-08-30').due_date).toBe('2024-09-16');
+  });
+
+  it('should group quarterly remittances by calendar quarter', () => {
+    expect(remittancePeriodFor('QUARTERLY', '2024-05-10')).toEqual({
+      period_start: '2024-04-01',
+      period_end: '2024-06-30',
+      due_date: '2024-07-15'
+    });
+  });
+
+  it('should split accelerated threshold 1 remittances at the 15th', () => {
+    expect(remittancePeriodFor('ACCELERATED_THRESHOLD_1', '2024-03-05')).toEqual({
+      period_start: '2024-03-01',
+      period_end: '2024-03-15',
+      due_date: '2024-03-25'
+    });
+    expect(remittancePeriodFor('ACCELERATED_THRESHOLD_1', '2024-03-20')).toEqual({
+      period_start: '2024-03-16',
+      period_end: '2024-03-31',
+      due_date: '2024-04-10'
+    });
+  });
+
+  it('should make accelerated threshold 2 remittances due three working days after each quarter-month', () => {
+    expect(remittancePeriodFor('ACCELERATED_THRESHOLD_2', '2024-01-10')).toEqual({
+      period_start: '2024-01-08',
+      period_end: '2024-01-14',
+      due_date: '2024-01-17'
+    });
+    expect(remittancePeriodFor('ACCELERATED_THRESHOLD_2', '2024-02-25')).toMatchObject({
+      period_start: '2024-02-22',
+      period_end: '2024-02-29'
+    });
+  });
+
+  it('should list the periods overlapping a date range', () => {
+    expect(remittancePeriodsBetween('REGULAR', '2024-01-15', '2024-03-01').map(period => period.period_start))
+      .toEqual(['2024-01-01', '2024-02-01', '2024-03-01']);
+    expect(remittancePeriodsBetween('ACCELERATED_THRESHOLD_2', '2024-01-01', '2024-12-31')).toHaveLength(48);
+  });
+});
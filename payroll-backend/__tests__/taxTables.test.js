@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTaxTable, loadTaxTableVersions, listTaxTableVersions } = require('../utils/taxTables');
+const { calculatePayroll } = require('../utils/payrollCalculator');
+
+const writeTable = (dir, effectiveDate, fileName, content) => {
+  fs.mkdirSync(path.join(dir, effectiveDate), { recursive: true });
+  fs.writeFileSync(path.join(dir, effectiveDate, fileName),
+    typeof content === 'string' ? content : JSON.stringify(content));
+};
+
+const federal = (lowestRate) => ({
+  brackets: [{ threshold: 0, rate: lowestRate }, { threshold: 50000, rate: 0.205 }],
+  basicPersonalAmount: 15000,
+  basicPersonalAmountMin: 14000,
+  canadaEmploymentAmount: 1400
+});
+const cpp = { rate: 0.0595, baseRate: 0.0495, basicExemption: 3500, ympe: 68500, maxContribution: 3867.5 };
+const ei = { rate: 0.0166, employerMultiplier: 1.4, maxInsurableEarnings: 63200, maxPremium: 1049.12 };
+
+describe('Tax Tables', () => {
+  describe('Bundled tables', () => {
+    it('should pick each jurisdiction\'s version in effect on the payment date', () => {
+      const december = getTaxTable('2024-12-31');
+      expect(december.versions.federal).toEqual('2024-01-01');
+      expect(december.federal.basicPersonalAmount).toBe(15705);
+
+      const january = getTaxTable('2025-01-01');
+      expect(january.year).toBe(2025);
+      expect(january.versions.federal).toEqual('2025-01-01');
+      expect(january.federal.basicPersonalAmount).toBe(16129);
+      expect(january.cpp.ympe).toBe(71300);
+      expect(january.versions.AB).toEqual('2025-01-01');
+      expect(january.provinces.AB.basicPersonalAmount).toBe(22323);
+
+      const currentYear = getTaxTable('2026-10-16');
+      expect(currentYear.versions.federal).toEqual('2026-01-01');
+      expect(currentYear.federal.brackets[0].rate).toBe(0.14);
+      expect(currentYear.cpp.maxContribution).toBe(4230.45);
+      expect(currentYear.ei.maxPremium).toBe(1123.07);
+
+      const previousYear = getTaxTable('2023-06-30');
+      expect(previousYear.versions.federal).toEqual('2023-01-01');
+      expect(previousYear.cpp.yampe).toBeNull();
+    });
+
+    it('should reject dates no tables cover instead of using another year\'s rates', () => {
+      expect(() => getTaxTable('2019-06-30')).toThrow('No federal tax table covers 2019-06-30');
+      expect(() => getTaxTable('2027-01-08')).toThrow(expect.objectContaining({ isOperational: true, statusCode: 400 }));
+    });
+
+    it('should accept pg Date objects as payment dates', () => {
+      expect(getTaxTable(new Date(2025, 0, 1)).versions.federal).toEqual('2025-01-01');
+    });
+
+    it('should list the versions kept for each jurisdiction', () => {
+      const federalVersions = listTaxTableVersions().find(entry => entry.jurisdiction === 'federal').versions;
+      expect(federalVersions.map(version => version.effective_date)).toEqual(['2023-01-01', '2024-01-01', '2025-01-01', '2026-01-01']);
+      expect(federalVersions[0].source).toEqual('2023-01-01/federal.json');
+    });
+
+    it('should calculate with the rates in effect on the payment date', () => {
+      const pay = (paymentDate) => calculatePayroll({
+        payType: 'SALARY', payRate: 60000, paySchedule: 'BIWEEKLY', paymentDate
+      });
+      const tax = (result) => result.deductions.find(line => line.deduction_type === 'FEDERAL_TAX').amount;
+      expect(tax(pay('2024-12-27'))).toBe(tax(pay('2024-06-28')));
+      // The higher 2025 basic personal amount lowers federal tax
+      expect(tax(pay('2025-01-10'))).toBeLessThan(tax(pay('2024-12-27')));
+    });
+  });
+
+  describe('Loading parameter files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tax-tables-'));
+      writeTable(dir, '2024-01-01', 'federal.json', federal(0.15));
+      writeTable(dir, '2024-01-01', 'cpp.json', cpp);
+      writeTable(dir, '2024-01-01', 'ei.json', ei);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load CSV files and mid-year versions', () => {
+      writeTable(dir, '2024-07-01', 'federal.csv', [
+        'key,value',
+        'brackets.0.threshold,0',
+        'brackets.0.rate,0.14',
+        'brackets.1.threshold,50000',
+        'brackets.1.rate,0.205',
+        'basicPersonalAmount,15000',
+        'basicPersonalAmountMin,14000',
+        'canadaEmploymentAmount,1400'
+      ].join('\n'));
+      writeTable(dir, '2024-01-01', 'ON.csv', 'key,value\nbrackets.0.threshold,0\nbrackets.0.rate,0.0505\nbasicPersonalAmount,12399\nhealthPremium,true\n');
+
+      const versions = loadTaxTableVersions(dir);
+      expect(getTaxTable('2024-06-30', versions).federal.brackets[0].rate).toBe(0.15);
+      const july = getTaxTable('2024-07-01', versions);
+      expect(july.versions.federal).toEqual('2024-07-01');
+      expect(july.federal).toEqual(federal(0.14));
+      expect(july.provinces.ON).toEqual({
+        brackets: [{ threshold: 0, rate: 0.0505 }], basicPersonalAmount: 12399, healthPremium: true
+      });
+    });
+
+    it('should not carry a jurisdiction\'s tables into a year it has none for', () => {
+      writeTable(dir, '2025-01-01', 'federal.json', federal(0.15));
+      writeTable(dir, '2025-01-01', 'cpp.json', cpp);
+      writeTable(dir, '2025-01-01', 'ei.json', ei);
+      writeTable(dir, '2024-01-01', 'BC.json', { brackets: [{ threshold: 0, rate: 0.0506 }], basicPersonalAmount: 12580 });
+
+      const versions = loadTaxTableVersions(dir);
+      expect(getTaxTable('2024-12-31', versions).versions.BC).toEqual('2024-01-01');
+      expect(() => getTaxTable('2025-01-10', versions)).toThrow('No BC tax table covers 2025-01-10');
+    });
+
+    it('should reject two files for the same jurisdiction and date', () => {
+      writeTable(dir, '2024-01-01', 'federal.csv', [
+        'key,value', 'brackets.0.threshold,0', 'brackets.0.rate,0.15', 'basicPersonalAmount,15000',
+        'basicPersonalAmountMin,14000', 'canadaEmploymentAmount,1400'
+      ].join('\n'));
+      expect(() => loadTaxTableVersions(dir)).toThrow('duplicates');
+    });
+
+    it('should reject files with missing parameters or unordered brackets', () => {
+      writeTable(dir, '2024-07-01', 'ei.json', { rate: 0.0166 });
+      expect(() => loadTaxTableVersions(dir)).toThrow('2024-07-01/ei.json is missing: employerMultiplier');
+
+      fs.rmSync(path.join(dir, '2024-07-01'), { recursive: true });
+      writeTable(dir, '2024-07-01', 'BC.json', {
+        brackets: [{ threshold: 0, rate: 0.05 }, { threshold: 0, rate: 0.07 }], basicPersonalAmount: 12000
+      });
+      expect(() => loadTaxTableVersions(dir)).toThrow('brackets must start at 0 and increase');
+    });
+
+    it('should reject files for unknown jurisdictions', () => {
+      writeTable(dir, '2024-01-01', 'QC.json', {});
+      expect(() => loadTaxTableVersions(dir)).toThrow('not for a known jurisdiction');
+    });
+  });
+});
@@ -40,7 +40,7 @@ const setupDatabase = async () => {
     await pool.query(`
       DO $$ BEGIN
         CREATE TYPE pay_type_enum AS ENUM ('HOURLY', 'SALARY');
-        CREATE TYPE pay_schedule_enum AS ENUM ('WEEKLY', 'BIWEEKLY', 'MONTHLY');
+        CREATE TYPE pay_schedule_enum AS ENUM ('WEEKLY', 'BIWEEKLY', 'SEMI_MONTHLY', 'MONTHLY');
       EXCEPTION
         WHEN duplicate_object THEN null;
       END $$;
@@ -83,6 +83,9 @@ const setupDatabase = async () => {
         contact_person VARCHAR(255),
         phone VARCHAR(20),
         address TEXT,
+        business_number VARCHAR(15),
+        remitter_type VARCHAR(25) NOT NULL DEFAULT 'REGULAR' CHECK (remitter_type IN ('REGULAR', 'QUARTERLY', 'ACCELERATED_THRESHOLD_1', 'ACCELERATED_THRESHOLD_2')),
+        pay_stub_password_protected BOOLEAN NOT NULL DEFAULT FALSE,
         accountant_id INTEGER REFERENCES accountants(accountant_id),
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -98,6 +101,13 @@ const setupDatabase = async () => {
         first_name VARCHAR(100) NOT NULL,
         date_of_birth DATE NOT NULL,
         full_address TEXT NOT NULL,
+        address_line1 VARCHAR(255),
+        address_line2 VARCHAR(255),
+        city VARCHAR(100),
+        province VARCHAR(2),
+        postal_code VARCHAR(10),
+        country VARCHAR(2) NOT NULL DEFAULT 'CA',
+        province_of_employment VARCHAR(2) NOT NULL DEFAULT 'ON',
         email VARCHAR(255) UNIQUE NOT NULL,
         phone_number VARCHAR(20) NOT NULL,
         sin VARCHAR(9) NOT NULL,
@@ -110,6 +120,8 @@ const setupDatabase = async () => {
         transit_number VARCHAR(5),
         account_number VARCHAR(12),
         consent_electronic_documents BOOLEAN NOT NULL,
+        vacation_accrual_method VARCHAR(10) NOT NULL DEFAULT 'PERCENT' CHECK (vacation_accrual_method IN ('PERCENT', 'HOURS')),
+        vacation_hours_per_period NUMERIC(6, 2) CHECK (vacation_hours_per_period >= 0),
         is_active BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -120,29 +132,228 @@ const setupDatabase = async () => {
     await pool.query(`
       CREATE TABLE IF NOT EXISTS employee_offboarding (
         offboarding_id SERIAL PRIMARY KEY,
-        employee_id INTEGER REFERENCES employees(employee_id) UNIQUE,
+        employee_id INTEGER REFERENCES employees(employee_id),
         reason_for_leaving TEXT,
         last_day_worked DATE NOT NULL,
         payout_accrued_vacation BOOLEAN NOT NULL,
         callback_date DATE,
+        employment_start_date DATE,
+        rehire_date DATE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Create employee_compensation table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS employee_compensation (
+        compensation_id SERIAL PRIMARY KEY,
+        employee_id INTEGER NOT NULL REFERENCES employees(employee_id) ON DELETE CASCADE,
+        effective_from DATE NOT NULL,
+        pay_type pay_type_enum NOT NULL,
+        pay_rate NUMERIC(10, 2) NOT NULL,
+        pay_schedule pay_schedule_enum NOT NULL,
+        position VARCHAR(100) NOT NULL,
+        reason VARCHAR(255),
+        created_by INTEGER REFERENCES users(user_id),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (employee_id, effective_from)
+      )
+    `);
+
+    // Create pay_calendars table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pay_calendars (
+        calendar_id SERIAL PRIMARY KEY,
+        company_id INTEGER REFERENCES companies(company_id),
+        pay_schedule pay_schedule_enum NOT NULL,
+        anchor_date DATE NOT NULL,
+        pay_date_offset_days INTEGER NOT NULL DEFAULT 0 CHECK (pay_date_offset_days >= 0),
+        holiday_shift VARCHAR(10) NOT NULL DEFAULT 'PREVIOUS' CHECK (holiday_shift IN ('PREVIOUS', 'NEXT')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (company_id, pay_schedule)
+      )
+    `);
+
+    // Create overtime_policies table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS overtime_policies (
+        policy_id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+        province VARCHAR(2),
+        daily_threshold NUMERIC(5, 2) CHECK (daily_threshold > 0),
+        weekly_threshold NUMERIC(5, 2) CHECK (weekly_threshold > 0),
+        overtime_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 1.5,
+        double_time_daily_threshold NUMERIC(5, 2) CHECK (double_time_daily_threshold > 0),
+        double_time_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 2.0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create pay_runs table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pay_runs (
+        run_id SERIAL PRIMARY KEY,
+        company_id INTEGER REFERENCES companies(company_id),
+        pay_schedule pay_schedule_enum NOT NULL,
+        pay_period_start DATE NOT NULL,
+        pay_period_end DATE NOT NULL,
+        payment_date DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'FINALIZED')),
+        created_by INTEGER REFERENCES users(user_id),
+        finalized_by INTEGER REFERENCES users(user_id),
+        finalized_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (company_id, pay_schedule, pay_period_start, pay_period_end)
+      )
+    `);
+
     // Create payroll_entries table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS payroll_entries (
         payroll_id SERIAL PRIMARY KEY,
         employee_id INTEGER REFERENCES employees(employee_id),
+        run_id INTEGER REFERENCES pay_runs(run_id),
+        entry_type VARCHAR(20) NOT NULL DEFAULT 'REGULAR' CHECK (entry_type IN ('REGULAR', 'VACATION_PAYOUT', 'RETRO_PAY', 'REVERSAL')),
         pay_period_start DATE NOT NULL,
         pay_period_end DATE NOT NULL,
         hours_worked NUMERIC(8, 2),
         overtime_hours NUMERIC(8, 2) DEFAULT 0,
+        double_time_hours NUMERIC(8, 2) DEFAULT 0,
+        vacation_pay NUMERIC(10, 2) DEFAULT 0,
         gross_pay NUMERIC(10, 2) NOT NULL,
         deductions NUMERIC(10, 2) DEFAULT 0,
         net_pay NUMERIC(10, 2) NOT NULL,
         payment_date DATE NOT NULL,
+        province_of_employment VARCHAR(2),
+        reverses_payroll_id INTEGER REFERENCES payroll_entries(payroll_id),
+        corrects_payroll_id INTEGER REFERENCES payroll_entries(payroll_id),
+        correction_reason VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'DRAFT' CHECK (status IN ('DRAFT', 'FINALIZED')),
+        finalized_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create payroll_time_entries table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS payroll_time_entries (
+        time_entry_id SERIAL PRIMARY KEY,
+        payroll_id INTEGER NOT NULL REFERENCES payroll_entries(payroll_id) ON DELETE CASCADE,
+        work_date DATE NOT NULL,
+        hours NUMERIC(5, 2) NOT NULL CHECK (hours >= 0 AND hours <= 24),
+        UNIQUE (payroll_id, work_date)
+      )
+    `);
+
+    // Create payroll_earning_lines table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS payroll_earning_lines (
+        line_id SERIAL PRIMARY KEY,
+        payroll_id INTEGER REFERENCES payroll_entries(payroll_id) ON DELETE CASCADE,
+        earning_type VARCHAR(30) NOT NULL,
+        hours NUMERIC(8, 2),
+        rate NUMERIC(12, 4),
+        amount NUMERIC(10, 2) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create payroll_retro_lines table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS payroll_retro_lines (
+        retro_line_id SERIAL PRIMARY KEY,
+        payroll_id INTEGER NOT NULL REFERENCES payroll_entries(payroll_id) ON DELETE CASCADE,
+        original_payroll_id INTEGER NOT NULL REFERENCES payroll_entries(payroll_id),
+        pay_period_start DATE NOT NULL,
+        pay_period_end DATE NOT NULL,
+        earning_type VARCHAR(30) NOT NULL,
+        hours NUMERIC(8, 2),
+        pay_rate NUMERIC(10, 2) NOT NULL,
+        paid_amount NUMERIC(10, 2) NOT NULL,
+        recalculated_amount NUMERIC(10, 2) NOT NULL,
+        difference NUMERIC(10, 2) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create payroll_deduction_lines table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS payroll_deduction_lines (
+        line_id SERIAL PRIMARY KEY,
+        payroll_id INTEGER REFERENCES payroll_entries(payroll_id) ON DELETE CASCADE,
+        deduction_type VARCHAR(30) NOT NULL,
+        amount NUMERIC(10, 2) NOT NULL,
+        employer_amount NUMERIC(10, 2) DEFAULT 0,
+        is_pre_tax BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create remittance_payments table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS remittance_payments (
+        payment_id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        amount_paid NUMERIC(12, 2) NOT NULL CHECK (amount_paid > 0),
+        paid_date DATE NOT NULL,
+        reference VARCHAR(100),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create eft_settings table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS eft_settings (
+        settings_id SERIAL PRIMARY KEY,
+        company_id INTEGER UNIQUE NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+        originator_id VARCHAR(10) NOT NULL,
+        originator_short_name VARCHAR(15) NOT NULL,
+        originator_long_name VARCHAR(30) NOT NULL,
+        destination_data_centre VARCHAR(5) NOT NULL,
+        return_institution_number VARCHAR(3) NOT NULL,
+        return_transit_number VARCHAR(5) NOT NULL,
+        return_account_number VARCHAR(12) NOT NULL,
+        transaction_code VARCHAR(3) NOT NULL DEFAULT '200',
+        last_file_creation_number INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create eft_files table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS eft_files (
+        file_id SERIAL PRIMARY KEY,
+        run_id INTEGER NOT NULL REFERENCES pay_runs(run_id),
+        company_id INTEGER NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+        file_creation_number INTEGER NOT NULL,
+        creation_date DATE NOT NULL,
+        credit_count INTEGER NOT NULL,
+        total_amount NUMERIC(12, 2) NOT NULL,
+        content TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(user_id),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create pay_stub_deliveries table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pay_stub_deliveries (
+        delivery_id SERIAL PRIMARY KEY,
+        payroll_id INTEGER UNIQUE NOT NULL REFERENCES payroll_entries(payroll_id) ON DELETE CASCADE,
+        status VARCHAR(10) NOT NULL CHECK (status IN ('SENT', 'FAILED', 'PAPER')),
+        email VARCHAR(255),
+        password_protected BOOLEAN NOT NULL DEFAULT FALSE,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        sent_at TIMESTAMP WITH TIME ZONE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       )
@@ -153,10 +364,18 @@ const setupDatabase = async () => {
       CREATE TABLE IF NOT EXISTS vacation_accrual (
         accrual_id SERIAL PRIMARY KEY,
         employee_id INTEGER REFERENCES employees(employee_id),
+        payroll_id INTEGER UNIQUE REFERENCES payroll_entries(payroll_id),
+        entry_type VARCHAR(20) NOT NULL DEFAULT 'ACCRUAL' CHECK (entry_type IN ('ACCRUAL', 'USAGE', 'PAYOUT', 'CLOSE_OUT')),
         accrual_date DATE NOT NULL,
-        hours_accrued NUMERIC(8, 2) NOT NULL,
+        hours_accrued NUMERIC(8, 2) NOT NULL DEFAULT 0,
         hours_used NUMERIC(8, 2) DEFAULT 0,
         balance NUMERIC(8, 2) NOT NULL,
+        vacationable_earnings NUMERIC(10, 2),
+        accrual_rate NUMERIC(5, 4),
+        amount_accrued NUMERIC(10, 2) DEFAULT 0,
+        amount_used NUMERIC(10, 2) DEFAULT 0,
+        amount_balance NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        note TEXT,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       )
@@ -196,16 +415,62 @@ const setupDatabase = async () => {
       )
     `);
 
+    // Create employee_td1 table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS employee_td1 (
+        td1_id SERIAL PRIMARY KEY,
+        employee_id INTEGER NOT NULL REFERENCES employees(employee_id) ON DELETE CASCADE,
+        tax_year INTEGER NOT NULL,
+        jurisdiction VARCHAR(7) NOT NULL,
+        total_claim_amount NUMERIC(12, 2) NOT NULL,
+        income_below_claim BOOLEAN NOT NULL DEFAULT FALSE,
+        additional_tax NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        prescribed_zone_deduction NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        document_id INTEGER REFERENCES employee_documents(document_id),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (employee_id, tax_year, jurisdiction)
+      )
+    `);
+
+    // Create audit_log table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        audit_id SERIAL PRIMARY KEY,
+        user_id INTEGER,
+        user_role VARCHAR(20),
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(50),
+        entity_id VARCHAR(50),
+        company_id INTEGER,
+        changes JSONB,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create indexes
     await pool.query(`
         CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
         CREATE INDEX IF NOT EXISTS idx_employee_company ON employees(company_id);
         CREATE INDEX IF NOT EXISTS idx_payroll_employee ON payroll_entries(employee_id);
         CREATE INDEX IF NOT EXISTS idx_payroll_period ON payroll_entries(pay_period_start, pay_period_end);
+        CREATE INDEX IF NOT EXISTS idx_payroll_run ON payroll_entries(run_id);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_reverses ON payroll_entries(reverses_payroll_id);
+        CREATE INDEX IF NOT EXISTS idx_pay_runs_company ON pay_runs(company_id);
+        CREATE INDEX IF NOT EXISTS idx_remittance_payments_company ON remittance_payments(company_id, period_start);
+        CREATE INDEX IF NOT EXISTS idx_eft_files_run ON eft_files(run_id);
+        CREATE INDEX IF NOT EXISTS idx_deduction_lines_payroll ON payroll_deduction_lines(payroll_id);
+        CREATE INDEX IF NOT EXISTS idx_earning_lines_payroll ON payroll_earning_lines(payroll_id);
+        CREATE INDEX IF NOT EXISTS idx_retro_lines_original ON payroll_retro_lines(original_payroll_id);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_overtime_policies_company ON overtime_policies(company_id, COALESCE(province, ''));
         CREATE INDEX IF NOT EXISTS idx_vacation_employee ON vacation_accrual(employee_id);
+        CREATE INDEX IF NOT EXISTS idx_offboarding_callback ON employee_offboarding(callback_date);
         CREATE INDEX IF NOT EXISTS idx_employee_benefits ON employee_benefits(employee_id);
         CREATE INDEX IF NOT EXISTS idx_employee_documents ON employee_documents(employee_id);
         CREATE INDEX IF NOT EXISTS idx_company_accountant ON companies(accountant_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_company ON audit_log(company_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
       `);
   
       console.log('Database setup completed successfully');
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeAccountant } = require('../middleware/auth');
+
+// Search the audit log. Accountants see entries for their companies and their own actions.
+router.get('/', authenticateToken, authorizeAccountant, [
+  query('company_id').optional().isInt().toInt(),
+  query('entity_type').optional().isString().trim(),
+  query('entity_id').optional().isString().trim(),
+  query('user_id').optional().isInt().toInt(),
+  query('action').optional().isString().trim(),
+  query('from').optional().isDate(),
+  query('to').optional().isDate(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+
+    if (req.query.company_id) {
+      const company = await db.query('SELECT accountant_id FROM companies WHERE company_id = $1', [req.query.company_id]);
+      if (company.rows.length > 0 && company.rows[0].accountant_id !== req.user.accountantId) {
+        return res.status(403).json({ error: 'Access denied. Company does not belong to this accountant.' });
+      }
+    }
+
+    const conditions = ['(a.company_id IN (SELECT company_id FROM companies WHERE accountant_id = $1) OR a.user_id = $2)'];
+    const values = [req.user.accountantId, req.user.userId];
+    const filters = [
+      ['company_id', 'a.company_id = $'],
+      ['entity_type', 'a.entity_type = $'],
+      ['entity_id', 'a.entity_id = $'],
+      ['user_id', 'a.user_id = $'],
+      ['action', 'a.action = $'],
+      ['from', 'a.created_at >= $'],
+      // to is inclusive of the whole day
+      ['to', 'a.created_at < ($::date + 1)']
+    ];
+    filters.forEach(([param, condition]) => {
+      if (req.query[param] !== undefined) {
+        values.push(req.query[param]);
+        conditions.push(condition.replace('$', `$${values.length}`));
+      }
+    });
+    const where = conditions.join(' AND ');
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM audit_log a WHERE ${where}`, values);
+    const result = await db.query(
+      `SELECT a.*, u.email AS user_email
+       FROM audit_log a
+       LEFT JOIN users u ON a.user_id = u.user_id
+       WHERE ${where}
+       ORDER BY a.created_at DESC, a.audit_id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    const totalEntries = parseInt(countResult.rows[0].count);
+
+    res.json({
+      entries: result.rows,
+      currentPage: page,
+      totalPages: Math.ceil(totalEntries / limit),
+      totalEntries
+    });
+  } catch (err) {
+    console.error('Error in get audit log:', err);
+    res.status(500).json({ error: 'An error occurred while fetching the audit log' });
+  }
+});
+
+module.exports = router;
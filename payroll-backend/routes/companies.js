@@ -4,6 +4,20 @@ const { body, query, param, validationResult } = require('express-validator');
 const db = require('../db');
 const { authenticateToken, authorizeAccountant, authorizeClientOrAccountant } = require('../middleware/auth');
 const { logAudit } = require('../utils/auditLogger');
+const payCalendarRoutes = require('./payCalendars');
+const overtimePolicyRoutes = require('./overtimePolicies');
+const yearEndRoutes = require('./yearEnd');
+const remittanceRoutes = require('./remittances');
+const eftSettingRoutes = require('./eftSettings');
+const { buildRoe, roesToXml } = require('../utils/roe');
+const { REMITTER_TYPES } = require('../utils/remittances');
+
+// Per-company payroll settings, remittances and year-end filings
+router.use('/:companyId/pay-calendars', payCalendarRoutes);
+router.use('/:companyId/overtime-policies', overtimePolicyRoutes);
+router.use('/:companyId/eft-settings', eftSettingRoutes);
+router.use('/:companyId/remittances', remittanceRoutes);
+router.use('/:companyId/year-end', yearEndRoutes);
 
 // Get all companies (for accountants only, with pagination and search)
 router.get('/', authenticateToken, authorizeAccountant, [
@@ -79,7 +93,10 @@ router.post('/', authenticateToken, authorizeAccountant, [
   body('contact_person').notEmpty().trim(),
   body('email').isEmail().normalizeEmail(),
   body('phone').isMobilePhone(),
-  body('address').notEmpty().trim()
+  body('address').notEmpty().trim(),
+  body('business_number').optional().matches(/^\d{9}RP\d{4}$/),
+  body('remitter_type').optional().isIn(REMITTER_TYPES),
+  body('pay_stub_password_protected').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -87,13 +104,16 @@ router.post('/', authenticateToken, authorizeAccountant, [
   }
 
   try {
-    const { company_name, contact_person, email, phone, address } = req.body;
+    const { company_name, contact_person, email, phone, address, business_number, remitter_type, pay_stub_password_protected } = req.body;
     const result = await db.query(
-      'INSERT INTO companies (company_name, contact_person, email, phone, address, accountant_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [company_name, contact_person, email, phone, address, req.user.accountantId]
+      'INSERT INTO companies (company_name, contact_person, email, phone, address, business_number, remitter_type, pay_stub_password_protected, accountant_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+      [company_name, contact_person, email, phone, address, business_number || null, remitter_type || 'REGULAR', pay_stub_password_protected || false, req.user.accountantId]
     );
     
-    await logAudit(req.user.userId, 'accountant', 'create_company', result.rows[0].company_id);
+    await logAudit(req.user.userId, 'accountant', 'create_company', result.rows[0].company_id, {
+      after: result.rows[0],
+      ipAddress: req.ip
+    });
     
     res.status(201).json(result.rows[0]);
   } catch (err) {
@@ -109,7 +129,10 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
   body('contact_person').optional().notEmpty().trim(),
   body('email').optional().isEmail().normalizeEmail(),
   body('phone').optional().isMobilePhone(),
-  body('address').optional().notEmpty().trim()
+  body('address').optional().notEmpty().trim(),
+  body('business_number').optional().matches(/^\d{9}RP\d{4}$/),
+  body('remitter_type').optional().isIn(REMITTER_TYPES),
+  body('pay_stub_password_protected').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -118,7 +141,7 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
 
   try {
     const { id } = req.params;
-    const { company_name, contact_person, email, phone, address } = req.body;
+    const { company_name, contact_person, email, phone, address, business_number, remitter_type, pay_stub_password_protected } = req.body;
     
     let updateFields = [];
     let values = [];
@@ -149,9 +172,26 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
       values.push(address);
       paramCount++;
     }
+    if (business_number) {
+      updateFields.push(`business_number = $${paramCount}`);
+      values.push(business_number);
+      paramCount++;
+    }
+    if (remitter_type) {
+      updateFields.push(`remitter_type = $${paramCount}`);
+      values.push(remitter_type);
+      paramCount++;
+    }
+    if (pay_stub_password_protected !== undefined) {
+      updateFields.push(`pay_stub_password_protected = $${paramCount}`);
+      values.push(pay_stub_password_protected);
+      paramCount++;
+    }
 
     updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
 
+    const before = await db.query('SELECT * FROM companies WHERE company_id = $1', [id]);
+
     const query = `
       UPDATE companies 
       SET ${updateFields.join(', ')}
@@ -168,7 +208,11 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
       return res.status(404).json({ message: 'Company not found or you do not have permission to update it' });
     }
 
-    await logAudit(req.user.userId, req.user.userType, 'update_company', id);
+    await logAudit(req.user.userId, req.user.userType, 'update_company', id, {
+      before: before.rows[0],
+      after: result.rows[0],
+      ipAddress: req.ip
+    });
 
     res.json(result.rows[0]);
   } catch (err) {
@@ -177,6 +221,43 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
   }
 });
 
+// Export Records of Employment for employees offboarded in a date range as one ROE Web bulk upload file
+router.get('/:companyId/roe', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  query('from').isDate(),
+  query('to').isDate()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId } = req.params;
+    const offboarded = await db.query(
+      `SELECT DISTINCT e.employee_id FROM employees e
+       JOIN employee_offboarding o ON o.employee_id = e.employee_id
+       WHERE e.company_id = $1 AND o.last_day_worked BETWEEN $2 AND $3
+       ORDER BY e.employee_id`,
+      [companyId, req.query.from, req.query.to]
+    );
+
+    const roes = [];
+    for (const row of offboarded.rows) {
+      roes.push(await buildRoe(db, row.employee_id));
+    }
+
+    await logAudit(req.user.userId, req.user.userType, 'export_roe_bulk', companyId, { ipAddress: req.ip });
+
+    res.type('application/xml');
+    res.attachment(`roe-company-${companyId}.xml`);
+    res.send(roesToXml(roes));
+  } catch (err) {
+    console.error('Error in export company ROEs:', err);
+    res.status(500).json({ error: 'An error occurred while exporting Records of Employment' });
+  }
+});
+
 // Delete a company (for accountants only)
 router.delete('/:id', authenticateToken, authorizeAccountant, [
   param('id').isInt()
@@ -193,7 +274,7 @@ router.delete('/:id', authenticateToken, authorizeAccountant, [
       return res.status(404).json({ message: 'Company not found or you do not have permission to delete it' });
     }
 
-    await logAudit(req.user.userId, 'accountant', 'delete_company', id);
+    await logAudit(req.user.userId, 'accountant', 'delete_company', id, { before: result.rows[0], ipAddress: req.ip });
 
     res.json({ message: 'Company deleted successfully' });
   } catch (err) {
@@ -221,7 +302,10 @@ router.post('/associate/:companyId', authenticateToken, authorizeAccountant, [
       return res.status(404).json({ message: 'Company not found or already associated with an accountant' });
     }
 
-    await logAudit(req.user.userId, 'accountant', 'associate_company', companyId);
+    await logAudit(req.user.userId, 'accountant', 'associate_company', companyId, {
+      entityType: 'company',
+      ipAddress: req.ip
+    });
 
     res.json(result.rows[0]);
   } catch (err) {
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { findRunForUser } = require('../utils/payRunAccess');
+const { createEftFile } = require('../utils/directDeposit');
+
+// List the EFT files generated for a pay run
+router.get('/', authenticateToken, authorizeAccountant, [
+  param('runId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const run = await findRunForUser(db, req.params.runId, req.user);
+    if (!run) {
+      return res.status(404).json({ message: 'Pay run not found' });
+    }
+
+    const result = await db.query(
+      `SELECT file_id, run_id, file_creation_number, creation_date, credit_count, total_amount, created_by, created_at
+       FROM eft_files WHERE run_id = $1 ORDER BY file_id`,
+      [run.run_id]
+    );
+    res.json({ eftFiles: result.rows });
+  } catch (err) {
+    console.error('Error in get EFT files:', err);
+    res.status(500).json({ error: 'An error occurred while fetching EFT files' });
+  }
+});
+
+// Generate a CPA-005 direct deposit file for a finalized pay run and return its summary
+router.post('/', authenticateToken, authorizeAccountant, [
+  param('runId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const run = await findRunForUser(client, req.params.runId, req.user, true);
+    if (!run) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Pay run not found' });
+    }
+
+    const summary = await createEftFile(client, run, req.user.userId);
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'generate_eft_file', summary.file_id, { ipAddress: req.ip });
+
+    res.status(201).json(summary);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in generate EFT file:', err);
+    res.status(500).json({ error: 'An error occurred while generating the EFT file' });
+  } finally {
+    client.release();
+  }
+});
+
+// Download a generated EFT file
+router.get('/:fileId', authenticateToken, authorizeAccountant, [
+  param('runId').isInt(),
+  param('fileId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const run = await findRunForUser(db, req.params.runId, req.user);
+    if (!run) {
+      return res.status(404).json({ message: 'Pay run not found' });
+    }
+
+    const result = await db.query(
+      'SELECT file_id, file_creation_number, content FROM eft_files WHERE file_id = $1 AND run_id = $2',
+      [req.params.fileId, run.run_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'EFT file not found' });
+    }
+    const file = result.rows[0];
+
+    await logAudit(req.user.userId, req.user.userType, 'download_eft_file', file.file_id, { ipAddress: req.ip });
+
+    res.type('text/plain');
+    res.attachment(`eft-run-${run.run_id}-${String(file.file_creation_number).padStart(4, '0')}.txt`);
+    res.send(file.content);
+  } catch (err) {
+    console.error('Error in download EFT file:', err);
+    res.status(500).json({ error: 'An error occurred while downloading the EFT file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+
+// Get the company's direct deposit originator settings
+router.get('/', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await db.query('SELECT * FROM eft_settings WHERE company_id = $1', [req.params.companyId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Direct deposit settings not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in get EFT settings:', err);
+    res.status(500).json({ error: 'An error occurred while fetching direct deposit settings' });
+  }
+});
+
+// Create or replace the company's direct deposit originator settings
+router.put('/', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  body('originator_id').matches(/^[A-Za-z0-9]{10}$/),
+  body('originator_short_name').notEmpty().trim().isLength({ max: 15 }),
+  body('originator_long_name').notEmpty().trim().isLength({ max: 30 }),
+  body('destination_data_centre').matches(/^\d{5}$/),
+  body('return_institution_number').matches(/^\d{3}$/),
+  body('return_transit_number').matches(/^\d{5}$/),
+  body('return_account_number').matches(/^\d{1,12}$/),
+  body('transaction_code').optional().matches(/^\d{3}$/)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const {
+      originator_id, originator_short_name, originator_long_name, destination_data_centre,
+      return_institution_number, return_transit_number, return_account_number, transaction_code
+    } = req.body;
+
+    const before = await db.query('SELECT * FROM eft_settings WHERE company_id = $1', [req.params.companyId]);
+    const result = await db.query(
+      `INSERT INTO eft_settings (
+        company_id, originator_id, originator_short_name, originator_long_name, destination_data_centre,
+        return_institution_number, return_transit_number, return_account_number, transaction_code
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (company_id) DO UPDATE SET
+        originator_id = EXCLUDED.originator_id,
+        originator_short_name = EXCLUDED.originator_short_name,
+        originator_long_name = EXCLUDED.originator_long_name,
+        destination_data_centre = EXCLUDED.destination_data_centre,
+        return_institution_number = EXCLUDED.return_institution_number,
+        return_transit_number = EXCLUDED.return_transit_number,
+        return_account_number = EXCLUDED.return_account_number,
+        transaction_code = EXCLUDED.transaction_code,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *`,
+      [req.params.companyId, originator_id.toUpperCase(), originator_short_name, originator_long_name,
+       destination_data_centre, return_institution_number, return_transit_number, return_account_number,
+       transaction_code || '200']
+    );
+
+    await logAudit(req.user.userId, req.user.userType, 'update_eft_settings', req.params.companyId, {
+      before: before.rows[0],
+      after: result.rows[0],
+      ipAddress: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in update EFT settings:', err);
+    res.status(500).json({ error: 'An error occurred while updating direct deposit settings' });
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,21 @@ const { body, query, param, validationResult } = require('express-validator');
 const db = require('../db');
 const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
 const { logAudit } = require('../utils/auditLogger');
+const { PAY_SCHEDULES } = require('../utils/payrollCalculator');
+const { payOutVacationBalance } = require('../utils/payrollEntries');
+const { fetchVacationBalance, closeOutVacationBalance } = require('../utils/vacationAccrual');
+const { findEmployeeForUser } = require('../utils/employeeAccess');
+const { fetchEmployeeYearToDate } = require('../utils/yearToDate');
+const { toISODate } = require('../utils/payCalendar');
+const { FEDERAL, saveTd1 } = require('../utils/td1');
+const { ADDRESS_FIELDS, addressValidators, formatAddress, resolveProvinceOfEmployment } = require('../utils/employeeAddress');
+const {
+  COMPENSATION_FIELDS, fetchCompensationHistory, saveCompensation, recordCompensationChange
+} = require('../utils/compensation');
+const vacationRoutes = require('./vacation');
+const roeRoutes = require('./roe');
+const td1Routes = require('./td1');
+const retroPayRoutes = require('./retroPay');
 
 // Ensure uploads directory exists
 const uploadDir = path.join(__dirname, '..', 'uploads', 'employee-documents');
@@ -65,6 +80,12 @@ const handleUploadErrors = (err, req, res, next) => {
   next();
 };
 
+// Vacation balance and ledger, Records of Employment and TD1 claims per employee
+router.use('/:id/vacation', vacationRoutes);
+router.use('/:id/roe', roeRoutes);
+router.use('/:id/td1', td1Routes);
+router.use('/:id/retro-pay', retroPayRoutes);
+
 // Get all employees (for a specific company, with pagination and search)
 router.get('/company/:companyId', authenticateToken, authorizeClientOrAccountant, [
   param('companyId').isInt(),
@@ -123,6 +144,46 @@ router.get('/company/:companyId', authenticateToken, authorizeClientOrAccountant
   }
 });
 
+// Offboarded employees of a company expected back within within_days (default 30) of today, soonest first
+router.get('/company/:companyId/callbacks', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  query('within_days').optional().isInt({ min: 0, max: 366 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const companyId = parseInt(req.params.companyId);
+    const company = await db.query('SELECT company_id, accountant_id FROM companies WHERE company_id = $1', [companyId]);
+    if (
+      company.rows.length === 0 ||
+      (req.user.userType === 'accountant' && company.rows[0].accountant_id !== req.user.accountantId) ||
+      (req.user.userType === 'client' && company.rows[0].company_id !== req.user.companyId)
+    ) {
+      return res.status(403).json({ error: 'Access denied. You do not have permission to view this company.' });
+    }
+
+    const withinDays = req.query.within_days !== undefined ? req.query.within_days : 30;
+    const result = await db.query(
+      `SELECT e.employee_id, e.first_name, e.last_name, e.email, e.phone_number, e.position,
+        o.offboarding_id, o.reason_for_leaving, o.last_day_worked, o.callback_date
+       FROM employees e
+       JOIN employee_offboarding o ON o.employee_id = e.employee_id AND o.rehire_date IS NULL
+       WHERE e.company_id = $1 AND e.is_active = false
+         AND o.callback_date BETWEEN $2::date AND $2::date + $3::integer
+       ORDER BY o.callback_date, e.last_name, e.first_name`,
+      [companyId, toISODate(new Date()), withinDays]
+    );
+
+    res.json({ company_id: companyId, within_days: withinDays, employees: result.rows });
+  } catch (err) {
+    console.error('Error in get upcoming callbacks:', err);
+    res.status(500).json({ error: 'An error occurred while fetching upcoming callbacks' });
+  }
+});
+
 // Get a single employee
 router.get('/:id', authenticateToken, authorizeClientOrAccountant, [
   param('id').isInt()
@@ -151,6 +212,106 @@ router.get('/:id', authenticateToken, authorizeClientOrAccountant, [
   }
 });
 
+// Year-to-date gross, deductions by type and net pay for the calendar year of as_of (default today)
+router.get('/:id/ytd', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt(),
+  query('as_of').optional().isDate()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const employee = await findEmployeeForUser(db, req.params.id, req.user);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to view this employee' });
+    }
+
+    const asOf = req.query.as_of || toISODate(new Date());
+    const ytd = await fetchEmployeeYearToDate(db, employee.employee_id, asOf);
+
+    res.json({ employee_id: employee.employee_id, as_of: asOf, ...ytd });
+  } catch (err) {
+    console.error('Error in get employee year to date:', err);
+    res.status(500).json({ error: 'An error occurred while fetching year-to-date totals' });
+  }
+});
+
+// Employment periods, oldest first: one per offboarding, then the current one if the employee is active
+router.get('/:id/employment-history', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const employee = await findEmployeeForUser(db, req.params.id, req.user);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to view this employee' });
+    }
+
+    const offboardings = await db.query(
+      'SELECT * FROM employee_offboarding WHERE employee_id = $1 ORDER BY last_day_worked, offboarding_id',
+      [employee.employee_id]
+    );
+    // Offboardings recorded before periods were tracked ended the period that started on start_date
+    const periods = offboardings.rows.map(offboarding => ({
+      start_date: offboarding.employment_start_date || employee.start_date,
+      end_date: offboarding.last_day_worked,
+      offboarding
+    }));
+    if (employee.is_active) {
+      periods.push({ start_date: employee.start_date, end_date: null, offboarding: null });
+    }
+
+    res.json({ employee_id: employee.employee_id, is_active: employee.is_active, periods });
+  } catch (err) {
+    console.error('Error in get employment history:', err);
+    res.status(500).json({ error: 'An error occurred while fetching the employment history' });
+  }
+});
+
+// Pay and position timeline, oldest first. Employees hired before compensation was tracked show their
+// current compensation from their start date until a change is recorded.
+router.get('/:id/compensation-history', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const employee = await findEmployeeForUser(db, req.params.id, req.user);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to view this employee' });
+    }
+
+    const history = await fetchCompensationHistory(db, employee.employee_id);
+    res.json({
+      employee_id: employee.employee_id,
+      history: history.length > 0
+        ? history
+        : [{
+          employee_id: employee.employee_id,
+          effective_from: employee.start_date,
+          effective_to: null,
+          pay_type: employee.pay_type,
+          pay_rate: employee.pay_rate,
+          pay_schedule: employee.pay_schedule,
+          position: employee.position,
+          reason: null
+        }]
+    });
+  } catch (err) {
+    console.error('Error in get compensation history:', err);
+    res.status(500).json({ error: 'An error occurred while fetching the compensation history' });
+  }
+});
+
 //  create employee route with specific TD1 document requirements
 router.post('/', 
   authenticateToken, 
@@ -168,7 +329,7 @@ router.post('/',
     body('first_name').notEmpty().trim(),
     body('last_name').notEmpty().trim(),
     body('date_of_birth').isDate(),
-    body('full_address').notEmpty().trim(),
+    ...addressValidators({ creating: true }),
     body('email').isEmail().normalizeEmail(),
     body('phone_number').isMobilePhone(),
     body('sin').isLength({ min: 9, max: 9 }),
@@ -176,7 +337,7 @@ router.post('/',
     body('position').notEmpty().trim(),
     body('pay_type').isIn(['HOURLY', 'SALARY']),
     body('pay_rate').isFloat({ min: 0 }),
-    body('pay_schedule').isIn(['WEEKLY', 'BIWEEKLY', 'MONTHLY']),
+    body('pay_schedule').isIn(PAY_SCHEDULES),
     body('institution_number')
       .isString()
       .isLength({ min: 3, max: 3 })
@@ -189,7 +350,11 @@ router.post('/',
       .isString()
       .isLength({ min: 7, max: 12 })
       .matches(/^\d+$/),
-    body('consent_electronic_documents').isBoolean()
+    body('consent_electronic_documents').isBoolean(),
+    body('vacation_accrual_method').optional().isIn(['PERCENT', 'HOURS']),
+    body('vacation_hours_per_period').optional().isFloat({ min: 0 }),
+    body('td1_federal_claim_amount').optional().isFloat({ min: 0 }),
+    body('td1_provincial_claim_amount').optional().isFloat({ min: 0 })
   ],
   async (req, res) => {
     try {
@@ -205,6 +370,13 @@ router.post('/',
         });
       }
 
+      const provinceOfEmployment = resolveProvinceOfEmployment(req.body);
+      if (!provinceOfEmployment) {
+        return res.status(400).json({
+          error: `Payroll cannot be calculated for ${req.body.province}; a province_of_employment is required`
+        });
+      }
+
       const client = await db.getClient();
 
       try {
@@ -232,27 +404,39 @@ router.post('/',
             company_id, first_name, last_name, date_of_birth, full_address,
             email, phone_number, sin, start_date, position, pay_type,
             pay_rate, pay_schedule, institution_number, transit_number,
-            account_number, consent_electronic_documents
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+            account_number, consent_electronic_documents, vacation_accrual_method,
+            vacation_hours_per_period, address_line1, address_line2, city, province,
+            postal_code, country, province_of_employment
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+            $20, $21, $22, $23, $24, $25, $26)
           RETURNING *`,
           [
             companyId, req.body.first_name, req.body.last_name,
-            req.body.date_of_birth, req.body.full_address, req.body.email,
+            req.body.date_of_birth, req.body.full_address || formatAddress(req.body), req.body.email,
             req.body.phone_number, req.body.sin, req.body.start_date,
             req.body.position, req.body.pay_type, req.body.pay_rate,
             req.body.pay_schedule, req.body.institution_number,
             req.body.transit_number, req.body.account_number,
-            req.body.consent_electronic_documents
+            req.body.consent_electronic_documents,
+            req.body.vacation_accrual_method || 'PERCENT',
+            req.body.vacation_hours_per_period || null,
+            req.body.address_line1 || null, req.body.address_line2 || null,
+            req.body.city || null, req.body.province || null,
+            req.body.postal_code || null, req.body.country || 'CA',
+            provinceOfEmployment
           ]
         );
 
         const employeeId = employeeResult.rows[0].employee_id;
 
+        // Compensation history starts on the start date
+        await saveCompensation(client, employeeId, employeeResult.rows[0], req.body.start_date, 'Hired', req.user.userId);
+
         // Insert TD1 federal document
-        await client.query(
+        const federalDocument = await client.query(
           `INSERT INTO employee_documents (
             employee_id, document_type, file_name, upload_date, document_path
-          ) VALUES ($1, $2, $3, CURRENT_DATE, $4)`,
+          ) VALUES ($1, $2, $3, CURRENT_DATE, $4) RETURNING document_id`,
           [
             employeeId,
             'TD1_FEDERAL',
@@ -262,10 +446,10 @@ router.post('/',
         );
 
         // Insert TD1 provincial document
-        await client.query(
+        const provincialDocument = await client.query(
           `INSERT INTO employee_documents (
             employee_id, document_type, file_name, upload_date, document_path
-          ) VALUES ($1, $2, $3, CURRENT_DATE, $4)`,
+          ) VALUES ($1, $2, $3, CURRENT_DATE, $4) RETURNING document_id`,
           [
             employeeId,
             'TD1_PROVINCIAL',
@@ -274,6 +458,21 @@ router.post('/',
           ]
         );
 
+        // Claim amounts read off the uploaded forms apply from the year the employee starts
+        const td1Year = parseInt(req.body.start_date.slice(0, 4));
+        if (req.body.td1_federal_claim_amount !== undefined) {
+          await saveTd1(client, employeeId, td1Year, FEDERAL, {
+            total_claim_amount: req.body.td1_federal_claim_amount,
+            document_id: federalDocument.rows[0].document_id
+          });
+        }
+        if (req.body.td1_provincial_claim_amount !== undefined) {
+          await saveTd1(client, employeeId, td1Year, provinceOfEmployment, {
+            total_claim_amount: req.body.td1_provincial_claim_amount,
+            document_id: provincialDocument.rows[0].document_id
+          });
+        }
+
         // Query to get employee with documents
         const result = await client.query(
           `SELECT e.*, 
@@ -291,7 +490,10 @@ router.post('/',
         );
 
         await client.query('COMMIT');
-        await logAudit(req.user.userId, req.user.userType, 'create_employee', employeeId);
+        await logAudit(req.user.userId, req.user.userType, 'create_employee', employeeId, {
+          after: result.rows[0],
+          ipAddress: req.ip
+        });
 
         res.status(201).json(result.rows[0]);
       } catch (err) {
@@ -315,7 +517,7 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
   body('first_name').optional().notEmpty().trim(),
   body('last_name').optional().notEmpty().trim(),
   body('date_of_birth').optional().isDate(),
-  body('full_address').optional().notEmpty().trim(),
+  ...addressValidators({ creating: false }),
   body('email').optional().isEmail().normalizeEmail(),
   body('phone_number').optional().isMobilePhone(),
   body('sin').optional().isLength({ min: 9, max: 9 }),
@@ -323,20 +525,75 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
   body('position').optional().notEmpty().trim(),
   body('pay_type').optional().isIn(['HOURLY', 'SALARY']),
   body('pay_rate').optional().isFloat({ min: 0 }),
-  body('pay_schedule').optional().isIn(['WEEKLY', 'BIWEEKLY', 'MONTHLY']),
+  body('pay_schedule').optional().isIn(PAY_SCHEDULES),
   body('institution_number').optional().isString(),
   body('transit_number').optional().isString(),
   body('account_number').optional().isString(),
   body('consent_electronic_documents').optional().isBoolean(),
-  body('is_active').optional().isBoolean()
+  body('vacation_accrual_method').optional().isIn(['PERCENT', 'HOURS']),
+  body('vacation_hours_per_period').optional().isFloat({ min: 0 }),
+  body('is_active').optional().isBoolean(),
+  body('effective_from').optional().isDate(),
+  body('change_reason').optional().isString().trim().isLength({ max: 255 })
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { effective_from: effectiveFrom, change_reason: changeReason } = req.body;
+  delete req.body.effective_from;
+  delete req.body.change_reason;
+  const compensationChanges = COMPENSATION_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .reduce((changes, field) => ({ ...changes, [field]: req.body[field] }), {});
+  if ((effectiveFrom || changeReason) && Object.keys(compensationChanges).length === 0) {
+    return res.status(400).json({
+      error: `effective_from and change_reason apply only to changes to ${COMPENSATION_FIELDS.join(', ')}`
+    });
+  }
+
+  const client = await db.getClient();
+
   try {
     const { id } = req.params;
+
+    const current = await findEmployeeForUser(client, id, req.user);
+    if (!current) {
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to update' });
+    }
+
+    if (!current.is_active && String(req.body.is_active) === 'true') {
+      const offboarded = await client.query(
+        'SELECT 1 FROM employee_offboarding WHERE employee_id = $1 AND rehire_date IS NULL',
+        [id]
+      );
+      if (offboarded.rows.length > 0) {
+        return res.status(409).json({ error: 'Offboarded employees are brought back through POST /api/employees/:id/rehire' });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    // Pay and position changes are added to the compensation history, effective today unless dated otherwise.
+    // The employees row then takes whatever is in effect today, so a future-dated raise leaves it unchanged.
+    let compensationRecord = null;
+    if (Object.keys(compensationChanges).length > 0) {
+      const change = await recordCompensationChange(
+        client, current, compensationChanges, effectiveFrom || toISODate(new Date()), changeReason, req.user.userId
+      );
+      compensationRecord = change.record;
+      Object.assign(req.body, change.current);
+    }
+
+    // Changing part of a structured address rewrites full_address from the updated parts
+    if (req.body.full_address === undefined && ADDRESS_FIELDS.some(field => req.body[field] !== undefined)) {
+      const address = { ...current, ...req.body };
+      if (address.address_line1) {
+        req.body.full_address = formatAddress(address);
+      }
+    }
+
     const updateFields = [];
     const values = [];
     let paramCount = 1;
@@ -360,7 +617,7 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
         WHERE e.employee_id = $${paramCount} 
         AND e.company_id = c.company_id
         AND c.accountant_id = $${paramCount + 1}
-        RETURNING *
+        RETURNING e.*
       `;
       values.push(id, req.user.accountantId);
     } else {
@@ -374,18 +631,33 @@ router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
       values.push(id, req.user.companyId);
     }
 
-    const result = await db.query(query, values);
+    const result = await client.query(query, values);
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Employee not found or you do not have permission to update' });
     }
 
-    await logAudit(req.user.userId, req.user.userType, 'update_employee', id);
+    await client.query('COMMIT');
+    await logAudit(req.user.userId, req.user.userType, 'update_employee', id, {
+      before: current,
+      after: result.rows[0],
+      ipAddress: req.ip
+    });
+    if (compensationRecord) {
+      await logAudit(req.user.userId, req.user.userType, 'change_compensation', id, {
+        after: compensationRecord,
+        ipAddress: req.ip
+      });
+    }
 
     res.json(result.rows[0]);
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error in update employee:', err);
     res.status(500).json({ error: 'An error occurred while updating the employee' });
+  } finally {
+    client.release();
   }
 });
 
@@ -394,7 +666,7 @@ router.post('/:id/offboard', authenticateToken, authorizeClientOrAccountant, [
   param('id').isInt(),
   body('reason_for_leaving').isIn(['QUIT', 'FIRED', 'LAID_OFF', 'RETIRED', 'OTHER']),
   body('last_day_worked').isDate(),
-  body('payout_accrued_vacation').isBoolean(),
+  body('payout_accrued_vacation').isBoolean().toBoolean(),
   body('callback_date').optional().isDate()
 ], async (req, res) => {
   console.log('Offboarding route entered');
@@ -424,6 +696,10 @@ router.post('/:id/offboard', authenticateToken, authorizeClientOrAccountant, [
       await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Employee not found' });
     }
+    if (!employeeCheck.rows[0].is_active) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Employee is already offboarded' });
+    }
 
     console.log('Offboarding employee:', id);
     
@@ -438,21 +714,37 @@ router.post('/:id/offboard', authenticateToken, authorizeClientOrAccountant, [
     // Add offboarding information
     const insertResult = await client.query(
       `INSERT INTO employee_offboarding (
-        employee_id, reason_for_leaving, last_day_worked, payout_accrued_vacation, callback_date
-      ) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [id, reason_for_leaving, last_day_worked, payout_accrued_vacation, callback_date || null]
+        employee_id, reason_for_leaving, last_day_worked, payout_accrued_vacation, callback_date,
+        employment_start_date
+      ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [id, reason_for_leaving, last_day_worked, payout_accrued_vacation, callback_date || null,
+       employeeCheck.rows[0].start_date]
     );
     console.log('Insert result:', insertResult.rows);
 
+    // Pay out the remaining vacation balance on the last day worked. Otherwise the balance is kept
+    // so it can be restored if the employee is rehired.
+    let vacationPayout = null;
+    if (payout_accrued_vacation) {
+      vacationPayout = await payOutVacationBalance(client, updateResult.rows[0], last_day_worked);
+    }
+
     await client.query('COMMIT');
     console.log('Transaction committed');
 
-    await logAudit(req.user.userId, req.user.userType, 'offboard_employee', id);
+    await logAudit(req.user.userId, req.user.userType, 'offboard_employee', id, {
+      before: employeeCheck.rows[0],
+      after: updateResult.rows[0],
+      ipAddress: req.ip
+    });
     console.log('Audit logged');
 
-    res.json({ message: 'Employee offboarded successfully' });
+    res.json({ message: 'Employee offboarded successfully', vacation_payout: vacationPayout });
   } catch (err) {
     await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error('Error in offboard employee:', err);
     res.status(500).json({ error: 'An error occurred while offboarding the employee' });
   } finally {
@@ -460,4 +752,147 @@ router.post('/:id/offboard', authenticateToken, authorizeClientOrAccountant, [
   }
 });
 
+// Rehire an offboarded employee: a new employment period from start_date. The offboarding stays on record,
+// pay and position changes are recorded from start_date, and a vacation balance that wasn't paid out on
+// offboarding is carried into the new period.
+router.post('/:id/rehire', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt(),
+  body('start_date').isDate(),
+  body('position').optional().notEmpty().trim(),
+  body('pay_type').optional().isIn(['HOURLY', 'SALARY']),
+  body('pay_rate').optional().isFloat({ min: 0 }),
+  body('pay_schedule').optional().isIn(PAY_SCHEDULES),
+  body('reason').optional().isString().trim().isLength({ max: 255 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const employee = await findEmployeeForUser(client, req.params.id, req.user);
+    if (!employee) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to update this employee' });
+    }
+    if (employee.is_active) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Employee is already active' });
+    }
+
+    const offboardingResult = await client.query(
+      `SELECT * FROM employee_offboarding WHERE employee_id = $1 AND rehire_date IS NULL
+       ORDER BY offboarding_id DESC LIMIT 1
+       FOR UPDATE`,
+      [employee.employee_id]
+    );
+    if (offboardingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Only offboarded employees can be rehired' });
+    }
+    const lastDayWorked = toISODate(offboardingResult.rows[0].last_day_worked);
+    if (req.body.start_date <= lastDayWorked) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `start_date must be after the last day worked (${lastDayWorked})` });
+    }
+
+    const offboarding = await client.query(
+      `UPDATE employee_offboarding
+       SET rehire_date = $1, employment_start_date = COALESCE(employment_start_date, $2)
+       WHERE offboarding_id = $3 RETURNING *`,
+      [req.body.start_date, employee.start_date, offboardingResult.rows[0].offboarding_id]
+    );
+
+    // An employee recalled by their callback date keeps their vacation balance unless it was paid out; a payout
+    // that was never finalized is dropped so the balance carries over. Otherwise the rehire is a new hire: a draft
+    // payout still pays the earlier period's balance, and any other unpaid balance is closed out so the new
+    // employment starts from zero.
+    const callbackDate = offboardingResult.rows[0].callback_date && toISODate(offboardingResult.rows[0].callback_date);
+    const recalled = Boolean(callbackDate) && req.body.start_date <= callbackDate;
+    const payouts = await client.query(
+      `SELECT pe.payroll_id, pe.status FROM payroll_entries pe
+       WHERE pe.employee_id = $1 AND pe.entry_type = 'VACATION_PAYOUT' AND pe.pay_period_start = $2
+         AND NOT EXISTS (SELECT 1 FROM payroll_entries r WHERE r.reverses_payroll_id = pe.payroll_id)`,
+      [employee.employee_id, lastDayWorked]
+    );
+    const paidOut = payouts.rows.some(payout => payout.status === 'FINALIZED');
+    let closedOut = null;
+    if (recalled && !paidOut) {
+      const drafts = payouts.rows.map(payout => payout.payroll_id);
+      await client.query('DELETE FROM payroll_entries WHERE payroll_id = ANY($1)', [drafts]);
+    } else if (!recalled && payouts.rows.length === 0) {
+      closedOut = await closeOutVacationBalance(
+        client, employee.employee_id, lastDayWorked,
+        `Closed out on rehire; owed from the employment ending ${lastDayWorked}`
+      );
+    }
+
+    const compensationChanges = COMPENSATION_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .reduce((changes, field) => ({ ...changes, [field]: req.body[field] }), {});
+    let compensation = employee;
+    let compensationRecord = null;
+    if (Object.keys(compensationChanges).length > 0) {
+      const change = await recordCompensationChange(
+        client, employee, compensationChanges, req.body.start_date, req.body.reason || 'Rehired', req.user.userId
+      );
+      compensation = change.current;
+      compensationRecord = change.record;
+    }
+
+    const updated = await client.query(
+      `UPDATE employees
+       SET is_active = true, start_date = $1, pay_type = $2, pay_rate = $3, pay_schedule = $4, position = $5,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE employee_id = $6 RETURNING *`,
+      [req.body.start_date, compensation.pay_type, compensation.pay_rate, compensation.pay_schedule,
+       compensation.position, employee.employee_id]
+    );
+
+    const balance = await fetchVacationBalance(client, employee.employee_id);
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'rehire_employee', employee.employee_id, {
+      before: employee,
+      after: updated.rows[0],
+      ipAddress: req.ip
+    });
+    if (compensationRecord) {
+      await logAudit(req.user.userId, req.user.userType, 'change_compensation', employee.employee_id, {
+        after: compensationRecord,
+        ipAddress: req.ip
+      });
+    }
+
+    res.json({
+      message: 'Employee rehired successfully',
+      employee: updated.rows[0],
+      offboarding: offboarding.rows[0],
+      vacation_balance: {
+        restored: recalled && !paidOut && (balance.hours > 0 || balance.amount > 0),
+        paid_out: paidOut,
+        closed_out: closedOut
+          ? { hours: parseFloat(closedOut.hours_used), amount: parseFloat(closedOut.amount_used) }
+          : null,
+        hours: balance.hours,
+        amount: balance.amount
+      }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in rehire employee:', err);
+    res.status(500).json({ error: 'An error occurred while rehiring the employee' });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
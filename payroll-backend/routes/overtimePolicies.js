@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { PROVINCIAL_OVERTIME_RULES, PROVINCES } = require('../utils/overtimeRules');
+
+const POLICY_FIELDS = [
+  'daily_threshold', 'weekly_threshold', 'overtime_multiplier',
+  'double_time_daily_threshold', 'double_time_multiplier'
+];
+
+const policyValidators = [
+  body('daily_threshold').optional({ nullable: true }).isFloat({ gt: 0, max: 24 }),
+  body('weekly_threshold').optional({ nullable: true }).isFloat({ gt: 0, max: 168 }),
+  body('overtime_multiplier').optional().isFloat({ min: 1, max: 5 }),
+  body('double_time_daily_threshold').optional({ nullable: true }).isFloat({ gt: 0, max: 24 }),
+  body('double_time_multiplier').optional().isFloat({ min: 1, max: 5 })
+];
+
+// Get a company's overtime policies and the provincial defaults used when none applies
+router.get('/', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT * FROM overtime_policies WHERE company_id = $1 ORDER BY province NULLS FIRST',
+      [req.params.companyId]
+    );
+    res.json({ overtimePolicies: result.rows, provincialDefaults: PROVINCIAL_OVERTIME_RULES });
+  } catch (err) {
+    console.error('Error in get overtime policies:', err);
+    res.status(500).json({ error: 'An error occurred while fetching overtime policies' });
+  }
+});
+
+// Create an overtime policy for the company (all provinces when province is omitted)
+router.post('/', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  body('province').optional({ nullable: true }).isIn(PROVINCES),
+  ...policyValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const {
+      province, daily_threshold, weekly_threshold, overtime_multiplier,
+      double_time_daily_threshold, double_time_multiplier
+    } = req.body;
+
+    const result = await db.query(
+      `INSERT INTO overtime_policies (
+        company_id, province, daily_threshold, weekly_threshold, overtime_multiplier,
+        double_time_daily_threshold, double_time_multiplier
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [req.params.companyId, province || null, daily_threshold || null, weekly_threshold || null,
+       overtime_multiplier || 1.5, double_time_daily_threshold || null, double_time_multiplier || 2.0]
+    );
+
+    await logAudit(req.user.userId, req.user.userType, 'create_overtime_policy', result.rows[0].policy_id, {
+      after: result.rows[0],
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'The company already has an overtime policy for this province' });
+    }
+    console.error('Error in create overtime policy:', err);
+    res.status(500).json({ error: 'An error occurred while creating the overtime policy' });
+  }
+});
+
+// Update an overtime policy
+router.put('/:policyId', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  param('policyId').isInt(),
+  ...policyValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId, policyId } = req.params;
+    const updateFields = [];
+    const values = [];
+    let paramCount = 1;
+
+    POLICY_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        updateFields.push(`${key} = $${paramCount}`);
+        values.push(req.body[key]);
+        paramCount++;
+      }
+    });
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(policyId, companyId);
+
+    const before = await db.query('SELECT * FROM overtime_policies WHERE policy_id = $1', [policyId]);
+    const result = await db.query(
+      `UPDATE overtime_policies SET ${updateFields.join(', ')}
+       WHERE policy_id = $${paramCount} AND company_id = $${paramCount + 1}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Overtime policy not found' });
+    }
+
+    await logAudit(req.user.userId, req.user.userType, 'update_overtime_policy', policyId, {
+      before: before.rows[0],
+      after: result.rows[0],
+      ipAddress: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in update overtime policy:', err);
+    res.status(500).json({ error: 'An error occurred while updating the overtime policy' });
+  }
+});
+
+// Delete an overtime policy (the provincial default applies again)
+router.delete('/:policyId', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  param('policyId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await db.query(
+      'DELETE FROM overtime_policies WHERE policy_id = $1 AND company_id = $2 RETURNING *',
+      [req.params.policyId, req.params.companyId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Overtime policy not found' });
+    }
+
+    await logAudit(req.user.userId, req.user.userType, 'delete_overtime_policy', req.params.policyId, {
+      companyId: result.rows[0].company_id,
+      before: result.rows[0],
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Overtime policy deleted successfully' });
+  } catch (err) {
+    console.error('Error in delete overtime policy:', err);
+    res.status(500).json({ error: 'An error occurred while deleting the overtime policy' });
+  }
+});
+
+module.exports = router;
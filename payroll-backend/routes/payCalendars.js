@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, query, param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { generatePeriods, toISODate } = require('../utils/payCalendar');
+const { PAY_SCHEDULES } = require('../utils/payrollCalculator');
+
+// Get all pay calendars for a company
+router.get('/', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT * FROM pay_calendars WHERE company_id = $1 ORDER BY pay_schedule',
+      [req.params.companyId]
+    );
+    res.json({ payCalendars: result.rows });
+  } catch (err) {
+    console.error('Error in get pay calendars:', err);
+    res.status(500).json({ error: 'An error occurred while fetching pay calendars' });
+  }
+});
+
+// Create a pay calendar for one of the company's pay schedules
+router.post('/', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  body('pay_schedule').isIn(PAY_SCHEDULES),
+  body('anchor_date').isDate(),
+  body('pay_date_offset_days').optional().isInt({ min: 0, max: 31 }),
+  body('holiday_shift').optional().isIn(['PREVIOUS', 'NEXT'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId } = req.params;
+    const { pay_schedule, anchor_date, pay_date_offset_days, holiday_shift } = req.body;
+
+    const result = await db.query(
+      `INSERT INTO pay_calendars (company_id, pay_schedule, anchor_date, pay_date_offset_days, holiday_shift)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [companyId, pay_schedule, anchor_date, pay_date_offset_days || 0, holiday_shift || 'PREVIOUS']
+    );
+
+    await logAudit(req.user.userId, req.user.userType, 'create_pay_calendar', result.rows[0].calendar_id, {
+      after: result.rows[0],
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'The company already has a pay calendar for this pay schedule' });
+    }
+    console.error('Error in create pay calendar:', err);
+    res.status(500).json({ error: 'An error occurred while creating the pay calendar' });
+  }
+});
+
+// Update a pay calendar
+router.put('/:calendarId', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  param('calendarId').isInt(),
+  body('anchor_date').optional().isDate(),
+  body('pay_date_offset_days').optional().isInt({ min: 0, max: 31 }),
+  body('holiday_shift').optional().isIn(['PREVIOUS', 'NEXT'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId, calendarId } = req.params;
+    const updateFields = [];
+    const values = [];
+    let paramCount = 1;
+
+    ['anchor_date', 'pay_date_offset_days', 'holiday_shift'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        updateFields.push(`${key} = $${paramCount}`);
+        values.push(req.body[key]);
+        paramCount++;
+      }
+    });
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(calendarId, companyId);
+
+    const before = await db.query('SELECT * FROM pay_calendars WHERE calendar_id = $1', [calendarId]);
+    const result = await db.query(
+      `UPDATE pay_calendars SET ${updateFields.join(', ')}
+       WHERE calendar_id = $${paramCount} AND company_id = $${paramCount + 1}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Pay calendar not found' });
+    }
+
+    await logAudit(req.user.userId, req.user.userType, 'update_pay_calendar', calendarId, {
+      before: before.rows[0],
+      after: result.rows[0],
+      ipAddress: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in update pay calendar:', err);
+    res.status(500).json({ error: 'An error occurred while updating the pay calendar' });
+  }
+});
+
+// List upcoming pay periods and holiday-shifted pay dates
+router.get('/:calendarId/periods', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  param('calendarId').isInt(),
+  query('from').optional().isDate(),
+  query('count').optional().isInt({ min: 1, max: 60 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId, calendarId } = req.params;
+    const result = await db.query(
+      'SELECT * FROM pay_calendars WHERE calendar_id = $1 AND company_id = $2',
+      [calendarId, companyId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Pay calendar not found' });
+    }
+
+    const from = req.query.from || toISODate(new Date());
+    const count = parseInt(req.query.count) || 6;
+
+    res.json({
+      calendar: result.rows[0],
+      periods: generatePeriods(result.rows[0], from, count)
+    });
+  } catch (err) {
+    console.error('Error in get pay periods:', err);
+    res.status(500).json({ error: 'An error occurred while generating pay periods' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,465 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeAccountant, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { deductionLineValidators, fetchDeductionLines } = require('../utils/deductionLines');
+const { createPayrollEntry, recalculatePayrollEntry, finalizePayrollEntries } = require('../utils/payrollEntries');
+const { assertMatchesPayCalendar } = require('../utils/payCalendar');
+const { dailyHoursValidators } = require('../utils/overtimeRules');
+const { PAY_SCHEDULES } = require('../utils/payrollCalculator');
+const { findRunForUser } = require('../utils/payRunAccess');
+const { deliverPayStubs, fetchStubDeliveries } = require('../utils/payStubDelivery');
+const { fetchYearToDateByEntry } = require('../utils/yearToDate');
+const eftFileRoutes = require('./eftFiles');
+
+// Direct deposit files per pay run
+router.use('/:runId/eft-files', eftFileRoutes);
+
+// Active employees that should be paid in a run
+const fetchEligibleEmployees = async (client, run) => {
+  const result = await client.query(
+    `SELECT e.* FROM employees e
+     WHERE e.company_id = $1 AND e.pay_schedule = $2 AND e.start_date <= $3
+       AND (e.is_active = true OR EXISTS (
+         SELECT 1 FROM employee_offboarding o
+         WHERE o.employee_id = e.employee_id AND o.last_day_worked >= $4 AND o.last_day_worked >= e.start_date
+       ))
+     ORDER BY e.last_name, e.first_name`,
+    [run.company_id, run.pay_schedule, run.pay_period_end, run.pay_period_start]
+  );
+  return result.rows;
+};
+
+const fetchRunSummary = async (client, run) => {
+  const entries = await client.query(
+    `SELECT pe.*, e.first_name, e.last_name FROM payroll_entries pe
+     JOIN employees e ON pe.employee_id = e.employee_id
+     WHERE pe.run_id = $1
+     ORDER BY e.last_name, e.first_name`,
+    [run.run_id]
+  );
+  const payrollIds = entries.rows.map(entry => entry.payroll_id);
+  const linesByPayroll = await fetchDeductionLines(client, payrollIds);
+  const ytdByPayroll = await fetchYearToDateByEntry(client, payrollIds);
+
+  const totals = await client.query(
+    `SELECT COUNT(*)::int AS entry_count,
+       COALESCE(SUM(gross_pay), 0) AS total_gross,
+       COALESCE(SUM(deductions), 0) AS total_deductions,
+       COALESCE(SUM(net_pay), 0) AS total_net
+     FROM payroll_entries WHERE run_id = $1`,
+    [run.run_id]
+  );
+
+  // A retro pay adjustment doesn't pay the employee for the run's period
+  const paidEmployeeIds = entries.rows
+    .filter(entry => entry.entry_type !== 'RETRO_PAY')
+    .map(entry => entry.employee_id);
+  const eligible = await fetchEligibleEmployees(client, run);
+  const missingEmployees = eligible
+    .filter(employee => !paidEmployeeIds.includes(employee.employee_id))
+    .map(({ employee_id, first_name, last_name }) => ({ employee_id, first_name, last_name }));
+
+  return {
+    ...run,
+    ...totals.rows[0],
+    entries: entries.rows.map(entry => ({
+      ...entry,
+      deduction_lines: linesByPayroll[entry.payroll_id],
+      year_to_date: ytdByPayroll[entry.payroll_id]
+    })),
+    missing_employees: missingEmployees
+  };
+};
+
+// Get all pay runs for a company
+router.get('/company/:companyId', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['OPEN', 'FINALIZED'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const status = req.query.status || null;
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM pay_runs WHERE company_id = $1 AND ($2::varchar IS NULL OR status = $2)',
+      [companyId, status]
+    );
+    const totalRuns = parseInt(countResult.rows[0].count);
+
+    const result = await db.query(
+      `SELECT r.*,
+         COUNT(pe.payroll_id)::int AS entry_count,
+         COALESCE(SUM(pe.gross_pay), 0) AS total_gross,
+         COALESCE(SUM(pe.net_pay), 0) AS total_net
+       FROM pay_runs r
+       LEFT JOIN payroll_entries pe ON pe.run_id = r.run_id
+       WHERE r.company_id = $1 AND ($2::varchar IS NULL OR r.status = $2)
+       GROUP BY r.run_id
+       ORDER BY r.pay_period_start DESC, r.pay_schedule
+       LIMIT $3 OFFSET $4`,
+      [companyId, status, limit, offset]
+    );
+
+    res.json({
+      payRuns: result.rows,
+      currentPage: page,
+      totalPages: Math.ceil(totalRuns / limit),
+      totalRuns
+    });
+  } catch (err) {
+    console.error('Error in get pay runs:', err);
+    res.status(500).json({ error: 'An error occurred while fetching pay runs' });
+  }
+});
+
+// Get a pay run with its entries, totals and any employees missing from it
+router.get('/:runId', authenticateToken, authorizeClientOrAccountant, [
+  param('runId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const run = await findRunForUser(db, req.params.runId, req.user);
+    if (!run) {
+      return res.status(404).json({ message: 'Pay run not found' });
+    }
+
+    res.json(await fetchRunSummary(db, run));
+  } catch (err) {
+    console.error('Error in get pay run:', err);
+    res.status(500).json({ error: 'An error occurred while fetching the pay run' });
+  }
+});
+
+// Pay stub delivery status for a run's entries, with the employees who need paper stubs
+router.get('/:runId/stub-deliveries', authenticateToken, authorizeClientOrAccountant, [
+  param('runId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const run = await findRunForUser(db, req.params.runId, req.user);
+    if (!run) {
+      return res.status(404).json({ message: 'Pay run not found' });
+    }
+
+    const entries = await db.query('SELECT payroll_id FROM payroll_entries WHERE run_id = $1', [run.run_id]);
+    const deliveries = await fetchStubDeliveries(db, entries.rows.map(entry => entry.payroll_id));
+
+    res.json({ run_id: run.run_id, status: run.status, ...deliveries });
+  } catch (err) {
+    console.error('Error in get pay stub deliveries:', err);
+    res.status(500).json({ error: 'An error occurred while fetching pay stub deliveries' });
+  }
+});
+
+// Open a pay run and generate draft entries for every employee on the pay schedule employed during the period
+router.post('/', authenticateToken, authorizeClientOrAccountant, [
+  body('company_id').isInt(),
+  body('pay_schedule').isIn(PAY_SCHEDULES),
+  body('pay_period_start').isDate(),
+  body('pay_period_end').isDate(),
+  body('payment_date').isDate()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { company_id, pay_schedule, pay_period_start, pay_period_end, payment_date } = req.body;
+
+  if (pay_period_end < pay_period_start) {
+    return res.status(400).json({ error: 'pay_period_end must not be before pay_period_start' });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const companyCheck = await client.query(
+      'SELECT company_id, accountant_id FROM companies WHERE company_id = $1',
+      [company_id]
+    );
+    if (
+      companyCheck.rows.length === 0 ||
+      (req.user.userType === 'accountant' && companyCheck.rows[0].accountant_id !== req.user.accountantId) ||
+      (req.user.userType === 'client' && companyCheck.rows[0].company_id !== req.user.companyId)
+    ) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Access denied. You do not have permission to run payroll for this company.' });
+    }
+
+    await assertMatchesPayCalendar(client, company_id, pay_schedule, pay_period_start, pay_period_end, payment_date);
+
+    const runResult = await client.query(
+      `INSERT INTO pay_runs (company_id, pay_schedule, pay_period_start, pay_period_end, payment_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [company_id, pay_schedule, pay_period_start, pay_period_end, payment_date, req.user.userId]
+    );
+    const run = runResult.rows[0];
+
+    const employees = await fetchEligibleEmployees(client, run);
+    for (const employee of employees) {
+      await createPayrollEntry(client, employee, {
+        run_id: run.run_id,
+        pay_period_start,
+        pay_period_end,
+        payment_date
+      });
+    }
+
+    const summary = await fetchRunSummary(client, run);
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'create_pay_run', run.run_id, { after: run, ipAddress: req.ip });
+
+    res.status(201).json(summary);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A pay run already exists for this company, pay schedule and pay period' });
+    }
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in create pay run:', err);
+    res.status(500).json({ error: 'An error occurred while creating the pay run' });
+  } finally {
+    client.release();
+  }
+});
+
+// Add an employee who is missing from an open pay run
+router.post('/:runId/entries', authenticateToken, authorizeClientOrAccountant, [
+  param('runId').isInt(),
+  body('employee_id').isInt(),
+  body('hours_worked').optional().isFloat({ min: 0 }),
+  ...dailyHoursValidators,
+  ...deductionLineValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const run = await findRunForUser(client, req.params.runId, req.user, true);
+    if (!run) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Pay run not found' });
+    }
+    if (run.status !== 'OPEN') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Pay run is finalized' });
+    }
+
+    const employeeResult = await client.query(
+      'SELECT * FROM employees WHERE employee_id = $1 AND company_id = $2',
+      [req.body.employee_id, run.company_id]
+    );
+    if (employeeResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Employee not found in this company' });
+    }
+
+    const existing = await client.query(
+      `SELECT payroll_id FROM payroll_entries WHERE run_id = $1 AND employee_id = $2 AND entry_type <> 'RETRO_PAY'`,
+      [run.run_id, req.body.employee_id]
+    );
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Employee already has an entry in this pay run' });
+    }
+
+    const entry = await createPayrollEntry(client, employeeResult.rows[0], {
+      run_id: run.run_id,
+      pay_period_start: run.pay_period_start,
+      pay_period_end: run.pay_period_end,
+      payment_date: run.payment_date,
+      hours_worked: req.body.hours_worked,
+      daily_hours: req.body.daily_hours,
+      deduction_lines: req.body.deduction_lines
+    });
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'create_payroll_entry', entry.payroll_id, {
+      after: entry,
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(entry);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in add pay run entry:', err);
+    res.status(500).json({ error: 'An error occurred while adding the pay run entry' });
+  } finally {
+    client.release();
+  }
+});
+
+// Adjust hours or voluntary deductions on a draft entry in an open pay run
+router.put('/:runId/entries/:payrollId', authenticateToken, authorizeClientOrAccountant, [
+  param('runId').isInt(),
+  param('payrollId').isInt(),
+  body('hours_worked').optional().isFloat({ min: 0 }),
+  ...dailyHoursValidators,
+  ...deductionLineValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const run = await findRunForUser(client, req.params.runId, req.user, true);
+    if (!run) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Pay run not found' });
+    }
+    if (run.status !== 'OPEN') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Pay run is finalized' });
+    }
+
+    const entryResult = await client.query(
+      `SELECT pe.* FROM payroll_entries pe WHERE pe.payroll_id = $1 AND pe.run_id = $2 FOR UPDATE`,
+      [req.params.payrollId, run.run_id]
+    );
+    if (entryResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Payroll entry not found in this pay run' });
+    }
+    const entry = entryResult.rows[0];
+
+    const employeeResult = await client.query('SELECT * FROM employees WHERE employee_id = $1', [entry.employee_id]);
+
+    const updated = await recalculatePayrollEntry(client, employeeResult.rows[0], entry, {
+      hours_worked: req.body.hours_worked,
+      daily_hours: req.body.daily_hours,
+      deduction_lines: req.body.deduction_lines
+    });
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'update_payroll_entry', entry.payroll_id, {
+      before: entry,
+      after: updated,
+      ipAddress: req.ip
+    });
+
+    res.json(updated);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in update pay run entry:', err);
+    res.status(500).json({ error: 'An error occurred while updating the pay run entry' });
+  } finally {
+    client.release();
+  }
+});
+
+// Finalize and lock a pay run (for accountants only)
+router.post('/:runId/finalize', authenticateToken, authorizeAccountant, [
+  param('runId').isInt(),
+  body('allow_missing_employees').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const run = await findRunForUser(client, req.params.runId, req.user, true);
+    if (!run) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Pay run not found' });
+    }
+    if (run.status !== 'OPEN') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Pay run is already finalized' });
+    }
+
+    const summary = await fetchRunSummary(client, run);
+    if (summary.entries.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Pay run has no entries to finalize' });
+    }
+    if (summary.missing_employees.length > 0 && !req.body.allow_missing_employees) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Some active employees on this pay schedule have no entry in the pay run',
+        missing_employees: summary.missing_employees
+      });
+    }
+
+    await finalizePayrollEntries(client, summary.entries.map(entry => entry.payroll_id));
+    const runResult = await client.query(
+      `UPDATE pay_runs
+       SET status = 'FINALIZED', finalized_by = $1, finalized_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE run_id = $2 RETURNING *`,
+      [req.user.userId, run.run_id]
+    );
+
+    const finalized = await fetchRunSummary(client, runResult.rows[0]);
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'finalize_pay_run', run.run_id, {
+      before: run,
+      after: runResult.rows[0],
+      ipAddress: req.ip
+    });
+
+    // Stubs go out once the run is committed; a failed email never undoes finalization
+    const stubDelivery = await deliverPayStubs(db, finalized.entries);
+
+    res.json({ ...finalized, stub_delivery: stubDelivery });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in finalize pay run:', err);
+    res.status(500).json({ error: 'An error occurred while finalizing the pay run' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
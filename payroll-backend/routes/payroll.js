@@ -1,9 +1,55 @@
 const express = require('express');
 const router = express.Router();
 const { body, query, param, validationResult } = require('express-validator');
+const archiver = require('archiver');
 const db = require('../db');
-const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { authenticateToken, authorizeAccountant, authorizeClientOrAccountant } = require('../middleware/auth');
 const { logAudit } = require('../utils/auditLogger');
+const { deductionLineValidators, fetchDeductionLines } = require('../utils/deductionLines');
+const {
+  createPayrollEntry, recalculatePayrollEntry, finalizePayrollEntries, reversePayrollEntry, correctPayrollEntry
+} = require('../utils/payrollEntries');
+const { assertMatchesPayCalendar, toISODate } = require('../utils/payCalendar');
+const { dailyHoursValidators } = require('../utils/overtimeRules');
+const { buildPayStub } = require('../utils/payStub');
+const { renderPayStubPdf } = require('../utils/payStubPdf');
+const { fetchYearToDateByEntry } = require('../utils/yearToDate');
+const { deliverPayStub, deliverPayStubs } = require('../utils/payStubDelivery');
+const payRunRoutes = require('./payRuns');
+const statutoryParameterRoutes = require('./statutoryParameters');
+const taxTableRoutes = require('./taxTables');
+
+// Columns that may be changed directly through PUT /:id; hours and deduction lines are changed by recalculating
+const SCHEDULE_FIELDS = ['employee_id', 'pay_period_start', 'pay_period_end', 'payment_date'];
+
+// Columns the payroll calculator sets, which callers cannot supply
+const CALCULATED_FIELDS = ['overtime_hours', 'double_time_hours', 'gross_pay', 'deductions', 'net_pay'];
+
+// Pay runs (batch payroll per company and pay period)
+router.use('/runs', payRunRoutes);
+
+// Yearly CPP, CPP2 and EI limits, and the versioned tax tables
+router.use('/statutory-parameters', statutoryParameterRoutes);
+router.use('/tax-tables', taxTableRoutes);
+
+// Find a payroll entry the current user can access (accountants: their companies, clients: their own company)
+const findEntryForUser = async (db, payrollId, user) => {
+  const result = user.userType === 'accountant'
+    ? await db.query(
+      `SELECT pe.* FROM payroll_entries pe
+       JOIN employees e ON pe.employee_id = e.employee_id
+       JOIN companies c ON e.company_id = c.company_id
+       WHERE pe.payroll_id = $1 AND c.accountant_id = $2`,
+      [payrollId, user.accountantId]
+    )
+    : await db.query(
+      `SELECT pe.* FROM payroll_entries pe
+       JOIN employees e ON pe.employee_id = e.employee_id
+       WHERE pe.payroll_id = $1 AND e.company_id = $2`,
+      [payrollId, user.companyId]
+    );
+  return result.rows[0] || null;
+};
 
 // Get all payroll entries for a company (with pagination and date range filter)
 router.get('/company/:companyId', authenticateToken, authorizeClientOrAccountant, [
@@ -51,6 +97,14 @@ router.get('/company/:companyId', authenticateToken, authorizeClientOrAccountant
     }
 
     const result = await db.query(query, queryParams);
+    const payrollIds = result.rows.map(entry => entry.payroll_id);
+    const linesByPayroll = await fetchDeductionLines(db, payrollIds);
+    const ytdByPayroll = await fetchYearToDateByEntry(db, payrollIds);
+    const payrollEntries = result.rows.map(entry => ({
+      ...entry,
+      deduction_lines: linesByPayroll[entry.payroll_id],
+      year_to_date: ytdByPayroll[entry.payroll_id]
+    }));
 
     const countQuery = req.user.userType === 'accountant'
       ? 'SELECT COUNT(*) FROM payroll_entries pe JOIN employees e ON pe.employee_id = e.employee_id JOIN companies c ON e.company_id = c.company_id WHERE c.company_id = $1 AND c.accountant_id = $2 AND pe.pay_period_start >= $3 AND pe.pay_period_end <= $4'
@@ -64,7 +118,7 @@ router.get('/company/:companyId', authenticateToken, authorizeClientOrAccountant
     const totalEntries = parseInt(countResult.rows[0].count);
 
     res.json({
-      payrollEntries: result.rows,
+      payrollEntries,
       currentPage: page,
       totalPages: Math.ceil(totalEntries / limit),
       totalEntries
@@ -75,6 +129,56 @@ router.get('/company/:companyId', authenticateToken, authorizeClientOrAccountant
   }
 });
 
+// Download the pay stubs for every entry in a company's pay period as a zip of PDFs
+router.get('/company/:companyId/stubs', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  query('pay_period_start').isDate(),
+  query('pay_period_end').isDate()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId } = req.params;
+    const { pay_period_start, pay_period_end } = req.query;
+    const result = await db.query(
+      `SELECT pe.*, e.first_name, e.last_name FROM payroll_entries pe
+       JOIN employees e ON pe.employee_id = e.employee_id
+       WHERE e.company_id = $1 AND pe.pay_period_start = $2 AND pe.pay_period_end = $3
+       ORDER BY e.last_name, e.first_name, pe.payroll_id`,
+      [companyId, pay_period_start, pay_period_end]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'No payroll entries found for this pay period' });
+    }
+
+    // Render every stub before streaming so a failure can still be reported as JSON
+    const stubs = [];
+    for (const entry of result.rows) {
+      stubs.push({
+        name: `${entry.last_name}-${entry.first_name}-${entry.payroll_id}.pdf`.replace(/[^\w.-]+/g, '_'),
+        pdf: await renderPayStubPdf(await buildPayStub(db, entry))
+      });
+    }
+
+    await logAudit(req.user.userId, req.user.userType, 'download_pay_stubs', companyId, { ipAddress: req.ip });
+
+    res.type('application/zip');
+    res.attachment(`pay-stubs-${companyId}-${pay_period_start}-${pay_period_end}.zip`);
+
+    const archive = archiver('zip');
+    archive.on('error', err => res.destroy(err));
+    archive.pipe(res);
+    stubs.forEach(stub => archive.append(stub.pdf, { name: stub.name }));
+    await archive.finalize();
+  } catch (err) {
+    console.error('Error in download pay stubs:', err);
+    res.status(500).json({ error: 'An error occurred while generating pay stubs' });
+  }
+});
+
 // Get a single payroll entry
 router.get('/:id', authenticateToken, authorizeClientOrAccountant, [
   param('id').isInt()
@@ -85,43 +189,89 @@ router.get('/:id', authenticateToken, authorizeClientOrAccountant, [
   }
 
   try {
-    const { id } = req.params;
-    let result;
-    if (req.user.userType === 'accountant') {
-      result = await db.query(`
-        SELECT pe.* FROM payroll_entries pe 
-        JOIN employees e ON pe.employee_id = e.employee_id 
-        JOIN companies c ON e.company_id = c.company_id
-        WHERE pe.payroll_id = $1 AND c.accountant_id = $2
-      `, [id, req.user.accountantId]);
-    } else {
-      result = await db.query(`
-        SELECT pe.* FROM payroll_entries pe 
-        JOIN employees e ON pe.employee_id = e.employee_id 
-        WHERE pe.payroll_id = $1 AND e.company_id = $2
-      `, [id, req.user.companyId]);
-    }
-    if (result.rows.length === 0) {
+    const entry = await findEntryForUser(db, req.params.id, req.user);
+    if (!entry) {
       return res.status(404).json({ message: 'Payroll entry not found' });
     }
-    res.json(result.rows[0]);
+    const linesByPayroll = await fetchDeductionLines(db, [entry.payroll_id]);
+    const ytdByPayroll = await fetchYearToDateByEntry(db, [entry.payroll_id]);
+    res.json({
+      ...entry,
+      deduction_lines: linesByPayroll[entry.payroll_id],
+      year_to_date: ytdByPayroll[entry.payroll_id]
+    });
   } catch (err) {
     console.error('Error in get single payroll entry:', err);
     res.status(500).json({ error: 'An error occurred while fetching the payroll entry' });
   }
 });
 
-// Create a new payroll entry
+// Download a payroll entry's pay stub as a PDF
+router.get('/:id/stub', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const entry = await findEntryForUser(db, req.params.id, req.user);
+    if (!entry) {
+      return res.status(404).json({ message: 'Payroll entry not found' });
+    }
+
+    const pdf = await renderPayStubPdf(await buildPayStub(db, entry));
+
+    await logAudit(req.user.userId, req.user.userType, 'download_pay_stub', entry.payroll_id, { ipAddress: req.ip });
+
+    res.type('application/pdf');
+    res.attachment(`pay-stub-${entry.payroll_id}.pdf`);
+    res.send(pdf);
+  } catch (err) {
+    console.error('Error in download pay stub:', err);
+    res.status(500).json({ error: 'An error occurred while generating the pay stub' });
+  }
+});
+
+// Email (or re-send) a finalized entry's pay stub to the employee
+router.post('/:id/stub/email', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const entry = await findEntryForUser(db, req.params.id, req.user);
+    if (!entry) {
+      return res.status(404).json({ message: 'Payroll entry not found' });
+    }
+    if (entry.status !== 'FINALIZED') {
+      return res.status(409).json({ error: 'Pay stubs are emailed only for finalized payroll entries' });
+    }
+
+    const delivery = await deliverPayStub(db, entry);
+
+    await logAudit(req.user.userId, req.user.userType, 'email_pay_stub', entry.payroll_id, { ipAddress: req.ip });
+
+    res.json(delivery);
+  } catch (err) {
+    console.error('Error in email pay stub:', err);
+    res.status(500).json({ error: 'An error occurred while emailing the pay stub' });
+  }
+});
+
+// Create a new payroll entry (overtime, gross pay, deductions and net pay are calculated server-side)
 router.post('/', authenticateToken, authorizeClientOrAccountant, [
   body('employee_id').isInt(),
   body('pay_period_start').isDate(),
   body('pay_period_end').isDate(),
-  body('hours_worked').isFloat({ min: 0 }),
-  body('overtime_hours').isFloat({ min: 0 }),
-  body('gross_pay').isFloat({ min: 0 }),
-  body('deductions').isFloat({ min: 0 }),
-  body('net_pay').isFloat({ min: 0 }),
-  body('payment_date').isDate()
+  body('hours_worked').optional().isFloat({ min: 0 }),
+  body('payment_date').isDate(),
+  ...dailyHoursValidators,
+  ...deductionLineValidators
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -131,12 +281,12 @@ router.post('/', authenticateToken, authorizeClientOrAccountant, [
   try {
     const {
       employee_id, pay_period_start, pay_period_end, hours_worked,
-      overtime_hours, gross_pay, deductions, net_pay, payment_date
+      daily_hours, payment_date, deduction_lines
     } = req.body;
 
     // Check if the employee belongs to the client's company or accountant's managed company
     const employeeCheck = await db.query(
-      'SELECT e.company_id, c.accountant_id FROM employees e JOIN companies c ON e.company_id = c.company_id WHERE e.employee_id = $1',
+      'SELECT e.*, c.accountant_id FROM employees e JOIN companies c ON e.company_id = c.company_id WHERE e.employee_id = $1',
       [employee_id]
     );
 
@@ -144,109 +294,422 @@ router.post('/', authenticateToken, authorizeClientOrAccountant, [
       return res.status(404).json({ error: 'Employee not found' });
     }
 
-    const { company_id, accountant_id } = employeeCheck.rows[0];
+    const employee = employeeCheck.rows[0];
 
     if (
-      (req.user.userType === 'client' && company_id !== req.user.companyId) ||
-      (req.user.userType === 'accountant' && accountant_id !== req.user.accountantId)
+      (req.user.userType === 'client' && employee.company_id !== req.user.companyId) ||
+      (req.user.userType === 'accountant' && employee.accountant_id !== req.user.accountantId)
     ) {
       return res.status(403).json({ error: 'You do not have permission to create payroll entries for this employee' });
     }
 
-    const result = await db.query(
-      `INSERT INTO payroll_entries (
-        employee_id, pay_period_start, pay_period_end, hours_worked,
-        overtime_hours, gross_pay, deductions, net_pay, payment_date
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
-      [employee_id, pay_period_start, pay_period_end, hours_worked,
-       overtime_hours, gross_pay, deductions, net_pay, payment_date]
+    await assertMatchesPayCalendar(
+      db, employee.company_id, employee.pay_schedule, pay_period_start, pay_period_end, payment_date
     );
 
-    await logAudit(req.user.userId, req.user.userType, 'create_payroll_entry', result.rows[0].payroll_id);
+    const client = await db.getClient();
+    let entry;
+
+    try {
+      await client.query('BEGIN');
+      entry = await createPayrollEntry(client, employee, {
+        pay_period_start, pay_period_end, hours_worked, daily_hours, payment_date, deduction_lines
+      });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await logAudit(req.user.userId, req.user.userType, 'create_payroll_entry', entry.payroll_id, {
+      after: entry,
+      ipAddress: req.ip
+    });
 
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(entry);
   } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error('Error in create payroll entry:', err);
     res.status(500).json({ error: 'An error occurred while creating the payroll entry' });
   }
 });
 
-// Update a payroll entry
+// Update a draft payroll entry. Overtime, gross pay, deductions and net pay are recalculated from the
+// changed hours, voluntary deduction lines, employee or pay period.
 router.put('/:id', authenticateToken, authorizeClientOrAccountant, [
   param('id').isInt(),
   body('employee_id').optional().isInt(),
   body('pay_period_start').optional().isDate(),
   body('pay_period_end').optional().isDate(),
   body('hours_worked').optional().isFloat({ min: 0 }),
-  body('overtime_hours').optional().isFloat({ min: 0 }),
-  body('gross_pay').optional().isFloat({ min: 0 }),
-  body('deductions').optional().isFloat({ min: 0 }),
-  body('net_pay').optional().isFloat({ min: 0 }),
-  body('payment_date').optional().isDate()
+  body('payment_date').optional().isDate(),
+  ...CALCULATED_FIELDS.map(field => body(field).not().exists().withMessage(`${field} is calculated and cannot be supplied`)),
+  ...dailyHoursValidators,
+  ...deductionLineValidators
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  try {
-    const { id } = req.params;
-    const updateFields = [];
-    const values = [];
-    let paramCount = 1;
+  const client = await db.getClient();
 
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
-        updateFields.push(`${key} = $${paramCount}`);
-        values.push(req.body[key]);
-        paramCount++;
-      }
-    });
+  try {
+    await client.query('BEGIN');
 
-    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    const { id } = req.params;
 
     // Only allow updates to entries within the last 30 days for clients
     const dateCheck = req.user.userType === 'client' ? 'AND pe.created_at > NOW() - INTERVAL \'30 days\'' : '';
 
-    let query;
+    let existing;
     if (req.user.userType === 'accountant') {
-      query = `
-        UPDATE payroll_entries pe
-        SET ${updateFields.join(', ')}
-        FROM employees e
+      existing = await client.query(`
+        SELECT pe.* FROM payroll_entries pe
+        JOIN employees e ON pe.employee_id = e.employee_id
         JOIN companies c ON e.company_id = c.company_id
-        WHERE pe.payroll_id = $${paramCount}
-        AND pe.employee_id = e.employee_id
-        AND c.accountant_id = $${paramCount + 1}
-        RETURNING pe.*
-      `;
-      values.push(id, req.user.accountantId);
+        WHERE pe.payroll_id = $1 AND c.accountant_id = $2
+        FOR UPDATE OF pe
+      `, [id, req.user.accountantId]);
     } else {
-      query = `
-        UPDATE payroll_entries pe
-        SET ${updateFields.join(', ')}
-        FROM employees e
-        WHERE pe.payroll_id = $${paramCount}
-        AND pe.employee_id = e.employee_id
-        AND e.company_id = $${paramCount + 1}
+      existing = await client.query(`
+        SELECT pe.* FROM payroll_entries pe
+        JOIN employees e ON pe.employee_id = e.employee_id
+        WHERE pe.payroll_id = $1 AND e.company_id = $2
         ${dateCheck}
-        RETURNING pe.*
-      `;
-      values.push(id, req.user.companyId);
+        FOR UPDATE OF pe
+      `, [id, req.user.companyId]);
     }
 
-    const result = await db.query(query, values);
-
-    if (result.rows.length === 0) {
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(403).json({ message: 'Payroll entry not found, too old to update, or you do not have permission to update it' });
     }
 
-    await logAudit(req.user.userId, req.user.userType, 'update_payroll_entry', id);
+    const entry = existing.rows[0];
+    if (entry.status === 'FINALIZED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Finalized payroll entries cannot be modified; reverse the entry to correct it'
+      });
+    }
 
-    res.json(result.rows[0]);
+    const updates = {};
+    SCHEDULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    if (Object.keys(updates).length > 0 && entry.run_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Entries in a pay run keep the run\'s employees and pay period' });
+    }
+
+    // The entry can only move to another employee of the same company
+    const employeeResult = await client.query(
+      `SELECT * FROM employees
+       WHERE employee_id = $1 AND company_id = (SELECT company_id FROM employees WHERE employee_id = $2)`,
+      [updates.employee_id || entry.employee_id, entry.employee_id]
+    );
+    if (employeeResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    const employee = employeeResult.rows[0];
+
+    let current = entry;
+    if (Object.keys(updates).length > 0) {
+      await assertMatchesPayCalendar(
+        client, employee.company_id, employee.pay_schedule,
+        updates.pay_period_start || entry.pay_period_start, updates.pay_period_end || entry.pay_period_end,
+        updates.payment_date || entry.payment_date
+      );
+
+      const updateFields = [];
+      const values = [];
+      let paramCount = 1;
+
+      Object.keys(updates).forEach(key => {
+        updateFields.push(`${key} = $${paramCount}`);
+        values.push(updates[key]);
+        paramCount++;
+      });
+      values.push(id);
+
+      const result = await client.query(
+        `UPDATE payroll_entries SET ${updateFields.join(', ')} WHERE payroll_id = $${paramCount} RETURNING *`,
+        values
+      );
+      current = result.rows[0];
+    }
+
+    const updated = await recalculatePayrollEntry(client, employee, current, {
+      hours_worked: req.body.hours_worked,
+      daily_hours: req.body.daily_hours,
+      deduction_lines: req.body.deduction_lines
+    });
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'update_payroll_entry', id, {
+      before: entry,
+      after: updated,
+      ipAddress: req.ip
+    });
+
+    res.json(updated);
   } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error('Error in update payroll entry:', err);
     res.status(500).json({ error: 'An error occurred while updating the payroll entry' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a draft payroll entry (finalized entries are reversed instead)
+router.delete('/:id', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const existing = req.user.userType === 'accountant'
+      ? await client.query(`
+        SELECT pe.*, e.company_id FROM payroll_entries pe
+        JOIN employees e ON pe.employee_id = e.employee_id
+        JOIN companies c ON e.company_id = c.company_id
+        WHERE pe.payroll_id = $1 AND c.accountant_id = $2
+        FOR UPDATE OF pe
+      `, [id, req.user.accountantId])
+      : await client.query(`
+        SELECT pe.*, e.company_id FROM payroll_entries pe
+        JOIN employees e ON pe.employee_id = e.employee_id
+        WHERE pe.payroll_id = $1 AND e.company_id = $2
+        FOR UPDATE OF pe
+      `, [id, req.user.companyId]);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Payroll entry not found' });
+    }
+
+    const { company_id: companyId, ...entry } = existing.rows[0];
+    if (entry.status === 'FINALIZED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Finalized payroll entries cannot be deleted; reverse the entry to correct it'
+      });
+    }
+    if (entry.run_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Entries in a pay run keep the run\'s employees and pay period' });
+    }
+
+    // Deduction, earning, time and retro lines go with the entry
+    await client.query('DELETE FROM payroll_entries WHERE payroll_id = $1', [id]);
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'delete_payroll_entry', id, {
+      companyId,
+      before: entry,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Payroll entry deleted successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in delete payroll entry:', err);
+    res.status(500).json({ error: 'An error occurred while deleting the payroll entry' });
+  } finally {
+    client.release();
+  }
+});
+
+// Finalize (lock) a single payroll entry
+router.post('/:id/finalize', authenticateToken, authorizeAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { id } = req.params;
+    const existing = await client.query(`
+      SELECT pe.* FROM payroll_entries pe
+      JOIN employees e ON pe.employee_id = e.employee_id
+      JOIN companies c ON e.company_id = c.company_id
+      WHERE pe.payroll_id = $1 AND c.accountant_id = $2
+      FOR UPDATE OF pe
+    `, [id, req.user.accountantId]);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Payroll entry not found' });
+    }
+    if (existing.rows[0].status === 'FINALIZED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Payroll entry is already finalized' });
+    }
+    if (existing.rows[0].run_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Payroll entries in a pay run are finalized with the run' });
+    }
+
+    const [finalized] = await finalizePayrollEntries(client, [existing.rows[0].payroll_id]);
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'finalize_payroll_entry', id, {
+      before: existing.rows[0],
+      after: finalized,
+      ipAddress: req.ip
+    });
+
+    const stubDelivery = await deliverPayStubs(db, [finalized]);
+
+    res.json({ ...finalized, stub_delivery: stubDelivery });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in finalize payroll entry:', err);
+    res.status(500).json({ error: 'An error occurred while finalizing the payroll entry' });
+  } finally {
+    client.release();
+  }
+});
+
+// Correct a finalized entry without changing it: a finalized reversal negates it and, for a regular entry, a draft
+// correction pays the period again with the given hours and deductions (the original's where not given). Both are
+// paid on payment_date (default today) and linked to the original. reverse_only skips the correction.
+router.post('/:id/reverse', authenticateToken, authorizeAccountant, [
+  param('id').isInt(),
+  body('payment_date').optional().isDate(),
+  body('reason').optional().isString().trim().isLength({ max: 255 }),
+  body('reverse_only').optional().isBoolean().toBoolean(),
+  body('hours_worked').optional().isFloat({ min: 0 }),
+  ...dailyHoursValidators,
+  ...deductionLineValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(`
+      SELECT pe.* FROM payroll_entries pe
+      JOIN employees e ON pe.employee_id = e.employee_id
+      JOIN companies c ON e.company_id = c.company_id
+      WHERE pe.payroll_id = $1 AND c.accountant_id = $2
+      FOR UPDATE OF pe
+    `, [req.params.id, req.user.accountantId]);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Payroll entry not found' });
+    }
+    const original = existing.rows[0];
+    if (original.status !== 'FINALIZED') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Only finalized payroll entries are reversed; update the draft instead' });
+    }
+    if (original.entry_type === 'REVERSAL') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'A reversal cannot itself be reversed' });
+    }
+
+    const reversed = await client.query(
+      'SELECT payroll_id FROM payroll_entries WHERE reverses_payroll_id = $1',
+      [original.payroll_id]
+    );
+    if (reversed.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Payroll entry has already been reversed' });
+    }
+
+    // Vacation payouts and retro pay adjustments are reversed only; their amounts aren't recalculated
+    const correct = !req.body.reverse_only && original.entry_type === 'REGULAR';
+    if (correct) {
+      // A correction pays the rate now in effect, which would pay a retro pay top-up a second time
+      const retro = await client.query(
+        `SELECT 1 FROM payroll_retro_lines rl
+         WHERE rl.original_payroll_id = $1
+           AND NOT EXISTS (SELECT 1 FROM payroll_entries r WHERE r.reverses_payroll_id = rl.payroll_id)`,
+        [original.payroll_id]
+      );
+      if (retro.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'This entry was topped up by retro pay; reverse it with reverse_only and enter the corrected pay'
+        });
+      }
+    }
+
+    const paymentDate = req.body.payment_date || toISODate(new Date());
+    const reversal = await reversePayrollEntry(client, original, paymentDate, req.body.reason);
+
+    let correction = null;
+    if (correct) {
+      const employee = await client.query('SELECT * FROM employees WHERE employee_id = $1', [original.employee_id]);
+      correction = await correctPayrollEntry(client, employee.rows[0], original, {
+        hours_worked: req.body.hours_worked,
+        daily_hours: req.body.daily_hours,
+        deduction_lines: req.body.deduction_lines
+      }, paymentDate, req.body.reason);
+    }
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'reverse_payroll_entry', original.payroll_id, {
+      after: reversal,
+      ipAddress: req.ip
+    });
+    if (correction) {
+      await logAudit(req.user.userId, req.user.userType, 'create_payroll_entry', correction.payroll_id, {
+        after: correction,
+        ipAddress: req.ip
+      });
+    }
+
+    res.status(201).json({ original, reversal, correction });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in reverse payroll entry:', err);
+    res.status(500).json({ error: 'An error occurred while reversing the payroll entry' });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, query, param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const {
+  buildRemittanceReport,
+  buildRemittancePeriods,
+  findOverdueRemittances,
+  recordRemittancePayment
+} = require('../utils/remittances');
+const { roundCurrency } = require('../utils/payrollCalculator');
+
+// Remitting periods for a year with amounts due, paid and outstanding
+router.get('/', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  query('year').isInt({ min: 2000, max: 2100 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { year } = req.query;
+    const periods = await buildRemittancePeriods(db, req.params.companyId, `${year}-01-01`, `${year}-12-31`);
+    res.json({ year, periods });
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in get remittance periods:', err);
+    res.status(500).json({ error: 'An error occurred while fetching remittance periods' });
+  }
+});
+
+// PD7A remittance report for a month (YYYY-MM) or any date range
+router.get('/report', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+  query('from').if(query('month').not().exists()).isDate(),
+  query('to').if(query('month').not().exists()).isDate()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let { from, to } = req.query;
+    if (req.query.month) {
+      const [year, month] = req.query.month.split('-').map(Number);
+      from = `${req.query.month}-01`;
+      to = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    const report = await buildRemittanceReport(db, req.params.companyId, from, to);
+    res.json(report);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in get remittance report:', err);
+    res.status(500).json({ error: 'An error occurred while generating the remittance report' });
+  }
+});
+
+// Remitting periods past their due date with an unpaid balance
+router.get('/overdue', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const overdue = await findOverdueRemittances(db, req.params.companyId);
+    res.json({
+      total_overdue: roundCurrency(overdue.reduce((sum, period) => sum + period.balance, 0)),
+      periods: overdue
+    });
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in get overdue remittances:', err);
+    res.status(500).json({ error: 'An error occurred while fetching overdue remittances' });
+  }
+});
+
+// Record a remittance paid to CRA for the remitting period containing period_date
+router.post('/payments', authenticateToken, authorizeClientOrAccountant, [
+  param('companyId').isInt(),
+  body('period_date').isDate(),
+  body('amount_paid').isFloat({ gt: 0 }),
+  body('paid_date').isDate(),
+  body('reference').optional().isString().trim()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payment = await recordRemittancePayment(db, req.params.companyId, req.body);
+
+    await logAudit(req.user.userId, req.user.userType, 'record_remittance_payment', payment.payment_id, {
+      after: payment,
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(payment);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in record remittance payment:', err);
+    res.status(500).json({ error: 'An error occurred while recording the remittance payment' });
+  }
+});
+
+module.exports = router;
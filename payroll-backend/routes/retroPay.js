@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { findEmployeeForUser } = require('../utils/employeeAccess');
+const { findRunForUser } = require('../utils/payRunAccess');
+const { fetchRetroLines, applyRetroPay } = require('../utils/retroPay');
+
+// Get an employee's retro pay adjustments, each with the period-by-period differences it pays
+router.get('/', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const employee = await findEmployeeForUser(db, req.params.id, req.user);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to view this employee' });
+    }
+
+    const entries = await db.query(
+      `SELECT * FROM payroll_entries WHERE employee_id = $1 AND entry_type = 'RETRO_PAY'
+       ORDER BY payment_date DESC, payroll_id DESC`,
+      [employee.employee_id]
+    );
+    for (const entry of entries.rows) {
+      entry.retro_lines = await fetchRetroLines(db, entry.payroll_id);
+    }
+
+    res.json({ employee_id: employee.employee_id, adjustments: entries.rows });
+  } catch (err) {
+    console.error('Error in get retro pay:', err);
+    res.status(500).json({ error: 'An error occurred while fetching retro pay adjustments' });
+  }
+});
+
+// Pay a backdated rate: the differences for finalized periods go on one adjustment entry in the given pay run,
+// or else the employee's next open pay run
+router.post('/', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt(),
+  body('effective_from').isDate(),
+  body('pay_rate').isFloat({ gt: 0 }).toFloat(),
+  body('reason').optional().isString().trim().isLength({ max: 255 }),
+  body('run_id').optional().isInt().toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const employee = await findEmployeeForUser(client, req.params.id, req.user);
+    if (!employee) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to update this employee' });
+    }
+
+    let run;
+    if (req.body.run_id) {
+      run = await findRunForUser(client, req.body.run_id, req.user, true);
+      if (!run || run.company_id !== employee.company_id) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Pay run not found' });
+      }
+      if (run.status !== 'OPEN') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Pay run is finalized' });
+      }
+    } else {
+      const next = await client.query(
+        `SELECT * FROM pay_runs
+         WHERE company_id = $1 AND pay_schedule = $2 AND status = 'OPEN'
+         ORDER BY payment_date, run_id LIMIT 1
+         FOR UPDATE`,
+        [employee.company_id, employee.pay_schedule]
+      );
+      run = next.rows[0];
+      if (!run) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Open the next pay run before paying retroactive pay' });
+      }
+    }
+
+    const { entry, compensation } = await applyRetroPay(client, employee, run, {
+      effectiveFrom: req.body.effective_from,
+      payRate: req.body.pay_rate,
+      reason: req.body.reason,
+      userId: req.user.userId
+    });
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'create_retro_pay', entry.payroll_id, {
+      after: entry,
+      ipAddress: req.ip
+    });
+    if (compensation) {
+      await logAudit(req.user.userId, req.user.userType, 'change_compensation', employee.employee_id, {
+        after: compensation,
+        ipAddress: req.ip
+      });
+    }
+
+    res.status(201).json(entry);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in create retro pay:', err);
+    res.status(500).json({ error: 'An error occurred while calculating retroactive pay' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { buildRoe, roesToXml } = require('../utils/roe');
+const { findEmployeeForUser } = require('../utils/employeeAccess');
+
+const loadRoe = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return null;
+  }
+
+  const employee = await findEmployeeForUser(db, req.params.id, req.user);
+  if (!employee) {
+    res.status(404).json({ message: 'Employee not found or you do not have permission to view this employee' });
+    return null;
+  }
+  return buildRoe(db, employee.employee_id);
+};
+
+// Get Record of Employment data for an offboarded employee
+router.get('/', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const roe = await loadRoe(req, res);
+    if (!roe) return;
+    res.json(roe);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in get ROE:', err);
+    res.status(500).json({ error: 'An error occurred while generating the Record of Employment' });
+  }
+});
+
+// Export the Record of Employment as an ROE Web XML file
+router.get('/xml', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const roe = await loadRoe(req, res);
+    if (!roe) return;
+
+    await logAudit(req.user.userId, req.user.userType, 'export_roe', roe.employee_id, { ipAddress: req.ip });
+
+    res.type('application/xml');
+    res.attachment(`roe-${roe.employee_id}.xml`);
+    res.send(roesToXml([roe]));
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in export ROE:', err);
+    res.status(500).json({ error: 'An error occurred while exporting the Record of Employment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { listStatutoryLimits } = require('../utils/statutoryParameters');
+
+// List the CPP, CPP2 and EI limits from every version of the tax tables. They change only by adding
+// a tax table version (see data/tax-tables), so past entries always recalculate with the same limits.
+router.get('/', authenticateToken, (req, res) => {
+  try {
+    res.json(listStatutoryLimits());
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in get statutory parameters:', err);
+    res.status(500).json({ error: 'An error occurred while fetching statutory parameters' });
+  }
+});
+
+module.exports = router;
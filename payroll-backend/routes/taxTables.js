@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { getTaxTable, listTaxTableVersions } = require('../utils/taxTables');
+
+// List every loaded tax table version, or with ?date= the rates in effect on that payment date
+router.get('/', authenticateToken, [
+  query('date').optional().isDate()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.query.date) {
+      return res.json({ date: req.query.date, ...getTaxTable(req.query.date) });
+    }
+    res.json(listTaxTableVersions());
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in get tax tables:', err);
+    res.status(500).json({ error: 'An error occurred while fetching tax tables' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { findEmployeeForUser } = require('../utils/employeeAccess');
+const { FEDERAL, td1Validators, fetchTd1Claims, saveTd1 } = require('../utils/td1');
+
+const yearValidators = [
+  param('id').isInt(),
+  param('year').isInt({ min: 2000, max: 2100 }).toInt()
+];
+
+// Get every TD1 declared by an employee, with the uploaded TD1 PDFs kept as supporting documents
+router.get('/', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const employee = await findEmployeeForUser(db, req.params.id, req.user);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to view this employee' });
+    }
+
+    const declarations = await db.query(
+      `SELECT * FROM employee_td1 WHERE employee_id = $1
+       ORDER BY tax_year DESC, jurisdiction = $2 DESC, jurisdiction`,
+      [employee.employee_id, FEDERAL]
+    );
+    const documents = await db.query(
+      `SELECT document_id, document_type, file_name, upload_date FROM employee_documents
+       WHERE employee_id = $1 AND document_type IN ('TD1_FEDERAL', 'TD1_PROVINCIAL')
+       ORDER BY upload_date DESC, document_id DESC`,
+      [employee.employee_id]
+    );
+
+    res.json({ employee_id: employee.employee_id, declarations: declarations.rows, documents: documents.rows });
+  } catch (err) {
+    console.error('Error in get TD1 declarations:', err);
+    res.status(500).json({ error: 'An error occurred while fetching TD1 declarations' });
+  }
+});
+
+// Get the claims used to calculate tax in a year, in the province of employment (TD1s carry forward until replaced)
+router.get('/:year', authenticateToken, authorizeClientOrAccountant, yearValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const employee = await findEmployeeForUser(db, req.params.id, req.user);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to view this employee' });
+    }
+
+    const province = employee.province_of_employment;
+    const claims = await fetchTd1Claims(db, employee.employee_id, req.params.year, province);
+    res.json({ employee_id: employee.employee_id, year: req.params.year, province, ...claims });
+  } catch (err) {
+    console.error('Error in get TD1 claims:', err);
+    res.status(500).json({ error: 'An error occurred while fetching TD1 claims' });
+  }
+});
+
+// Record the federal and/or provincial TD1 for a year
+router.put('/:year', authenticateToken, authorizeClientOrAccountant, [
+  ...yearValidators,
+  ...td1Validators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  const { federal, provincial } = req.body;
+  if (!federal && !provincial) {
+    return res.status(400).json({ error: 'A federal or provincial TD1 is required' });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const employee = await findEmployeeForUser(client, req.params.id, req.user);
+    if (!employee) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to update this employee' });
+    }
+
+    const previous = await client.query(
+      'SELECT * FROM employee_td1 WHERE employee_id = $1 AND tax_year = $2',
+      [employee.employee_id, req.params.year]
+    );
+
+    const declarations = [];
+    if (federal) {
+      declarations.push(await saveTd1(client, employee.employee_id, req.params.year, FEDERAL, federal));
+    }
+    if (provincial) {
+      declarations.push(await saveTd1(client, employee.employee_id, req.params.year, provincial.province, provincial));
+    }
+
+    await client.query('COMMIT');
+
+    // Audited per jurisdiction: { FEDERAL: { before, after }, ON: ... }
+    await logAudit(req.user.userId, req.user.userType, 'update_td1', employee.employee_id, {
+      before: declarations.reduce((byJurisdiction, declaration) => ({
+        ...byJurisdiction,
+        [declaration.jurisdiction]: previous.rows.find(row => row.jurisdiction === declaration.jurisdiction) || null
+      }), {}),
+      after: declarations.reduce((byJurisdiction, declaration) => ({
+        ...byJurisdiction,
+        [declaration.jurisdiction]: declaration
+      }), {}),
+      ipAddress: req.ip
+    });
+
+    res.json({ employee_id: employee.employee_id, year: req.params.year, declarations });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in update TD1:', err);
+    res.status(500).json({ error: 'An error occurred while updating the TD1' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
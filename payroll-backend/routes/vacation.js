@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { fetchVacationBalance, recordVacationUsage } = require('../utils/vacationAccrual');
+const { findEmployeeForUser } = require('../utils/employeeAccess');
+
+// Get an employee's vacation balance and ledger
+router.get('/', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const employee = await findEmployeeForUser(db, req.params.id, req.user);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to view this employee' });
+    }
+
+    const ledger = await db.query(
+      'SELECT * FROM vacation_accrual WHERE employee_id = $1 ORDER BY accrual_id',
+      [employee.employee_id]
+    );
+    const balance = await fetchVacationBalance(db, employee.employee_id);
+
+    res.json({
+      employee_id: employee.employee_id,
+      accrual_method: employee.vacation_accrual_method,
+      balance_hours: balance.hours,
+      balance_amount: balance.amount,
+      ledger: ledger.rows
+    });
+  } catch (err) {
+    console.error('Error in get vacation ledger:', err);
+    res.status(500).json({ error: 'An error occurred while fetching the vacation ledger' });
+  }
+});
+
+// Record vacation taken
+router.post('/usage', authenticateToken, authorizeClientOrAccountant, [
+  param('id').isInt(),
+  body('usage_date').isDate(),
+  body('hours').optional().isFloat({ min: 0 }),
+  body('amount').optional().isFloat({ min: 0 }),
+  body('note').optional().isString().trim()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  if (!(parseFloat(req.body.hours) > 0) && !(parseFloat(req.body.amount) > 0)) {
+    return res.status(400).json({ error: 'Either hours or amount must be greater than zero' });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const employee = await findEmployeeForUser(client, req.params.id, req.user);
+    if (!employee) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Employee not found or you do not have permission to update this employee' });
+    }
+
+    const usage = await recordVacationUsage(client, employee.employee_id, req.body);
+
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, req.user.userType, 'record_vacation_usage', usage.accrual_id, {
+      after: usage,
+      ipAddress: req.ip
+    });
+
+    res.status(201).json(usage);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in record vacation usage:', err);
+    res.status(500).json({ error: 'An error occurred while recording vacation usage' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
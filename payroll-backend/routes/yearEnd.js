@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { param, query, validationResult } = require('express-validator');
+const db = require('../db');
+const { authenticateToken, authorizeClientOrAccountant } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { buildT4Return, t4ReturnToXml } = require('../utils/yearEnd');
+const { renderT4SlipPdf } = require('../utils/t4Pdf');
+const { findOverContributions } = require('../utils/statutoryParameters');
+
+const yearValidators = [
+  param('companyId').isInt(),
+  param('year').isInt({ min: 2000, max: 2100 }).toInt()
+];
+
+// Get T4 slips and the T4 Summary for a tax year
+router.get('/:year/t4', authenticateToken, authorizeClientOrAccountant, yearValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const t4Return = await buildT4Return(db, req.params.companyId, req.params.year);
+    res.json(t4Return);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in get T4 return:', err);
+    res.status(500).json({ error: 'An error occurred while generating T4 slips' });
+  }
+});
+
+// Payroll entries that deducted CPP, CPP2 or EI past an employee's annual maximum
+router.get('/:year/over-contributions', authenticateToken, authorizeClientOrAccountant, yearValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const report = await findOverContributions(db, req.params.companyId, req.params.year);
+    res.json(report);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in get over-contributions:', err);
+    res.status(500).json({ error: 'An error occurred while checking for over-contributions' });
+  }
+});
+
+// Export the T4 return in the CRA Internet File Transfer XML format
+router.get('/:year/t4/xml', authenticateToken, authorizeClientOrAccountant, yearValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId, year } = req.params;
+    const t4Return = await buildT4Return(db, companyId, year);
+    if (!t4Return.employer.business_number) {
+      return res.status(400).json({ error: 'The company needs a CRA business number to file T4 slips' });
+    }
+
+    await logAudit(req.user.userId, req.user.userType, 'export_t4_xml', companyId, { ipAddress: req.ip });
+
+    res.type('application/xml');
+    res.attachment(`t4-${companyId}-${year}.xml`);
+    res.send(t4ReturnToXml(t4Return));
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in export T4 XML:', err);
+    res.status(500).json({ error: 'An error occurred while exporting T4 slips' });
+  }
+});
+
+// Download an employee's T4 slip as a PDF. Employees who worked in more than one province
+// have a slip per province, chosen with ?province=
+router.get('/:year/t4/slips/:employeeId/pdf', authenticateToken, authorizeClientOrAccountant, [
+  ...yearValidators,
+  param('employeeId').isInt().toInt(),
+  query('province').optional().isLength({ min: 2, max: 2 }).toUpperCase()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { companyId, year, employeeId } = req.params;
+    const t4Return = await buildT4Return(db, companyId, year);
+    const slips = t4Return.slips.filter(s => s.employee_id === employeeId &&
+      (!req.query.province || s.province_of_employment === req.query.province));
+    if (slips.length === 0) {
+      return res.status(404).json({ message: 'No T4 slip for this employee and year' });
+    }
+    if (slips.length > 1) {
+      return res.status(400).json({
+        error: `This employee has a T4 slip for each of ${slips.map(s => s.province_of_employment).join(', ')}; choose one with province`
+      });
+    }
+    const slip = slips[0];
+
+    const pdf = await renderT4SlipPdf(slip, t4Return.employer, year);
+
+    await logAudit(req.user.userId, req.user.userType, 'download_t4_slip', employeeId, { ipAddress: req.ip });
+
+    res.type('application/pdf');
+    res.attachment(`t4-${year}-${employeeId}.pdf`);
+    res.send(pdf);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in download T4 slip:', err);
+    res.status(500).json({ error: 'An error occurred while generating the T4 slip' });
+  }
+});
+
+module.exports = router;
@@ -4,12 +4,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { logAudit } = require('./utils/auditLogger');
+const { getTaxTable } = require('./utils/taxTables');
 const errorHandler = require('./middleware/errorHandler');
 const inputSanitizer = require('./middleware/inputSanitizer');
 const authRoutes = require('./routes/auth');
 const companyRoutes = require('./routes/companies');
 const employeeRoutes = require('./routes/employees');
 const payrollRoutes = require('./routes/payroll');
+const auditRoutes = require('./routes/audit');
 
 require('dotenv').config();
 
@@ -44,6 +46,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/companies', companyRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/payroll', payrollRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -62,6 +65,13 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Payroll can't be calculated for a year with no tax tables; say so now rather than on the first payroll
+  try {
+    getTaxTable(new Date());
+  } catch (err) {
+    console.error(`Tax tables are missing for the current year: ${err.message}`);
+  }
 });
 
 // Graceful shutdown
@@ -1,16 +1,113 @@
-const { Pool } = require('pg');
-require('dotenv').config();
-
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Audit trail of who changed or exported what, from where, and which fields changed
+const db = require('../db');
+
+// Entity each action acts on, where it isn't the action name without its verb (update_pay_calendar -> pay_calendar)
+const ACTION_ENTITY_TYPES = {
+  update_td1: 'employee',
+  change_compensation: 'employee',
+  update_eft_settings: 'company',
+  export_t4_xml: 'company',
+  download_t4_slip: 'employee',
+  export_roe: 'employee',
+  export_roe_bulk: 'company',
+  download_pay_stubs: 'company',
+  download_pay_stub: 'payroll_entry',
+  create_retro_pay: 'payroll_entry',
+  email_pay_stub: 'payroll_entry',
+  record_vacation_usage: 'vacation_accrual'
+};
+
+// Company an entity belongs to, so the log can be filtered by company
+const ENTITY_COMPANY_QUERIES = {
+  employee: 'SELECT company_id FROM employees WHERE employee_id = $1',
+  payroll_entry: `SELECT e.company_id FROM payroll_entries pe
+    JOIN employees e ON pe.employee_id = e.employee_id WHERE pe.payroll_id = $1`,
+  pay_run: 'SELECT company_id FROM pay_runs WHERE run_id = $1',
+  pay_calendar: 'SELECT company_id FROM pay_calendars WHERE calendar_id = $1',
+  overtime_policy: 'SELECT company_id FROM overtime_policies WHERE policy_id = $1',
+  eft_file: 'SELECT company_id FROM eft_files WHERE file_id = $1',
+  remittance_payment: 'SELECT company_id FROM remittance_payments WHERE payment_id = $1',
+  vacation_accrual: `SELECT e.company_id FROM vacation_accrual va
+    JOIN employees e ON va.employee_id = e.employee_id WHERE va.accrual_id = $1`
+};
+
+// Fields whose values are never written to the log; only the fact that they changed is
+const REDACTED_FIELDS = [
+  'sin', 'institution_number', 'transit_number', 'account_number', 'return_account_number', 'password'
+];
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+const entityTypeFor = (action) => ACTION_ENTITY_TYPES[action] || action.slice(action.indexOf('_') + 1);
+
+const resolveCompanyId = async (entityType, entityId) => {
+  if (entityType === 'company') {
+    return parseInt(entityId);
+  }
+  if (!ENTITY_COMPANY_QUERIES[entityType] || entityId == null) {
+    return null;
+  }
+  const result = await db.query(ENTITY_COMPANY_QUERIES[entityType], [entityId]);
+  return result.rows.length > 0 ? result.rows[0].company_id : null;
+};
+
+const auditValue = (value) => {
+  if (value === undefined || value === null) return null;
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+// Fields that differ between two versions of a record as { field: { before, after } }, or null if none did.
+// Pass only after for a created record and only before for a deleted one; for an update only the
+// fields both versions carry are compared.
+const diffChanges = (before, after) => {
+  if (!before && !after) {
+    return null;
+  }
+  const fields = (before && after
+    ? Object.keys(after).filter(field => field in before)
+    : Object.keys(before || after))
+    .filter(field => !IGNORED_FIELDS.includes(field));
+
+  const changes = fields.reduce((diff, field) => {
+    const old = auditValue(before ? before[field] : null);
+    const updated = auditValue(after ? after[field] : null);
+    if (JSON.stringify(old) === JSON.stringify(updated)) {
+      return diff;
+    }
+    const redacted = REDACTED_FIELDS.includes(field);
+    return {
+      ...diff,
+      [field]: {
+        before: redacted && old !== null ? '[REDACTED]' : old,
+        after: redacted && updated !== null ? '[REDACTED]' : updated
+      }
+    };
+  }, {});
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Record an action. options: entityType and companyId when they can't be worked out from the action and
+// entity, before/after versions of the record for the field diff, and the request's ipAddress.
+// A failed write is reported but never fails the request being audited.
+const logAudit = async (userId, userRole, action, entityId, options = {}) => {
+  try {
+    const entityType = options.entityType || entityTypeFor(action);
+    const changes = diffChanges(options.before, options.after);
+    const companyId = options.companyId !== undefined
+      ? options.companyId
+      : await resolveCompanyId(entityType, entityId);
+
+    await db.query(
+      `INSERT INTO audit_log (user_id, user_role, action, entity_type, entity_id, company_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [userId || null, userRole || null, action, entityType, entityId != null ? String(entityId) : null,
+       companyId || null, changes ? JSON.stringify(changes) : null, options.ipAddress || null]
+    );
+  } catch (err) {
+    console.error('Error in logAudit:', err);
+  }
+};
 
 module.exports = {
-  query: (text, params) => pool.query(text, params),
-  getClient: () => pool.connect()
-};
\ No newline at end of file
+  logAudit,
+  diffChanges
+};
@@ -0,0 +1,91 @@
+// Effective-dated compensation: each record sets an employee's pay and position from its effective_from date
+// until the next record. The employees row carries the compensation in effect today.
+const { toISODate } = require('./payCalendar');
+
+const COMPENSATION_FIELDS = ['pay_type', 'pay_rate', 'pay_schedule', 'position'];
+
+const pickCompensation = (source) => COMPENSATION_FIELDS.reduce((fields, field) => ({
+  ...fields,
+  [field]: source[field]
+}), {});
+
+// The record in effect on a date, or null when none had started (or the employee predates the history)
+const fetchCompensationOn = async (db, employeeId, date) => {
+  const result = await db.query(
+    `SELECT * FROM employee_compensation
+     WHERE employee_id = $1 AND effective_from <= $2
+     ORDER BY effective_from DESC LIMIT 1`,
+    [employeeId, date]
+  );
+  return result.rows[0] || null;
+};
+
+// The employee with the pay and position in effect on a date. Employees without any recorded
+// history keep the values on their employees row.
+const withCompensationOn = async (db, employee, date) => {
+  const record = await fetchCompensationOn(db, employee.employee_id, date);
+  return record ? { ...employee, ...pickCompensation(record) } : employee;
+};
+
+// Every record, oldest first, with the last day each one applied before it was superseded
+const fetchCompensationHistory = async (db, employeeId) => {
+  const result = await db.query(
+    `SELECT *, LEAD(effective_from) OVER (ORDER BY effective_from) - 1 AS effective_to
+     FROM employee_compensation
+     WHERE employee_id = $1
+     ORDER BY effective_from`,
+    [employeeId]
+  );
+  return result.rows;
+};
+
+// Add or replace the record starting on effectiveFrom
+const saveCompensation = async (client, employeeId, fields, effectiveFrom, reason, userId) => {
+  const result = await client.query(
+    `INSERT INTO employee_compensation (
+      employee_id, effective_from, pay_type, pay_rate, pay_schedule, position, reason, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (employee_id, effective_from) DO UPDATE SET
+      pay_type = EXCLUDED.pay_type, pay_rate = EXCLUDED.pay_rate, pay_schedule = EXCLUDED.pay_schedule,
+      position = EXCLUDED.position, reason = EXCLUDED.reason, created_by = EXCLUDED.created_by,
+      created_at = CURRENT_TIMESTAMP
+    RETURNING *`,
+    [employeeId, effectiveFrom, fields.pay_type, fields.pay_rate, fields.pay_schedule, fields.position,
+     reason || null, userId || null]
+  );
+  return result.rows[0];
+};
+
+// Record a change to some compensation fields from effectiveFrom; the rest carry over from the record in
+// effect that day. An employee without history first gets one from their start date with the values on
+// their employees row, so periods before the change keep being paid at the old rate. Later records are
+// left as they are. Returns the new record (null when nothing differs from what was already in effect) and the
+// compensation in effect today. Must run inside a transaction.
+const recordCompensationChange = async (client, employee, changes, effectiveFrom, reason, userId) => {
+  await client.query(
+    `INSERT INTO employee_compensation (employee_id, effective_from, pay_type, pay_rate, pay_schedule, position)
+     SELECT employee_id, start_date, pay_type, pay_rate, pay_schedule, position FROM employees
+     WHERE employee_id = $1 AND NOT EXISTS (SELECT 1 FROM employee_compensation WHERE employee_id = $1)`,
+    [employee.employee_id]
+  );
+
+  const inEffect = pickCompensation(await withCompensationOn(client, employee, effectiveFrom));
+  const updated = { ...inEffect, ...changes };
+  const changed = COMPENSATION_FIELDS.some(field => (field === 'pay_rate'
+    ? parseFloat(updated.pay_rate) !== parseFloat(inEffect.pay_rate)
+    : updated[field] !== inEffect[field]));
+  const record = changed
+    ? await saveCompensation(client, employee.employee_id, updated, effectiveFrom, reason, userId)
+    : null;
+
+  const today = await withCompensationOn(client, employee, toISODate(new Date()));
+  return { record, current: pickCompensation(today) };
+};
+
+module.exports = {
+  COMPENSATION_FIELDS,
+  withCompensationOn,
+  fetchCompensationHistory,
+  saveCompensation,
+  recordCompensationChange
+};
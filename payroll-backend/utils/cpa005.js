@@ -0,0 +1,111 @@
+// CPA Standard 005 electronic funds transfer files (1464-byte records) for direct deposit credits
+const { toISODate, daysBetween } = require('./payCalendar');
+
+const RECORD_LENGTH = 1464;
+const SEGMENTS_PER_RECORD = 6;
+
+// Transaction code for payroll deposits
+const PAYROLL_DEPOSIT_TRANSACTION_CODE = '200';
+
+// CPA-005 files carry printable ASCII only
+const toAscii = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '');
+
+const alpha = (value, length) => toAscii(value).slice(0, length).padEnd(length, ' ');
+
+const numeric = (value, length) => {
+  const digits = String(value);
+  if (digits.length > length) {
+    throw new Error(`Value ${digits} does not fit in ${length} digits`);
+  }
+  return digits.padStart(length, '0');
+};
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Dates are written as 0YYDDD (day of the year)
+const julianDate = (isoDate) => {
+  const date = toISODate(isoDate);
+  const year = date.slice(0, 4);
+  return `0${year.slice(2)}${numeric(daysBetween(`${year}-01-01`, date) + 1, 3)}`;
+};
+
+// Institution ID: 0 + 3-digit institution number + 5-digit transit number
+const institutionId = (institutionNumber, transitNumber) => `0${numeric(institutionNumber, 3)}${numeric(transitNumber, 5)}`;
+
+const recordPrefix = (type, recordNumber, settings, fileCreationNumber) =>
+  `${type}${numeric(recordNumber, 9)}${alpha(settings.originator_id, 10)}${numeric(fileCreationNumber, 4)}`;
+
+const headerRecord = (settings, fileCreationNumber, creationDate) => (
+  recordPrefix('A', 1, settings, fileCreationNumber) +
+  julianDate(creationDate) +
+  numeric(settings.destination_data_centre, 5) +
+  alpha('', 20) +
+  'CAD'
+).padEnd(RECORD_LENGTH, ' ');
+
+const creditSegment = (settings, credit) => [
+  numeric(settings.transaction_code || PAYROLL_DEPOSIT_TRANSACTION_CODE, 3),
+  numeric(credit.amount_cents, 10),
+  julianDate(credit.due_date),
+  institutionId(credit.institution_number, credit.transit_number),
+  alpha(credit.account_number, 12),
+  numeric(0, 22), // item trace number, assigned by the financial institution
+  numeric(0, 3), // stored transaction type
+  alpha(settings.originator_short_name, 15),
+  alpha(credit.payee_name, 30),
+  alpha(settings.originator_long_name, 30),
+  alpha(settings.originator_id, 10),
+  alpha(credit.cross_reference, 19),
+  institutionId(settings.return_institution_number, settings.return_transit_number),
+  alpha(settings.return_account_number, 12),
+  alpha('', 15), // originator's sundry information
+  alpha('', 22),
+  alpha('', 2), // originator-direct clearer settlement code
+  numeric(0, 11) // invalid data element ID
+].join('');
+
+const trailerRecord = (recordNumber, settings, fileCreationNumber, totalCents, creditCount) => (
+  recordPrefix('Z', recordNumber, settings, fileCreationNumber) +
+  numeric(0, 14) + numeric(0, 8) + // debits
+  numeric(totalCents, 14) + numeric(creditCount, 8) +
+  numeric(0, 14) + numeric(0, 8) + // error correction debits
+  numeric(0, 14) + numeric(0, 8) // error correction credits
+).padEnd(RECORD_LENGTH, ' ');
+
+// Build a credit file: an A header, C records of up to six credits each, and a Z trailer
+const buildCreditFile = (settings, fileCreationNumber, creationDate, credits) => {
+  const records = [headerRecord(settings, fileCreationNumber, creationDate)];
+
+  for (let i = 0; i < credits.length; i += SEGMENTS_PER_RECORD) {
+    const segments = credits.slice(i, i + SEGMENTS_PER_RECORD).map(credit => creditSegment(settings, credit));
+    records.push(
+      (recordPrefix('C', records.length + 1, settings, fileCreationNumber) + segments.join(''))
+        .padEnd(RECORD_LENGTH, ' ')
+    );
+  }
+
+  const totalCents = credits.reduce((sum, credit) => sum + credit.amount_cents, 0);
+  records.push(trailerRecord(records.length + 1, settings, fileCreationNumber, totalCents, credits.length));
+
+  return records.join('\r\n') + '\r\n';
+};
+
+// Read the credit totals back from a file's Z record
+const readCreditTotals = (content) => {
+  const trailer = content.split('\r\n').find(record => record.startsWith('Z'));
+  return {
+    total_cents: parseInt(trailer.slice(46, 60), 10),
+    credit_count: parseInt(trailer.slice(60, 68), 10)
+  };
+};
+
+module.exports = {
+  RECORD_LENGTH,
+  toCents,
+  julianDate,
+  buildCreditFile,
+  readCreditTotals
+};
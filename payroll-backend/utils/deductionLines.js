@@ -0,0 +1,63 @@
+// Itemized deduction lines stored against payroll entries
+const { body } = require('express-validator');
+
+const STATUTORY_DEDUCTION_TYPES = ['CPP', 'CPP2', 'EI', 'FEDERAL_TAX', 'PROVINCIAL_TAX'];
+
+const DEDUCTION_TYPES = [
+  ...STATUTORY_DEDUCTION_TYPES,
+  'BENEFIT',
+  'GARNISHMENT',
+  'RRSP',
+  'UNION_DUES',
+  'OTHER'
+];
+
+// Request body validation for a deduction_lines array
+const deductionLineValidators = [
+  body('deduction_lines').optional().isArray(),
+  body('deduction_lines.*.deduction_type').isIn(DEDUCTION_TYPES),
+  body('deduction_lines.*.amount').isFloat({ min: 0 }),
+  body('deduction_lines.*.employer_amount').optional().isFloat({ min: 0 }),
+  body('deduction_lines.*.is_pre_tax').optional().isBoolean().toBoolean()
+];
+
+// Fetch deduction lines for a set of payroll entries, keyed by payroll_id
+const fetchDeductionLines = async (db, payrollIds) => {
+  const linesByPayroll = {};
+  payrollIds.forEach(id => { linesByPayroll[id] = []; });
+  if (payrollIds.length === 0) {
+    return linesByPayroll;
+  }
+
+  const result = await db.query(
+    `SELECT line_id, payroll_id, deduction_type, amount, employer_amount, is_pre_tax
+     FROM payroll_deduction_lines WHERE payroll_id = ANY($1) ORDER BY line_id`,
+    [payrollIds]
+  );
+  result.rows.forEach(line => {
+    linesByPayroll[line.payroll_id].push(line);
+  });
+  return linesByPayroll;
+};
+
+const insertDeductionLines = async (client, payrollId, lines) => {
+  const inserted = [];
+  for (const line of lines) {
+    const result = await client.query(
+      `INSERT INTO payroll_deduction_lines (payroll_id, deduction_type, amount, employer_amount, is_pre_tax)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING line_id, payroll_id, deduction_type, amount, employer_amount, is_pre_tax`,
+      [payrollId, line.deduction_type, line.amount, line.employer_amount || 0, line.is_pre_tax || false]
+    );
+    inserted.push(result.rows[0]);
+  }
+  return inserted;
+};
+
+module.exports = {
+  DEDUCTION_TYPES,
+  STATUTORY_DEDUCTION_TYPES,
+  deductionLineValidators,
+  fetchDeductionLines,
+  insertDeductionLines
+};
@@ -0,0 +1,112 @@
+// Direct deposit EFT files for finalized pay runs, built from the company's originator settings
+const { roundCurrency } = require('./payrollCalculator');
+const { toISODate } = require('./payCalendar');
+const { toCents, buildCreditFile, readCreditTotals } = require('./cpa005');
+const { operationalError } = require('./operationalError');
+
+const hasBankingDetails = (employee) => /^\d{3}$/.test(employee.institution_number || '') &&
+  /^\d{5}$/.test(employee.transit_number || '') &&
+  /^\d{1,12}$/.test(employee.account_number || '');
+
+const maskAccount = (accountNumber) => `****${String(accountNumber).slice(-4)}`;
+
+// Reserve the next file creation number (0001-9999, then wrapping) and return the settings it belongs to
+const reserveFileCreationNumber = async (client, companyId) => {
+  const result = await client.query(
+    `UPDATE eft_settings
+     SET last_file_creation_number = last_file_creation_number % 9999 + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE company_id = $1 RETURNING *`,
+    [companyId]
+  );
+  if (result.rows.length === 0) {
+    throw operationalError('Direct deposit originator settings are required to generate an EFT file');
+  }
+  return result.rows[0];
+};
+
+// Generate and store a CPA-005 credit file paying each entry's net pay. Must run inside a transaction.
+const createEftFile = async (client, run, userId) => {
+  if (run.status !== 'FINALIZED') {
+    throw operationalError('EFT files can only be generated for finalized pay runs', 409);
+  }
+
+  const entries = await client.query(
+    `SELECT pe.payroll_id, pe.net_pay, e.employee_id, e.first_name, e.last_name,
+       e.institution_number, e.transit_number, e.account_number
+     FROM payroll_entries pe
+     JOIN employees e ON pe.employee_id = e.employee_id
+     WHERE pe.run_id = $1 AND pe.net_pay > 0
+     ORDER BY e.last_name, e.first_name, pe.payroll_id`,
+    [run.run_id]
+  );
+
+  const missingBanking = entries.rows.filter(entry => !hasBankingDetails(entry));
+  if (missingBanking.length > 0) {
+    const names = missingBanking.map(entry => `${entry.first_name} ${entry.last_name}`).join(', ');
+    throw operationalError(`Missing or invalid banking details for: ${names}`);
+  }
+
+  const settings = await reserveFileCreationNumber(client, run.company_id);
+  const creationDate = toISODate(new Date());
+  const paymentDate = toISODate(run.payment_date);
+
+  const credits = entries.rows.map(entry => ({
+    payroll_id: entry.payroll_id,
+    employee_id: entry.employee_id,
+    payee_name: `${entry.first_name} ${entry.last_name}`,
+    institution_number: entry.institution_number,
+    transit_number: entry.transit_number,
+    account_number: entry.account_number,
+    amount_cents: toCents(entry.net_pay),
+    due_date: paymentDate,
+    cross_reference: `R${run.run_id}P${entry.payroll_id}`
+  }));
+
+  const content = buildCreditFile(settings, settings.last_file_creation_number, creationDate, credits);
+
+  // The file's trailer must account for every dollar of the run's net pay
+  const runTotal = await client.query(
+    'SELECT COALESCE(SUM(net_pay), 0) AS total_net FROM payroll_entries WHERE run_id = $1',
+    [run.run_id]
+  );
+  const fileTotals = readCreditTotals(content);
+  if (fileTotals.total_cents !== toCents(runTotal.rows[0].total_net) || fileTotals.credit_count !== credits.length) {
+    throw operationalError('EFT file totals do not match the pay run net pay', 409);
+  }
+
+  const result = await client.query(
+    `INSERT INTO eft_files (run_id, company_id, file_creation_number, creation_date, credit_count, total_amount, content, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING file_id, created_at`,
+    [run.run_id, run.company_id, settings.last_file_creation_number, creationDate,
+     credits.length, roundCurrency(fileTotals.total_cents / 100), content, userId]
+  );
+
+  return {
+    file_id: result.rows[0].file_id,
+    run_id: run.run_id,
+    originator_id: settings.originator_id,
+    file_creation_number: settings.last_file_creation_number,
+    creation_date: creationDate,
+    payment_date: paymentDate,
+    record_count: content.split('\r\n').filter(Boolean).length,
+    credit_count: fileTotals.credit_count,
+    total_amount: roundCurrency(fileTotals.total_cents / 100),
+    run_total_net: roundCurrency(parseFloat(runTotal.rows[0].total_net)),
+    totals_match: true,
+    credits: credits.map(credit => ({
+      payroll_id: credit.payroll_id,
+      employee_id: credit.employee_id,
+      payee_name: credit.payee_name,
+      institution_number: credit.institution_number,
+      transit_number: credit.transit_number,
+      account_number: maskAccount(credit.account_number),
+      amount: roundCurrency(credit.amount_cents / 100)
+    })),
+    created_at: result.rows[0].created_at
+  };
+};
+
+module.exports = {
+  maskAccount,
+  createEftFile
+};
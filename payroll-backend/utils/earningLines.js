@@ -0,0 +1,41 @@
+// Itemized earnings (regular, overtime, salary, payouts, ...) stored against payroll entries
+
+// Fetch earning lines for a set of payroll entries, keyed by payroll_id
+const fetchEarningLines = async (db, payrollIds) => {
+  const linesByPayroll = {};
+  payrollIds.forEach(id => { linesByPayroll[id] = []; });
+  if (payrollIds.length === 0) {
+    return linesByPayroll;
+  }
+
+  const result = await db.query(
+    `SELECT line_id, payroll_id, earning_type, hours, rate, amount
+     FROM payroll_earning_lines WHERE payroll_id = ANY($1) ORDER BY line_id`,
+    [payrollIds]
+  );
+  result.rows.forEach(line => {
+    linesByPayroll[line.payroll_id].push(line);
+  });
+  return linesByPayroll;
+};
+
+// Replace an entry's earning lines
+const replaceEarningLines = async (client, payrollId, lines) => {
+  await client.query('DELETE FROM payroll_earning_lines WHERE payroll_id = $1', [payrollId]);
+  const inserted = [];
+  for (const line of lines) {
+    const result = await client.query(
+      `INSERT INTO payroll_earning_lines (payroll_id, earning_type, hours, rate, amount)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING line_id, payroll_id, earning_type, hours, rate, amount`,
+      [payrollId, line.earning_type, line.hours, line.rate, line.amount]
+    );
+    inserted.push(result.rows[0]);
+  }
+  return inserted;
+};
+
+module.exports = {
+  fetchEarningLines,
+  replaceEarningLines
+};
@@ -11,14 +11,16 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-const sendEmail = async (to, subject, text, html) => {
+// attachments: optional nodemailer attachments ({ filename, content, contentType })
+const sendEmail = async (to, subject, text, html, attachments) => {
   try {
     await transporter.sendMail({
       from: process.env.EMAIL_FROM,
       to,
       subject,
       text,
-      html
+      html,
+      attachments
     });
   } catch (error) {
     console.error('Error sending email:', error);
@@ -0,0 +1,18 @@
+// Employee lookups scoped to the current user (accountants: their companies, clients: their own company)
+
+const findEmployeeForUser = async (db, employeeId, user) => {
+  const result = user.userType === 'accountant'
+    ? await db.query(
+      'SELECT e.* FROM employees e JOIN companies c ON e.company_id = c.company_id WHERE e.employee_id = $1 AND c.accountant_id = $2',
+      [employeeId, user.accountantId]
+    )
+    : await db.query(
+      'SELECT * FROM employees WHERE employee_id = $1 AND company_id = $2',
+      [employeeId, user.companyId]
+    );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  findEmployeeForUser
+};
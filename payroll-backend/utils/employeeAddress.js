@@ -0,0 +1,65 @@
+// Structured employee addresses and the province of employment that decides which provincial rules apply
+const { body } = require('express-validator');
+const { PROVINCES } = require('./taxTables');
+const { DEFAULT_PROVINCE } = require('./payrollCalculator');
+
+const CANADIAN_PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
+
+const ADDRESS_FIELDS = ['address_line1', 'address_line2', 'city', 'province', 'postal_code', 'country'];
+
+// Canadian postal codes are stored as A1A 1A1
+const formatPostalCode = (postalCode) => (/^[A-Z]\d[A-Z]\d[A-Z]\d$/.test(postalCode)
+  ? `${postalCode.slice(0, 3)} ${postalCode.slice(3)}`
+  : postalCode);
+
+const isCanadian = (req) => (req.body.country || 'CA').toUpperCase() === 'CA';
+
+// Request body validation for the structured address and province of employment. On creation
+// full_address may be left out when address_line1 is given; it is then built from the parts.
+const addressValidators = ({ creating }) => [
+  creating
+    ? body('full_address').if(body('address_line1').not().exists()).notEmpty().trim()
+    : body('full_address').optional().notEmpty().trim(),
+  body('address_line1').optional().notEmpty().trim().isLength({ max: 255 }),
+  body('address_line2').optional({ nullable: true }).trim().isLength({ max: 255 }),
+  ...(creating
+    ? ['city', 'province', 'postal_code'].map(field => body(field).if(body('address_line1').exists()).notEmpty())
+    : []),
+  body('city').optional().notEmpty().trim().isLength({ max: 100 }),
+  body('country').optional().isISO31661Alpha2().toUpperCase(),
+  body('province').optional().toUpperCase().custom((province, { req }) =>
+    !isCanadian(req) || CANADIAN_PROVINCES.includes(province)),
+  body('postal_code').optional().trim().toUpperCase().customSanitizer(formatPostalCode).custom((postalCode, { req }) =>
+    !isCanadian(req) || /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/.test(postalCode)),
+  // Only provinces we have tax tables for; Quebec income tax is withheld under a separate provincial system
+  body('province_of_employment').optional().toUpperCase().isIn(PROVINCES)
+];
+
+// One-line address, as stored in full_address and printed on pay stubs, T4s and ROEs
+const formatAddress = (address) => [
+  address.address_line1,
+  address.address_line2,
+  address.city,
+  [address.province, address.postal_code].filter(Boolean).join(' '),
+  address.country && address.country !== 'CA' ? address.country : null
+].filter(Boolean).join(', ');
+
+// Province of employment for a new employee: the one given, else the home province (null when we
+// cannot calculate payroll for it), else the default province
+const resolveProvinceOfEmployment = (fields) => {
+  if (fields.province_of_employment) {
+    return fields.province_of_employment;
+  }
+  if (fields.province) {
+    return PROVINCES.includes(fields.province) ? fields.province : null;
+  }
+  return DEFAULT_PROVINCE;
+};
+
+module.exports = {
+  ADDRESS_FIELDS,
+  CANADIAN_PROVINCES,
+  addressValidators,
+  formatAddress,
+  resolveProvinceOfEmployment
+};
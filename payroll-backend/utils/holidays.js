@@ -0,0 +1,147 @@
+// Canadian bank holidays (used to shift pay dates) and provincial statutory holidays
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+const formatUTCDate = (date) => date.toISOString().split('T')[0];
+
+// nth (1-based) weekday of a month; weekday 0 = Sunday
+const nthWeekday = (year, month, weekday, n) => {
+  const first = utcDate(year, month, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return utcDate(year, month, 1 + offset + (n - 1) * 7);
+};
+
+// Anonymous Gregorian algorithm
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+};
+
+// Victoria Day: the Monday preceding May 25
+const victoriaDay = (year) => {
+  const may24 = utcDate(year, 5, 24);
+  const back = (may24.getUTCDay() + 6) % 7;
+  return utcDate(year, 5, 24 - back);
+};
+
+const addUTCDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Holiday date rules by key; fixed-date holidays are observed on a weekday when they fall on a weekend
+const HOLIDAYS = {
+  NEW_YEARS_DAY: { name: "New Year's Day", date: (year) => utcDate(year, 1, 1), fixed: true },
+  FAMILY_DAY: { name: 'Family Day', date: (year) => nthWeekday(year, 2, 1, 3) },
+  LOUIS_RIEL_DAY: { name: 'Louis Riel Day', date: (year) => nthWeekday(year, 2, 1, 3) },
+  ISLANDER_DAY: { name: 'Islander Day', date: (year) => nthWeekday(year, 2, 1, 3) },
+  HERITAGE_DAY: { name: 'Heritage Day', date: (year) => nthWeekday(year, 2, 1, 3) },
+  GOOD_FRIDAY: { name: 'Good Friday', date: (year) => addUTCDays(easterSunday(year), -2) },
+  VICTORIA_DAY: { name: 'Victoria Day', date: victoriaDay },
+  NATIONAL_PATRIOTS_DAY: { name: "National Patriots' Day", date: victoriaDay },
+  NATIONAL_INDIGENOUS_PEOPLES_DAY: { name: 'National Indigenous Peoples Day', date: (year) => utcDate(year, 6, 21), fixed: true },
+  SAINT_JEAN_BAPTISTE_DAY: { name: 'Saint-Jean-Baptiste Day', date: (year) => utcDate(year, 6, 24), fixed: true },
+  CANADA_DAY: { name: 'Canada Day', date: (year) => utcDate(year, 7, 1), fixed: true },
+  NUNAVUT_DAY: { name: 'Nunavut Day', date: (year) => utcDate(year, 7, 9), fixed: true },
+  CIVIC_HOLIDAY: { name: 'Civic Holiday', date: (year) => nthWeekday(year, 8, 1, 1) },
+  BC_DAY: { name: 'British Columbia Day', date: (year) => nthWeekday(year, 8, 1, 1) },
+  NEW_BRUNSWICK_DAY: { name: 'New Brunswick Day', date: (year) => nthWeekday(year, 8, 1, 1) },
+  SASKATCHEWAN_DAY: { name: 'Saskatchewan Day', date: (year) => nthWeekday(year, 8, 1, 1) },
+  DISCOVERY_DAY: { name: 'Discovery Day', date: (year) => nthWeekday(year, 8, 1, 3) },
+  LABOUR_DAY: { name: 'Labour Day', date: (year) => nthWeekday(year, 9, 1, 1) },
+  TRUTH_AND_RECONCILIATION_DAY: {
+    name: 'National Day for Truth and Reconciliation', date: (year) => utcDate(year, 9, 30), fixed: true
+  },
+  THANKSGIVING_DAY: { name: 'Thanksgiving Day', date: (year) => nthWeekday(year, 10, 1, 2) },
+  REMEMBRANCE_DAY: { name: 'Remembrance Day', date: (year) => utcDate(year, 11, 11), fixed: true },
+  CHRISTMAS_DAY: { name: 'Christmas Day', date: (year) => utcDate(year, 12, 25), fixed: true },
+  BOXING_DAY: { name: 'Boxing Day', date: (year) => utcDate(year, 12, 26), fixed: true }
+};
+
+// Days banks are closed, used to shift pay dates
+const BANK_HOLIDAYS = [
+  'NEW_YEARS_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'CANADA_DAY', 'CIVIC_HOLIDAY', 'LABOUR_DAY',
+  'TRUTH_AND_RECONCILIATION_DAY', 'THANKSGIVING_DAY', 'REMEMBRANCE_DAY', 'CHRISTMAS_DAY', 'BOXING_DAY'
+];
+
+// General (statutory) holidays under each province's employment standards
+const PROVINCIAL_HOLIDAYS = {
+  AB: ['NEW_YEARS_DAY', 'FAMILY_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'CANADA_DAY', 'LABOUR_DAY',
+    'THANKSGIVING_DAY', 'REMEMBRANCE_DAY', 'CHRISTMAS_DAY'],
+  BC: ['NEW_YEARS_DAY', 'FAMILY_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'CANADA_DAY', 'BC_DAY', 'LABOUR_DAY',
+    'TRUTH_AND_RECONCILIATION_DAY', 'THANKSGIVING_DAY', 'REMEMBRANCE_DAY', 'CHRISTMAS_DAY'],
+  MB: ['NEW_YEARS_DAY', 'LOUIS_RIEL_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'CANADA_DAY', 'LABOUR_DAY',
+    'TRUTH_AND_RECONCILIATION_DAY', 'THANKSGIVING_DAY', 'CHRISTMAS_DAY'],
+  NB: ['NEW_YEARS_DAY', 'FAMILY_DAY', 'GOOD_FRIDAY', 'CANADA_DAY', 'NEW_BRUNSWICK_DAY', 'LABOUR_DAY',
+    'REMEMBRANCE_DAY', 'CHRISTMAS_DAY'],
+  NL: ['NEW_YEARS_DAY', 'GOOD_FRIDAY', 'CANADA_DAY', 'LABOUR_DAY', 'REMEMBRANCE_DAY', 'CHRISTMAS_DAY'],
+  NS: ['NEW_YEARS_DAY', 'HERITAGE_DAY', 'GOOD_FRIDAY', 'CANADA_DAY', 'LABOUR_DAY', 'CHRISTMAS_DAY'],
+  NT: ['NEW_YEARS_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'NATIONAL_INDIGENOUS_PEOPLES_DAY', 'CANADA_DAY',
+    'CIVIC_HOLIDAY', 'LABOUR_DAY', 'TRUTH_AND_RECONCILIATION_DAY', 'THANKSGIVING_DAY', 'REMEMBRANCE_DAY',
+    'CHRISTMAS_DAY'],
+  NU: ['NEW_YEARS_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'CANADA_DAY', 'NUNAVUT_DAY', 'CIVIC_HOLIDAY',
+    'LABOUR_DAY', 'TRUTH_AND_RECONCILIATION_DAY', 'THANKSGIVING_DAY', 'REMEMBRANCE_DAY', 'CHRISTMAS_DAY'],
+  ON: ['NEW_YEARS_DAY', 'FAMILY_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'CANADA_DAY', 'LABOUR_DAY',
+    'THANKSGIVING_DAY', 'CHRISTMAS_DAY', 'BOXING_DAY'],
+  PE: ['NEW_YEARS_DAY', 'ISLANDER_DAY', 'GOOD_FRIDAY', 'CANADA_DAY', 'LABOUR_DAY',
+    'TRUTH_AND_RECONCILIATION_DAY', 'REMEMBRANCE_DAY', 'CHRISTMAS_DAY'],
+  QC: ['NEW_YEARS_DAY', 'GOOD_FRIDAY', 'NATIONAL_PATRIOTS_DAY', 'SAINT_JEAN_BAPTISTE_DAY', 'CANADA_DAY',
+    'LABOUR_DAY', 'THANKSGIVING_DAY', 'CHRISTMAS_DAY'],
+  SK: ['NEW_YEARS_DAY', 'FAMILY_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'CANADA_DAY', 'SASKATCHEWAN_DAY',
+    'LABOUR_DAY', 'THANKSGIVING_DAY', 'REMEMBRANCE_DAY', 'CHRISTMAS_DAY'],
+  YT: ['NEW_YEARS_DAY', 'GOOD_FRIDAY', 'VICTORIA_DAY', 'NATIONAL_INDIGENOUS_PEOPLES_DAY', 'CANADA_DAY',
+    'DISCOVERY_DAY', 'LABOUR_DAY', 'TRUTH_AND_RECONCILIATION_DAY', 'THANKSGIVING_DAY', 'REMEMBRANCE_DAY',
+    'CHRISTMAS_DAY']
+};
+
+const holidayDates = (year, keys) => keys.map(key => ({
+  date: HOLIDAYS[key].date(year),
+  name: HOLIDAYS[key].name,
+  fixed: HOLIDAYS[key].fixed
+}));
+
+// Holidays for a year as YYYY-MM-DD strings: bank holidays, or a province's statutory holidays.
+// Fixed-date holidays that fall on a weekend are also observed on the next weekday that is not already a holiday.
+const getHolidays = (year, province) => {
+  if (province && !PROVINCIAL_HOLIDAYS[province]) {
+    throw new Error(`No statutory holidays for province: ${province}`);
+  }
+  const holidays = holidayDates(year, province ? PROVINCIAL_HOLIDAYS[province] : BANK_HOLIDAYS);
+  const dates = new Map(holidays.map(holiday => [formatUTCDate(holiday.date), holiday.name]));
+
+  holidays.filter(holiday => holiday.fixed).forEach(holiday => {
+    const weekday = holiday.date.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) return;
+    let observed = addUTCDays(holiday.date, weekday === 6 ? 2 : 1);
+    while (dates.has(formatUTCDate(observed))) {
+      observed = addUTCDays(observed, 1);
+    }
+    dates.set(formatUTCDate(observed), `${holiday.name} (observed)`);
+  });
+
+  return Array.from(dates.entries())
+    .map(([date, name]) => ({ date, name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const isHoliday = (isoDate, province) => {
+  const year = parseInt(isoDate.slice(0, 4));
+  return getHolidays(year, province).some(holiday => holiday.date === isoDate);
+};
+
+module.exports = {
+  PROVINCIAL_HOLIDAYS,
+  getHolidays,
+  isHoliday,
+  easterSunday
+};
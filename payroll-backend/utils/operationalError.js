@@ -0,0 +1,9 @@
+// Errors with a client-facing message and status code (see middleware/errorHandler.js)
+const operationalError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.isOperational = true;
+  err.statusCode = statusCode;
+  return err;
+};
+
+module.exports = { operationalError };
@@ -0,0 +1,140 @@
+// Overtime policies and splitting hours worked into regular, overtime and double time
+const { body } = require('express-validator');
+const { roundCurrency, OVERTIME_MULTIPLIER, DOUBLE_TIME_MULTIPLIER } = require('./payrollCalculator');
+const { toISODate, daysBetween } = require('./payCalendar');
+const { operationalError } = require('./operationalError');
+
+// Employment standards minimums, used when a company has no policy of its own
+const PROVINCIAL_OVERTIME_RULES = {
+  AB: { daily_threshold: 8, weekly_threshold: 44 },
+  BC: { daily_threshold: 8, weekly_threshold: 40, double_time_daily_threshold: 12 },
+  MB: { daily_threshold: 8, weekly_threshold: 40 },
+  NB: { weekly_threshold: 44 },
+  NL: { weekly_threshold: 40 },
+  NS: { weekly_threshold: 48 },
+  NT: { daily_threshold: 8, weekly_threshold: 40 },
+  NU: { daily_threshold: 8, weekly_threshold: 40 },
+  ON: { weekly_threshold: 44 },
+  PE: { weekly_threshold: 48 },
+  QC: { weekly_threshold: 40 },
+  SK: { daily_threshold: 8, weekly_threshold: 40 },
+  YT: { daily_threshold: 8, weekly_threshold: 40 }
+};
+
+const PROVINCES = Object.keys(PROVINCIAL_OVERTIME_RULES);
+
+// Request body validation for a daily_hours array. Each day is listed once, so daily thresholds see all its hours.
+const dailyHoursValidators = [
+  body('daily_hours').optional().isArray()
+    .custom(days => new Set(days.map(day => day && day.work_date)).size === days.length)
+    .withMessage('Each work_date can only be listed once in daily_hours'),
+  body('daily_hours.*.work_date').isDate(),
+  body('daily_hours.*.hours').isFloat({ min: 0, max: 24 })
+];
+
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const normalizePolicy = (policy, source) => ({
+  source,
+  daily_threshold: toNumberOrNull(policy.daily_threshold),
+  weekly_threshold: toNumberOrNull(policy.weekly_threshold),
+  double_time_daily_threshold: toNumberOrNull(policy.double_time_daily_threshold),
+  overtime_multiplier: policy.overtime_multiplier != null ? parseFloat(policy.overtime_multiplier) : OVERTIME_MULTIPLIER,
+  double_time_multiplier: policy.double_time_multiplier != null ? parseFloat(policy.double_time_multiplier) : DOUBLE_TIME_MULTIPLIER
+});
+
+// Company policy for the province, then the company-wide policy, then the provincial minimum
+const resolveOvertimePolicy = async (db, companyId, province) => {
+  const result = await db.query(
+    `SELECT * FROM overtime_policies
+     WHERE company_id = $1 AND (province = $2 OR province IS NULL)
+     ORDER BY province NULLS LAST LIMIT 1`,
+    [companyId, province]
+  );
+  if (result.rows.length > 0) {
+    return normalizePolicy(result.rows[0], 'COMPANY');
+  }
+
+  const rules = PROVINCIAL_OVERTIME_RULES[province];
+  if (!rules) {
+    throw operationalError(`No overtime rules for province: ${province}`);
+  }
+  return normalizePolicy(rules, 'PROVINCIAL');
+};
+
+// Apply the weekly threshold to a week's regular hours
+const applyWeeklyThreshold = (weeklyCap, totals) => {
+  if (weeklyCap != null && totals.regular > weeklyCap) {
+    totals.overtime += totals.regular - weeklyCap;
+    totals.regular = weeklyCap;
+  }
+  return totals;
+};
+
+// Split hours for a pay period. With daily hours, daily thresholds apply to each day and the weekly
+// threshold to each 7-day week counted from the period start. Hours worked on one of the holidays
+// (the employee's provincial statutory holidays) are all premium pay at the overtime rate and do not
+// count towards the weekly threshold. With only a total, the weekly threshold is applied across the period's weeks.
+const splitHours = (policy, { periodStart, periodEnd, hoursWorked = 0, dailyHours, holidays = [] }) => {
+  const start = toISODate(periodStart);
+  const end = toISODate(periodEnd);
+  const totals = { regular: 0, overtime: 0, doubleTime: 0 };
+
+  if (dailyHours && dailyHours.length > 0) {
+    const weeks = {};
+    dailyHours.forEach(day => {
+      const workDate = toISODate(day.work_date);
+      if (workDate < start || workDate > end) {
+        throw operationalError(`Hours for ${workDate} fall outside the pay period`);
+      }
+
+      let hours = parseFloat(day.hours);
+      let doubleTime = 0;
+      let overtime = 0;
+      if (policy.double_time_daily_threshold != null && hours > policy.double_time_daily_threshold) {
+        doubleTime = hours - policy.double_time_daily_threshold;
+        hours = policy.double_time_daily_threshold;
+      }
+      if (holidays.includes(workDate)) {
+        overtime = hours;
+        hours = 0;
+      } else if (policy.daily_threshold != null && hours > policy.daily_threshold) {
+        overtime = hours - policy.daily_threshold;
+        hours = policy.daily_threshold;
+      }
+
+      const week = Math.floor(daysBetween(start, workDate) / 7);
+      weeks[week] = weeks[week] || { regular: 0, overtime: 0, doubleTime: 0 };
+      weeks[week].regular += hours;
+      weeks[week].overtime += overtime;
+      weeks[week].doubleTime += doubleTime;
+    });
+
+    Object.values(weeks).forEach(week => {
+      applyWeeklyThreshold(policy.weekly_threshold, week);
+      totals.regular += week.regular;
+      totals.overtime += week.overtime;
+      totals.doubleTime += week.doubleTime;
+    });
+  } else {
+    totals.regular = parseFloat(hoursWorked);
+    const weeksInPeriod = (daysBetween(start, end) + 1) / 7;
+    const periodCap = policy.weekly_threshold != null ? policy.weekly_threshold * weeksInPeriod : null;
+    applyWeeklyThreshold(periodCap, totals);
+  }
+
+  return {
+    hours_worked: roundCurrency(totals.regular + totals.overtime + totals.doubleTime),
+    regular_hours: roundCurrency(totals.regular),
+    overtime_hours: roundCurrency(totals.overtime),
+    double_time_hours: roundCurrency(totals.doubleTime)
+  };
+};
+
+module.exports = {
+  PROVINCIAL_OVERTIME_RULES,
+  PROVINCES,
+  dailyHoursValidators,
+  resolveOvertimePolicy,
+  splitHours
+};
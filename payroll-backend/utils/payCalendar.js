@@ -0,0 +1,188 @@
+// Pay period and pay date generation for company pay calendars
+const { isHoliday } = require('./holidays');
+const { operationalError } = require('./operationalError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_LENGTH_DAYS = {
+  WEEKLY: 7,
+  BIWEEKLY: 14
+};
+
+// Normalize a DATE value to YYYY-MM-DD. pg returns DATE columns as local-midnight Date objects.
+const toISODate = (value) => {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const parseISODate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatUTCDate = (date) => date.toISOString().split('T')[0];
+
+// Absolute half-month number of a date (1st-15th and 16th-end of month)
+const halfMonthIndex = (isoDate) => {
+  const date = parseISODate(isoDate);
+  return (date.getUTCFullYear() * 12 + date.getUTCMonth()) * 2 + (date.getUTCDate() >= 16 ? 1 : 0);
+};
+
+const addDays = (isoDate, days) => formatUTCDate(new Date(parseISODate(isoDate).getTime() + days * DAY_MS));
+
+const daysBetween = (fromIsoDate, toIsoDate) => Math.round((parseISODate(toIsoDate) - parseISODate(fromIsoDate)) / DAY_MS);
+
+// Add months to a date, clamping the day to the end of shorter months
+const addMonths = (isoDate, months, anchorDay) => {
+  const date = parseISODate(isoDate);
+  const day = anchorDay || date.getUTCDate();
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return formatUTCDate(target);
+};
+
+const isWeekday = (isoDate) => {
+  const weekday = parseISODate(isoDate).getUTCDay();
+  return weekday !== 0 && weekday !== 6;
+};
+
+const isBusinessDay = (isoDate) => isWeekday(isoDate) && !isHoliday(isoDate);
+
+// Monday-to-Friday days between two dates, inclusive. Holidays are paid days and are counted.
+const countWorkingDays = (fromIsoDate, toIsoDate) => {
+  let count = 0;
+  for (let date = fromIsoDate; date <= toIsoDate; date = addDays(date, 1)) {
+    if (isWeekday(date)) count++;
+  }
+  return count;
+};
+
+// Move a pay date off weekends and holidays
+const shiftToBusinessDay = (isoDate, holidayShift = 'PREVIOUS') => {
+  const step = holidayShift === 'NEXT' ? 1 : -1;
+  let date = isoDate;
+  while (!isBusinessDay(date)) {
+    date = addDays(date, step);
+  }
+  return date;
+};
+
+// Period number n (0 = the period starting on the anchor date)
+const periodAt = (calendar, n) => {
+  const anchor = toISODate(calendar.anchor_date);
+  let start;
+  let end;
+
+  if (PERIOD_LENGTH_DAYS[calendar.pay_schedule]) {
+    const length = PERIOD_LENGTH_DAYS[calendar.pay_schedule];
+    start = addDays(anchor, n * length);
+    end = addDays(start, length - 1);
+  } else if (calendar.pay_schedule === 'SEMI_MONTHLY') {
+    // Periods always run 1st-15th and 16th-end of month, starting with the half containing the anchor
+    const half = halfMonthIndex(anchor) + n;
+    const year = Math.floor(half / 24);
+    const month = Math.floor(half / 2) % 12;
+    if (half % 2 === 0) {
+      start = formatUTCDate(new Date(Date.UTC(year, month, 1)));
+      end = formatUTCDate(new Date(Date.UTC(year, month, 15)));
+    } else {
+      start = formatUTCDate(new Date(Date.UTC(year, month, 16)));
+      end = formatUTCDate(new Date(Date.UTC(year, month + 1, 0)));
+    }
+  } else if (calendar.pay_schedule === 'MONTHLY') {
+    const anchorDay = parseISODate(anchor).getUTCDate();
+    start = addMonths(anchor, n, anchorDay);
+    end = addDays(addMonths(anchor, n + 1, anchorDay), -1);
+  } else {
+    throw operationalError(`Unsupported pay schedule: ${calendar.pay_schedule}`);
+  }
+
+  const payDate = addDays(end, calendar.pay_date_offset_days || 0);
+  return {
+    period_number: n + 1,
+    pay_period_start: start,
+    pay_period_end: end,
+    payment_date: shiftToBusinessDay(payDate, calendar.holiday_shift)
+  };
+};
+
+// Index of the period containing a date (negative if the date is before the anchor)
+const periodIndexForDate = (calendar, isoDate) => {
+  const anchor = toISODate(calendar.anchor_date);
+
+  if (PERIOD_LENGTH_DAYS[calendar.pay_schedule]) {
+    return Math.floor(daysBetween(anchor, isoDate) / PERIOD_LENGTH_DAYS[calendar.pay_schedule]);
+  }
+
+  if (calendar.pay_schedule === 'SEMI_MONTHLY') {
+    return halfMonthIndex(isoDate) - halfMonthIndex(anchor);
+  }
+
+  const from = parseISODate(anchor);
+  const to = parseISODate(isoDate);
+  let n = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  while (periodAt(calendar, n).pay_period_start > isoDate) n--;
+  while (periodAt(calendar, n).pay_period_end < isoDate) n++;
+  return n;
+};
+
+// Periods from the one containing `fromDate` onwards
+const generatePeriods = (calendar, fromDate, count) => {
+  const first = Math.max(0, periodIndexForDate(calendar, toISODate(fromDate)));
+  const periods = [];
+  for (let n = first; n < first + count; n++) {
+    periods.push(periodAt(calendar, n));
+  }
+  return periods;
+};
+
+// The calendar period with exactly these start and end dates, or null
+const findCalendarPeriod = (calendar, periodStart, periodEnd) => {
+  const start = toISODate(periodStart);
+  const n = periodIndexForDate(calendar, start);
+  if (n < 0) return null;
+  const period = periodAt(calendar, n);
+  return period.pay_period_start === start && period.pay_period_end === toISODate(periodEnd) ? period : null;
+};
+
+// Reject pay periods that don't line up with the company's calendar for that pay schedule, and payment dates
+// other than the period's holiday-adjusted pay date. Companies without a calendar for the schedule are not checked.
+const assertMatchesPayCalendar = async (db, companyId, paySchedule, periodStart, periodEnd, paymentDate) => {
+  const result = await db.query(
+    'SELECT * FROM pay_calendars WHERE company_id = $1 AND pay_schedule = $2',
+    [companyId, paySchedule]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const period = findCalendarPeriod(result.rows[0], periodStart, periodEnd);
+  if (!period) {
+    throw operationalError(
+      `Pay period ${toISODate(periodStart)} to ${toISODate(periodEnd)} does not match the company's ${paySchedule} pay calendar`
+    );
+  }
+  if (paymentDate && toISODate(paymentDate) !== period.payment_date) {
+    throw operationalError(
+      `Payment date ${toISODate(paymentDate)} does not match the ${paySchedule} pay calendar's pay date for this period (${period.payment_date})`
+    );
+  }
+  return period;
+};
+
+module.exports = {
+  toISODate,
+  addDays,
+  daysBetween,
+  countWorkingDays,
+  isBusinessDay,
+  shiftToBusinessDay,
+  generatePeriods,
+  findCalendarPeriod,
+  assertMatchesPayCalendar
+};
@@ -0,0 +1,17 @@
+// Pay run lookups scoped to the current user (accountants: their companies, clients: their own company)
+
+const findRunForUser = async (client, runId, user, forUpdate = false) => {
+  const scope = user.userType === 'accountant' ? 'c.accountant_id = $2' : 'r.company_id = $2';
+  const result = await client.query(
+    `SELECT r.* FROM pay_runs r
+     JOIN companies c ON r.company_id = c.company_id
+     WHERE r.run_id = $1 AND ${scope}
+     ${forUpdate ? 'FOR UPDATE OF r' : ''}`,
+    [runId, user.userType === 'accountant' ? user.accountantId : user.companyId]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  findRunForUser
+};
@@ -0,0 +1,67 @@
+// Pay stub data for a payroll entry: company and employee details, itemized earnings and deductions, and YTD totals
+const { roundCurrency } = require('./payrollCalculator');
+const { toISODate } = require('./payCalendar');
+const { fetchEarningLines } = require('./earningLines');
+const { fetchDeductionLines } = require('./deductionLines');
+const { fetchYearToDate } = require('./yearToDate');
+const { maskAccount } = require('./directDeposit');
+
+// Earning lines that no longer add up to gross pay (e.g. after a manual correction) are balanced with an adjustment
+const stubEarnings = (entry, lines) => {
+  const earnings = lines.map(line => ({
+    earning_type: line.earning_type,
+    hours: line.hours != null ? parseFloat(line.hours) : null,
+    rate: line.rate != null ? parseFloat(line.rate) : null,
+    amount: parseFloat(line.amount)
+  }));
+  const difference = roundCurrency(parseFloat(entry.gross_pay) - earnings.reduce((sum, line) => sum + line.amount, 0));
+  if (difference !== 0) {
+    earnings.push({ earning_type: earnings.length > 0 ? 'ADJUSTMENT' : 'GROSS_PAY', hours: null, rate: null, amount: difference });
+  }
+  return earnings;
+};
+
+const buildPayStub = async (db, entry) => {
+  const details = await db.query(
+    `SELECT e.*, c.company_name, c.address AS company_address, c.phone AS company_phone
+     FROM employees e JOIN companies c ON e.company_id = c.company_id
+     WHERE e.employee_id = $1`,
+    [entry.employee_id]
+  );
+  const employee = details.rows[0];
+
+  const earningLines = (await fetchEarningLines(db, [entry.payroll_id]))[entry.payroll_id];
+  const deductionLines = (await fetchDeductionLines(db, [entry.payroll_id]))[entry.payroll_id];
+
+  return {
+    payroll_id: entry.payroll_id,
+    status: entry.status,
+    company: {
+      name: employee.company_name,
+      address: employee.company_address,
+      phone: employee.company_phone
+    },
+    employee: {
+      employee_id: employee.employee_id,
+      name: `${employee.first_name} ${employee.last_name}`,
+      address: employee.full_address,
+      position: employee.position,
+      deposit_account: employee.account_number
+        ? `${employee.institution_number}-${employee.transit_number} ${maskAccount(employee.account_number)}`
+        : null
+    },
+    pay_period_start: toISODate(entry.pay_period_start),
+    pay_period_end: toISODate(entry.pay_period_end),
+    payment_date: toISODate(entry.payment_date),
+    earnings: stubEarnings(entry, earningLines),
+    deductions: deductionLines.map(line => ({ deduction_type: line.deduction_type, amount: parseFloat(line.amount) })),
+    gross_pay: parseFloat(entry.gross_pay),
+    total_deductions: parseFloat(entry.deductions),
+    net_pay: parseFloat(entry.net_pay),
+    year_to_date: await fetchYearToDate(db, entry.payroll_id)
+  };
+};
+
+module.exports = {
+  buildPayStub
+};
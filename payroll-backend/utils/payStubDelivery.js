@@ -0,0 +1,119 @@
+// Emailing pay stubs to employees who consented to electronic documents, with delivery tracking per entry
+const { sendEmail } = require('./emailSender');
+const { buildPayStub } = require('./payStub');
+const { renderPayStubPdf } = require('./payStubPdf');
+const { toISODate } = require('./payCalendar');
+
+// Password-protected stubs open with the employee's date of birth
+const PASSWORD_HINT = 'your date of birth (YYYYMMDD)';
+const stubPassword = (employee) => toISODate(employee.date_of_birth).replace(/-/g, '');
+
+const recordDelivery = async (db, payrollId, delivery) => {
+  const result = await db.query(
+    `INSERT INTO pay_stub_deliveries (payroll_id, status, email, password_protected, attempts, last_error, sent_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (payroll_id) DO UPDATE SET
+       status = EXCLUDED.status,
+       email = EXCLUDED.email,
+       password_protected = EXCLUDED.password_protected,
+       attempts = pay_stub_deliveries.attempts + EXCLUDED.attempts,
+       last_error = EXCLUDED.last_error,
+       sent_at = COALESCE(EXCLUDED.sent_at, pay_stub_deliveries.sent_at),
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [payrollId, delivery.status, delivery.email || null, delivery.password_protected || false,
+     delivery.attempts || 0, delivery.last_error || null, delivery.sent_at || null]
+  );
+  return result.rows[0];
+};
+
+// Email one entry's stub, or record that the employee needs a paper stub.
+// Send failures are recorded on the delivery rather than thrown.
+const deliverPayStub = async (db, entry) => {
+  const details = await db.query(
+    `SELECT e.employee_id, e.first_name, e.last_name, e.email, e.date_of_birth, e.consent_electronic_documents,
+       c.company_name, c.pay_stub_password_protected
+     FROM employees e JOIN companies c ON e.company_id = c.company_id
+     WHERE e.employee_id = $1`,
+    [entry.employee_id]
+  );
+  const employee = details.rows[0];
+  const person = { employee_id: employee.employee_id, first_name: employee.first_name, last_name: employee.last_name };
+
+  if (!employee.consent_electronic_documents) {
+    return { ...person, ...(await recordDelivery(db, entry.payroll_id, { status: 'PAPER' })) };
+  }
+
+  const passwordProtected = employee.pay_stub_password_protected;
+  try {
+    const stub = await buildPayStub(db, entry);
+    const pdf = await renderPayStubPdf(stub, passwordProtected ? { password: stubPassword(employee) } : {});
+    const period = `${stub.pay_period_start} to ${stub.pay_period_end}`;
+    const text = `Hello ${employee.first_name},\n\n` +
+      `Your pay stub from ${employee.company_name} for ${period} (paid ${stub.payment_date}) is attached.` +
+      (passwordProtected ? `\nOpen it with ${PASSWORD_HINT}.` : '');
+
+    await sendEmail(
+      employee.email,
+      `Your pay stub for ${period}`,
+      text,
+      text.replace(/\n/g, '<br>'),
+      [{ filename: `pay-stub-${stub.payment_date}.pdf`, content: pdf, contentType: 'application/pdf' }]
+    );
+
+    return {
+      ...person,
+      ...(await recordDelivery(db, entry.payroll_id, {
+        status: 'SENT', email: employee.email, password_protected: passwordProtected, attempts: 1, sent_at: new Date()
+      }))
+    };
+  } catch (err) {
+    console.error(`Error emailing pay stub for payroll entry ${entry.payroll_id}:`, err);
+    return {
+      ...person,
+      ...(await recordDelivery(db, entry.payroll_id, {
+        status: 'FAILED', email: employee.email, password_protected: passwordProtected, attempts: 1, last_error: err.message
+      }))
+    };
+  }
+};
+
+// Split deliveries into counts and the employees who need paper stubs
+const summarizeDeliveries = (deliveries) => ({
+  sent: deliveries.filter(delivery => delivery.status === 'SENT').length,
+  failed: deliveries.filter(delivery => delivery.status === 'FAILED').length,
+  paper_stubs: deliveries
+    .filter(delivery => delivery.status === 'PAPER')
+    .map(({ payroll_id, employee_id, first_name, last_name }) => ({ payroll_id, employee_id, first_name, last_name })),
+  deliveries
+});
+
+// Deliver stubs for finalized entries, one at a time
+const deliverPayStubs = async (db, entries) => {
+  const deliveries = [];
+  for (const entry of entries) {
+    deliveries.push(await deliverPayStub(db, entry));
+  }
+  return summarizeDeliveries(deliveries);
+};
+
+// Delivery status for a set of entries; entries without a delivery yet are PENDING
+const fetchStubDeliveries = async (db, payrollIds) => {
+  const result = await db.query(
+    `SELECT pe.payroll_id, e.employee_id, e.first_name, e.last_name,
+       COALESCE(d.status, 'PENDING') AS status, d.email, d.password_protected, d.attempts, d.last_error, d.sent_at
+     FROM payroll_entries pe
+     JOIN employees e ON pe.employee_id = e.employee_id
+     LEFT JOIN pay_stub_deliveries d ON d.payroll_id = pe.payroll_id
+     WHERE pe.payroll_id = ANY($1)
+     ORDER BY e.last_name, e.first_name, pe.payroll_id`,
+    [payrollIds]
+  );
+  return summarizeDeliveries(result.rows);
+};
+
+module.exports = {
+  deliverPayStub,
+  deliverPayStubs,
+  fetchStubDeliveries
+};
@@ -0,0 +1,87 @@
+// Printable pay stub for a payroll entry
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+const formatAmount = (amount) => amount.toFixed(2);
+
+const formatLabel = (type) => type.toLowerCase().split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const AMOUNT_X = 400;
+const AMOUNT_WIDTH = 150;
+
+const row = (doc, label, amount, options = {}) => {
+  const y = doc.y;
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, 50, y, { width: AMOUNT_X - 60 });
+  doc.text(amount, AMOUNT_X, y, { width: AMOUNT_WIDTH, align: 'right' });
+  doc.font('Helvetica');
+};
+
+const heading = (doc, text) => {
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text(text, 50);
+  doc.font('Helvetica').fontSize(10);
+};
+
+// Encrypt with AES so the stub can only be opened with the password; printing stays allowed
+const encryptionOptions = (password) => ({
+  pdfVersion: '1.7',
+  userPassword: password,
+  ownerPassword: crypto.randomBytes(16).toString('hex'),
+  permissions: { printing: 'highResolution' }
+});
+
+// Render the stub to a PDF buffer, optionally protected by a password
+const renderPayStubPdf = (stub, { password } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, ...(password ? encryptionOptions(password) : {}) });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(18).text(stub.company.name);
+  doc.fontSize(10);
+  if (stub.company.address) doc.text(stub.company.address);
+  if (stub.company.phone) doc.text(stub.company.phone);
+  doc.moveDown();
+
+  doc.fontSize(14).text(`Pay Stub${stub.status === 'DRAFT' ? ' (Draft)' : ''}`);
+  doc.fontSize(10);
+  doc.text(`Pay period: ${stub.pay_period_start} to ${stub.pay_period_end}`);
+  doc.text(`Payment date: ${stub.payment_date}`);
+  doc.moveDown();
+
+  doc.text(`Employee: ${stub.employee.name} (#${stub.employee.employee_id})`);
+  if (stub.employee.position) doc.text(`Position: ${stub.employee.position}`);
+  if (stub.employee.address) doc.text(stub.employee.address);
+  if (stub.employee.deposit_account) doc.text(`Deposited to: ${stub.employee.deposit_account}`);
+
+  heading(doc, 'Earnings');
+  stub.earnings.forEach(line => {
+    const detail = line.hours != null ? ` (${line.hours} h @ ${formatAmount(line.rate)})` : '';
+    row(doc, `${formatLabel(line.earning_type)}${detail}`, formatAmount(line.amount));
+  });
+  row(doc, 'Gross pay', formatAmount(stub.gross_pay), { bold: true });
+
+  heading(doc, 'Deductions');
+  stub.deductions.forEach(line => row(doc, formatLabel(line.deduction_type), formatAmount(line.amount)));
+  row(doc, 'Total deductions', formatAmount(stub.total_deductions), { bold: true });
+
+  heading(doc, 'Net Pay');
+  row(doc, 'Net pay', formatAmount(stub.net_pay), { bold: true });
+
+  const ytd = stub.year_to_date;
+  heading(doc, `Year to Date (${ytd.year})`);
+  row(doc, 'Gross pay', formatAmount(ytd.gross_pay));
+  Object.entries(ytd.deductions_by_type).forEach(([type, amount]) => row(doc, formatLabel(type), formatAmount(amount)));
+  row(doc, 'Total deductions', formatAmount(ytd.deductions));
+  row(doc, 'Net pay', formatAmount(ytd.net_pay), { bold: true });
+
+  doc.end();
+});
+
+module.exports = {
+  renderPayStubPdf
+};
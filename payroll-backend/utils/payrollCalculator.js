@@ -0,0 +1,289 @@
+// Gross-to-net payroll calculation for Canadian statutory deductions
+const { getTaxTable } = require('./taxTables');
+const { operationalError } = require('./operationalError');
+
+const PAY_PERIODS_PER_YEAR = {
+  WEEKLY: 52,
+  BIWEEKLY: 26,
+  SEMI_MONTHLY: 24,
+  MONTHLY: 12
+};
+
+const PAY_SCHEDULES = Object.keys(PAY_PERIODS_PER_YEAR);
+
+const OVERTIME_MULTIPLIER = 1.5;
+const DOUBLE_TIME_MULTIPLIER = 2;
+
+// Province of employment for employees created without one
+const DEFAULT_PROVINCE = 'ON';
+
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const getPeriodsPerYear = (paySchedule) => {
+  const periods = PAY_PERIODS_PER_YEAR[paySchedule];
+  if (!periods) {
+    throw operationalError(`Unsupported pay schedule: ${paySchedule}`);
+  }
+  return periods;
+};
+
+// Progressive tax on annual income for a list of { threshold, rate } brackets
+const taxOnIncome = (income, brackets) => {
+  let tax = 0;
+  for (let i = 0; i < brackets.length; i++) {
+    const lower = brackets[i].threshold;
+    const upper = i + 1 < brackets.length ? brackets[i + 1].threshold : Infinity;
+    if (income <= lower) break;
+    tax += (Math.min(income, upper) - lower) * brackets[i].rate;
+  }
+  return tax;
+};
+
+// Itemized earnings for a period. hoursWorked are regular hours; overtime and double time are paid
+// at their multipliers. prorationFactor scales a salary for partial periods (hire or termination mid-period)
+const calculateEarnings = ({
+  payType,
+  payRate,
+  paySchedule,
+  hoursWorked = 0,
+  overtimeHours = 0,
+  doubleTimeHours = 0,
+  overtimeMultiplier = OVERTIME_MULTIPLIER,
+  doubleTimeMultiplier = DOUBLE_TIME_MULTIPLIER,
+  prorationFactor = 1
+}) => {
+  const rate = parseFloat(payRate);
+  if (payType === 'HOURLY') {
+    const hourlyLine = (earningType, hours, hourlyRate) => ({
+      earning_type: earningType,
+      hours: parseFloat(hours),
+      rate: hourlyRate,
+      amount: roundCurrency(hourlyRate * parseFloat(hours))
+    });
+    return [
+      hourlyLine('REGULAR', hoursWorked, rate),
+      ...(parseFloat(overtimeHours) > 0 ? [hourlyLine('OVERTIME', overtimeHours, rate * overtimeMultiplier)] : []),
+      ...(parseFloat(doubleTimeHours) > 0 ? [hourlyLine('DOUBLE_TIME', doubleTimeHours, rate * doubleTimeMultiplier)] : [])
+    ];
+  }
+  if (payType === 'SALARY') {
+    return [{
+      earning_type: 'SALARY',
+      hours: null,
+      rate: null,
+      amount: roundCurrency(rate / getPeriodsPerYear(paySchedule) * prorationFactor)
+    }];
+  }
+  throw operationalError(`Unsupported pay type: ${payType}`);
+};
+
+const calculateGrossPay = (params) => {
+  return roundCurrency(calculateEarnings(params).reduce((sum, line) => sum + line.amount, 0));
+};
+
+// Contributions stop once the year's maximum has been deducted
+const remainingToMaximum = (maximum, deductedToDate) => Math.max(0, roundCurrency(maximum - deductedToDate));
+
+const calculateCpp = (grossPay, periods, cpp, cppToDate = 0) => {
+  return Math.min(
+    roundCurrency(Math.max(0, cpp.rate * (grossPay - cpp.basicExemption / periods))),
+    remainingToMaximum(cpp.maxContribution, cppToDate)
+  );
+};
+
+// CPP2 applies to the part of this period's earnings that takes YTD pensionable earnings past the YMPE, up to the YAMPE
+const calculateCpp2 = (grossPay, cpp, pensionableToDate = 0, cpp2ToDate = 0) => {
+  if (!cpp.cpp2Rate || !cpp.yampe) return 0;
+  const earningsAboveYmpe = Math.max(0,
+    Math.min(pensionableToDate + grossPay, cpp.yampe) - Math.max(pensionableToDate, cpp.ympe));
+  return Math.min(
+    roundCurrency(earningsAboveYmpe * cpp.cpp2Rate),
+    remainingToMaximum(cpp.cpp2MaxContribution, cpp2ToDate)
+  );
+};
+
+const calculateEi = (grossPay, ei, eiToDate = 0) => {
+  return Math.min(roundCurrency(grossPay * ei.rate), remainingToMaximum(ei.maxPremium, eiToDate));
+};
+
+// Federal basic personal amount is clawed back between the 4th and 5th bracket thresholds
+const federalBasicPersonalAmount = (annualIncome, federal) => {
+  const start = federal.brackets[3].threshold;
+  const end = federal.brackets[4].threshold;
+  if (annualIncome <= start) return federal.basicPersonalAmount;
+  const reduction = (federal.basicPersonalAmount - federal.basicPersonalAmountMin) *
+    Math.min(1, (annualIncome - start) / (end - start));
+  return federal.basicPersonalAmount - reduction;
+};
+
+const ontarioHealthPremium = (annualIncome) => {
+  if (annualIncome <= 20000) return 0;
+  if (annualIncome <= 36000) return Math.min(300, 0.06 * (annualIncome - 20000));
+  if (annualIncome <= 48000) return Math.min(450, 300 + 0.06 * (annualIncome - 36000));
+  if (annualIncome <= 72000) return Math.min(600, 450 + 0.25 * (annualIncome - 48000));
+  if (annualIncome <= 200000) return Math.min(750, 600 + 0.25 * (annualIncome - 72000));
+  return Math.min(900, 750 + 0.25 * (annualIncome - 200000));
+};
+
+const calculateFederalTax = ({ annualIncome, annualCppBase, annualEi, claimAmount, periods, table }) => {
+  const { federal, cpp, ei } = table;
+  const lowestRate = federal.brackets[0].rate;
+  const claim = claimAmount != null ? claimAmount : federalBasicPersonalAmount(annualIncome, federal);
+
+  const k1 = lowestRate * claim;
+  const k2 = lowestRate * (Math.min(annualCppBase, cpp.maxContribution * cpp.baseRate / cpp.rate) +
+    Math.min(annualEi, ei.maxPremium));
+  const k4 = Math.min(lowestRate * annualIncome, lowestRate * federal.canadaEmploymentAmount);
+
+  const annualTax = Math.max(0, taxOnIncome(annualIncome, federal.brackets) - k1 - k2 - k4);
+  return roundCurrency(annualTax / periods);
+};
+
+const calculateProvincialTax = ({ annualIncome, annualCppBase, annualEi, claimAmount, periods, province, table }) => {
+  const { cpp, ei } = table;
+  const rates = table.provinces[province];
+  if (!rates) {
+    throw operationalError(`Payroll calculation is not supported for province: ${province}`);
+  }
+
+  const lowestRate = rates.brackets[0].rate;
+  const claim = claimAmount != null ? claimAmount : rates.basicPersonalAmount;
+  const k1p = lowestRate * claim;
+  const k2p = lowestRate * (Math.min(annualCppBase, cpp.maxContribution * cpp.baseRate / cpp.rate) +
+    Math.min(annualEi, ei.maxPremium));
+
+  let annualTax = Math.max(0, taxOnIncome(annualIncome, rates.brackets) - k1p - k2p);
+
+  if (rates.surtax) {
+    const surtax = rates.surtax.reduce((sum, tier) => sum + Math.max(0, annualTax - tier.threshold) * tier.rate, 0);
+    annualTax += surtax;
+  }
+  if (rates.taxReductionBasicAmount) {
+    const reduction = Math.max(0, 2 * rates.taxReductionBasicAmount - annualTax);
+    annualTax -= Math.min(annualTax, reduction);
+  }
+  if (rates.healthPremium) {
+    annualTax += ontarioHealthPremium(annualIncome);
+  }
+
+  return roundCurrency(annualTax / periods);
+};
+
+// Calculate gross pay, statutory deductions and net pay for one pay period.
+// otherDeductions are caller-supplied lines (benefits, garnishments, ...); pre-tax lines reduce taxable income.
+// earnings replaces the gross pay derived from pay type and hours (e.g. a vacation payout), as one earningType line,
+// or is a list of itemized earning lines (e.g. a retro pay adjustment).
+// yearToDate carries the employee's earlier gross pay and CPP, CPP2 and EI deductions this year, so deductions stop
+// at the maximums.
+// td1 holds the employee's federal and provincial TD1 claims ({ claimAmount, incomeBelowClaim, additionalTax,
+// prescribedZoneDeduction }, see utils/td1); without them the basic personal amounts are claimed.
+const calculatePayroll = ({
+  payType,
+  payRate,
+  paySchedule,
+  hoursWorked = 0,
+  overtimeHours = 0,
+  doubleTimeHours = 0,
+  overtimeMultiplier = OVERTIME_MULTIPLIER,
+  doubleTimeMultiplier = DOUBLE_TIME_MULTIPLIER,
+  prorationFactor = 1,
+  earnings,
+  earningType = 'OTHER',
+  paymentDate,
+  province = DEFAULT_PROVINCE,
+  otherDeductions = [],
+  yearToDate = {},
+  td1 = {}
+}) => {
+  const periods = getPeriodsPerYear(paySchedule);
+  // Rates are the versions in effect on the payment date, so recalculating an old entry gives the same result
+  const table = getTaxTable(paymentDate);
+  const { gross_pay: grossToDate = 0, cpp: cppToDate = 0, cpp2: cpp2ToDate = 0, ei: eiToDate = 0 } = yearToDate;
+
+  let earningLines;
+  if (Array.isArray(earnings)) {
+    earningLines = earnings.map(line => ({
+      earning_type: line.earning_type,
+      hours: line.hours != null ? parseFloat(line.hours) : null,
+      rate: line.rate != null ? parseFloat(line.rate) : null,
+      amount: roundCurrency(parseFloat(line.amount))
+    }));
+  } else if (earnings != null) {
+    earningLines = [{ earning_type: earningType, hours: null, rate: null, amount: roundCurrency(parseFloat(earnings)) }];
+  } else {
+    earningLines = calculateEarnings({
+      payType, payRate, paySchedule, hoursWorked, overtimeHours, doubleTimeHours,
+      overtimeMultiplier, doubleTimeMultiplier, prorationFactor
+    });
+  }
+  const grossPay = roundCurrency(earningLines.reduce((sum, line) => sum + line.amount, 0));
+  const cppContribution = calculateCpp(grossPay, periods, table.cpp, cppToDate);
+  const cpp2Contribution = calculateCpp2(grossPay, table.cpp, grossToDate, cpp2ToDate);
+  const eiPremium = calculateEi(grossPay, table.ei, eiToDate);
+
+  // The enhanced portion of CPP and all of CPP2 are deducted from income; the base portion is a tax credit
+  const cppEnhanced = cppContribution * (table.cpp.rate - table.cpp.baseRate) / table.cpp.rate;
+  const preTaxDeductions = otherDeductions
+    .filter(line => line.is_pre_tax)
+    .reduce((sum, line) => sum + parseFloat(line.amount), 0);
+  const federalTd1 = td1.federal || {};
+  const provincialTd1 = td1.provincial || {};
+  // The prescribed zone deduction (HD) comes off annual taxable income for both federal and provincial tax
+  const annualIncome = Math.max(0,
+    periods * (grossPay - cppEnhanced - cpp2Contribution - preTaxDeductions) - (federalTd1.prescribedZoneDeduction || 0));
+  const annualCppBase = periods * (cppContribution - cppEnhanced);
+  const annualEi = periods * eiPremium;
+
+  // No tax is withheld when the employee declared income below their total claim
+  const federalTax = federalTd1.incomeBelowClaim ? 0 : roundCurrency(
+    calculateFederalTax({ annualIncome, annualCppBase, annualEi, claimAmount: federalTd1.claimAmount, periods, table }) +
+    (federalTd1.additionalTax || 0)
+  );
+  const provincialTax = provincialTd1.incomeBelowClaim ? 0 : calculateProvincialTax({
+    annualIncome, annualCppBase, annualEi, claimAmount: provincialTd1.claimAmount, periods, province, table
+  });
+
+  const deductions = [
+    { deduction_type: 'CPP', amount: cppContribution, employer_amount: cppContribution, is_pre_tax: false },
+    ...(cpp2Contribution > 0
+      ? [{ deduction_type: 'CPP2', amount: cpp2Contribution, employer_amount: cpp2Contribution, is_pre_tax: false }]
+      : []),
+    {
+      deduction_type: 'EI',
+      amount: eiPremium,
+      employer_amount: roundCurrency(eiPremium * table.ei.employerMultiplier),
+      is_pre_tax: false
+    },
+    { deduction_type: 'FEDERAL_TAX', amount: federalTax, employer_amount: 0, is_pre_tax: false },
+    { deduction_type: 'PROVINCIAL_TAX', amount: provincialTax, employer_amount: 0, is_pre_tax: false },
+    ...otherDeductions.map(line => ({
+      deduction_type: line.deduction_type,
+      amount: roundCurrency(parseFloat(line.amount)),
+      employer_amount: roundCurrency(parseFloat(line.employer_amount || 0)),
+      is_pre_tax: Boolean(line.is_pre_tax)
+    }))
+  ];
+
+  const totalDeductions = roundCurrency(deductions.reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    gross_pay: grossPay,
+    earning_lines: earningLines,
+    deductions,
+    total_deductions: totalDeductions,
+    net_pay: roundCurrency(grossPay - totalDeductions)
+  };
+};
+
+module.exports = {
+  calculatePayroll,
+  calculateEarnings,
+  calculateGrossPay,
+  getPeriodsPerYear,
+  roundCurrency,
+  PAY_PERIODS_PER_YEAR,
+  PAY_SCHEDULES,
+  OVERTIME_MULTIPLIER,
+  DOUBLE_TIME_MULTIPLIER,
+  DEFAULT_PROVINCE
+};
@@ -0,0 +1,363 @@
+// Creating, recalculating and finalizing payroll entries
+const { calculatePayroll } = require('./payrollCalculator');
+const { STATUTORY_DEDUCTION_TYPES, fetchDeductionLines, insertDeductionLines } = require('./deductionLines');
+const { fetchEarningLines, replaceEarningLines } = require('./earningLines');
+const { operationalError } = require('./operationalError');
+const { toISODate, countWorkingDays } = require('./payCalendar');
+const { resolveOvertimePolicy, splitHours } = require('./overtimeRules');
+const {
+  accrueVacationForEntries, lockVacationPayout, recordVacationPayout, reverseLedgerEntry
+} = require('./vacationAccrual');
+const { fetchContributionsToDate } = require('./statutoryParameters');
+const { fetchTd1Claims } = require('./td1');
+const { getHolidays } = require('./holidays');
+const { withCompensationOn } = require('./compensation');
+
+// Share of a salaried period's working days that fall between the employee's start date and
+// their last day worked (if they were offboarded after starting)
+const salaryProrationFactor = async (client, employee, entry) => {
+  if (employee.pay_type !== 'SALARY') {
+    return 1;
+  }
+
+  const periodStart = toISODate(entry.pay_period_start);
+  const periodEnd = toISODate(entry.pay_period_end);
+  const startDate = toISODate(employee.start_date);
+
+  const offboarding = await client.query(
+    `SELECT last_day_worked FROM employee_offboarding
+     WHERE employee_id = $1 AND last_day_worked >= $2
+     ORDER BY last_day_worked DESC LIMIT 1`,
+    [employee.employee_id, startDate]
+  );
+  const lastDayWorked = offboarding.rows.length > 0 ? toISODate(offboarding.rows[0].last_day_worked) : null;
+
+  const workedFrom = startDate > periodStart ? startDate : periodStart;
+  const workedTo = lastDayWorked && lastDayWorked < periodEnd ? lastDayWorked : periodEnd;
+  if (workedFrom === periodStart && workedTo === periodEnd) {
+    return 1;
+  }
+
+  const periodDays = countWorkingDays(periodStart, periodEnd);
+  return periodDays === 0 ? 0 : countWorkingDays(workedFrom, workedTo) / periodDays;
+};
+
+// Statutory holiday dates in a province for every year a pay period touches
+const periodHolidays = (province, periodStart, periodEnd) => {
+  const firstYear = parseInt(toISODate(periodStart).slice(0, 4));
+  const lastYear = parseInt(toISODate(periodEnd).slice(0, 4));
+  const holidays = [];
+  for (let year = firstYear; year <= lastYear; year++) {
+    holidays.push(...getHolidays(year, province).map(holiday => holiday.date));
+  }
+  return holidays;
+};
+
+// Pay that isn't derived from the employee's rate and hours: a vacation payout pays its vacation_pay and a retro
+// pay adjustment its itemized differences (given when it is created, its recorded earning lines afterwards)
+const fixedEarnings = async (client, entry) => {
+  if (entry.entry_type === 'VACATION_PAYOUT') {
+    return entry.vacation_pay;
+  }
+  if (entry.entry_type === 'RETRO_PAY') {
+    return entry.earning_lines || (await fetchEarningLines(client, [entry.payroll_id]))[entry.payroll_id];
+  }
+  return undefined;
+};
+
+// Tax, overtime and holiday rules all follow the employee's province of employment. Pay is the
+// compensation in effect on the last day of the period.
+const calculateEntry = async (client, currentEmployee, entry, otherDeductions) => {
+  const employee = await withCompensationOn(client, currentEmployee, toISODate(entry.pay_period_end));
+  const province = employee.province_of_employment;
+  const policy = await resolveOvertimePolicy(client, employee.company_id, province);
+  const hours = splitHours(policy, {
+    periodStart: entry.pay_period_start,
+    periodEnd: entry.pay_period_end,
+    hoursWorked: entry.hours_worked,
+    dailyHours: entry.daily_hours,
+    holidays: periodHolidays(province, entry.pay_period_start, entry.pay_period_end)
+  });
+
+  // CPP, CPP2 and EI stop at the year's maximums, counting what earlier entries already deducted
+  const paymentYear = parseInt(toISODate(entry.payment_date).slice(0, 4));
+  const yearToDate = await fetchContributionsToDate(client, employee.employee_id, entry.payment_date, entry.payroll_id);
+  const td1 = await fetchTd1Claims(client, employee.employee_id, paymentYear, province);
+
+  const calculation = calculatePayroll({
+    payType: employee.pay_type,
+    payRate: employee.pay_rate,
+    paySchedule: employee.pay_schedule,
+    hoursWorked: hours.regular_hours,
+    overtimeHours: hours.overtime_hours,
+    doubleTimeHours: hours.double_time_hours,
+    overtimeMultiplier: policy.overtime_multiplier,
+    doubleTimeMultiplier: policy.double_time_multiplier,
+    prorationFactor: await salaryProrationFactor(client, employee, entry),
+    earnings: await fixedEarnings(client, entry),
+    earningType: entry.entry_type,
+    paymentDate: entry.payment_date,
+    province,
+    otherDeductions,
+    yearToDate,
+    td1
+  });
+
+  if (calculation.net_pay < 0) {
+    throw operationalError('Deductions cannot exceed gross pay');
+  }
+  return { ...calculation, hours };
+};
+
+const insertTimeEntries = async (client, payrollId, dailyHours) => {
+  for (const day of dailyHours) {
+    await client.query(
+      'INSERT INTO payroll_time_entries (payroll_id, work_date, hours) VALUES ($1, $2, $3)',
+      [payrollId, day.work_date, day.hours]
+    );
+  }
+};
+
+// Calculate and insert a draft payroll entry with its deduction lines. Must run inside a transaction.
+// Overtime and double time are derived from hours_worked (or daily_hours) using the company's overtime policy.
+const createPayrollEntry = async (client, employee, entry) => {
+  const otherDeductions = entry.deduction_lines || [];
+  if (otherDeductions.some(line => STATUTORY_DEDUCTION_TYPES.includes(line.deduction_type))) {
+    throw operationalError(
+      `Statutory deductions (${STATUTORY_DEDUCTION_TYPES.join(', ')}) are calculated and cannot be supplied`
+    );
+  }
+
+  const dailyHours = entry.daily_hours || [];
+  const calculation = await calculateEntry(client, employee, {
+    ...entry,
+    hours_worked: entry.hours_worked || 0,
+    daily_hours: dailyHours
+  }, otherDeductions);
+
+  const result = await client.query(
+    `INSERT INTO payroll_entries (
+      employee_id, run_id, entry_type, pay_period_start, pay_period_end, hours_worked,
+      overtime_hours, double_time_hours, vacation_pay, gross_pay, deductions, net_pay, payment_date,
+      province_of_employment, corrects_payroll_id, correction_reason
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING *`,
+    [employee.employee_id, entry.run_id || null, entry.entry_type || 'REGULAR', entry.pay_period_start,
+     entry.pay_period_end, calculation.hours.hours_worked, calculation.hours.overtime_hours,
+     calculation.hours.double_time_hours, entry.vacation_pay || 0, calculation.gross_pay,
+     calculation.total_deductions, calculation.net_pay, entry.payment_date, employee.province_of_employment,
+     entry.corrects_payroll_id || null, entry.correction_reason || null]
+  );
+  const created = result.rows[0];
+  await insertTimeEntries(client, created.payroll_id, dailyHours);
+  created.earning_lines = await replaceEarningLines(client, created.payroll_id, calculation.earning_lines);
+  created.deduction_lines = await insertDeductionLines(client, created.payroll_id, calculation.deductions);
+  return created;
+};
+
+// Recalculate a draft entry after its hours or voluntary deductions change.
+// Voluntary lines and recorded daily hours are kept unless replacements are supplied.
+const recalculatePayrollEntry = async (client, employee, entry, changes) => {
+  if (entry.status !== 'DRAFT') {
+    throw operationalError('Finalized payroll entries cannot be modified', 409);
+  }
+
+  let otherDeductions = changes.deduction_lines;
+  if (otherDeductions === undefined) {
+    const currentLines = (await fetchDeductionLines(client, [entry.payroll_id]))[entry.payroll_id];
+    otherDeductions = currentLines.filter(line => !STATUTORY_DEDUCTION_TYPES.includes(line.deduction_type));
+  } else if (otherDeductions.some(line => STATUTORY_DEDUCTION_TYPES.includes(line.deduction_type))) {
+    throw operationalError(
+      `Statutory deductions (${STATUTORY_DEDUCTION_TYPES.join(', ')}) are calculated and cannot be supplied`
+    );
+  }
+
+  // New daily hours or a new total replace the recorded time entries; otherwise they are reused
+  let dailyHours = changes.daily_hours;
+  if (dailyHours === undefined && changes.hours_worked === undefined) {
+    const timeEntries = await client.query(
+      'SELECT work_date, hours FROM payroll_time_entries WHERE payroll_id = $1 ORDER BY work_date',
+      [entry.payroll_id]
+    );
+    dailyHours = timeEntries.rows;
+  }
+
+  const merged = {
+    ...entry,
+    hours_worked: changes.hours_worked !== undefined ? changes.hours_worked : entry.hours_worked || 0,
+    daily_hours: dailyHours || []
+  };
+  const calculation = await calculateEntry(client, employee, merged, otherDeductions);
+
+  const result = await client.query(
+    `UPDATE payroll_entries
+     SET hours_worked = $1, overtime_hours = $2, double_time_hours = $3, gross_pay = $4, deductions = $5,
+         net_pay = $6, province_of_employment = $7, updated_at = CURRENT_TIMESTAMP
+     WHERE payroll_id = $8 RETURNING *`,
+    [calculation.hours.hours_worked, calculation.hours.overtime_hours, calculation.hours.double_time_hours,
+     calculation.gross_pay, calculation.total_deductions, calculation.net_pay, employee.province_of_employment,
+     entry.payroll_id]
+  );
+  if (changes.daily_hours !== undefined || changes.hours_worked !== undefined) {
+    await client.query('DELETE FROM payroll_time_entries WHERE payroll_id = $1', [entry.payroll_id]);
+    await insertTimeEntries(client, entry.payroll_id, merged.daily_hours);
+  }
+  await client.query('DELETE FROM payroll_deduction_lines WHERE payroll_id = $1', [entry.payroll_id]);
+
+  const updated = result.rows[0];
+  updated.earning_lines = await replaceEarningLines(client, updated.payroll_id, calculation.earning_lines);
+  updated.deduction_lines = await insertDeductionLines(client, updated.payroll_id, calculation.deductions);
+  return updated;
+};
+
+// Lock a draft vacation payout and take the balance it pays off the ledger. The balance may have grown since the
+// draft was created (the final period's accrual), so the payout is recalculated to pay the balance as of the payout
+// date; anything accrued in a later employment stays on the ledger.
+const finalizeVacationPayout = async (client, entry) => {
+  const employeeResult = await client.query('SELECT * FROM employees WHERE employee_id = $1', [entry.employee_id]);
+  const employee = employeeResult.rows[0];
+  const balance = await lockVacationPayout(client, employee, entry.payment_date);
+  if (balance.payout <= 0) {
+    throw operationalError('There is no vacation balance left to pay out; delete the payout entry instead', 409);
+  }
+
+  if (balance.payout !== parseFloat(entry.vacation_pay)) {
+    await client.query('UPDATE payroll_entries SET vacation_pay = $1 WHERE payroll_id = $2', [balance.payout, entry.payroll_id]);
+    await recalculatePayrollEntry(client, employee, { ...entry, vacation_pay: balance.payout }, {});
+  }
+
+  const result = await client.query(
+    `UPDATE payroll_entries
+     SET status = 'FINALIZED', finalized_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE payroll_id = $1
+     RETURNING *`,
+    [entry.payroll_id]
+  );
+  await recordVacationPayout(client, employee.employee_id, entry.payroll_id, entry.payment_date, balance);
+  return result.rows[0];
+};
+
+// Lock draft entries and post their vacation accruals. Vacation payouts are finalized last, so the balance
+// they pay out includes the accruals of the entries finalized with them. Returns the entries that were
+// finalized by this call.
+const finalizePayrollEntries = async (client, payrollIds) => {
+  const result = await client.query(
+    `UPDATE payroll_entries
+     SET status = 'FINALIZED', finalized_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE payroll_id = ANY($1) AND status = 'DRAFT' AND entry_type <> 'VACATION_PAYOUT'
+     RETURNING *`,
+    [payrollIds]
+  );
+  await accrueVacationForEntries(client, result.rows);
+
+  const payouts = await client.query(
+    `SELECT * FROM payroll_entries
+     WHERE payroll_id = ANY($1) AND status = 'DRAFT' AND entry_type = 'VACATION_PAYOUT'
+     ORDER BY payroll_id FOR UPDATE`,
+    [payrollIds]
+  );
+  const finalized = [...result.rows];
+  for (const payout of payouts.rows) {
+    finalized.push(await finalizeVacationPayout(client, payout));
+  }
+  return finalized;
+};
+
+// Create a draft entry paying out the employee's remaining vacation balance. The balance is zeroed when the
+// entry is finalized, so deleting the draft leaves it untouched. Returns null when there is nothing to pay out.
+// Must run inside a transaction.
+const payOutVacationBalance = async (client, employee, payoutDate) => {
+  const balance = await lockVacationPayout(client, employee, payoutDate);
+  if (balance.payout <= 0) {
+    return null;
+  }
+
+  return createPayrollEntry(client, employee, {
+    entry_type: 'VACATION_PAYOUT',
+    vacation_pay: balance.payout,
+    pay_period_start: payoutDate,
+    pay_period_end: payoutDate,
+    payment_date: payoutDate
+  });
+};
+
+// Reverse a finalized entry with a finalized REVERSAL entry, paid on paymentDate, that negates its hours,
+// earnings and deductions, and undo the vacation it accrued or paid out. The original is left as it is.
+// Must run inside a transaction.
+const reversePayrollEntry = async (client, original, paymentDate, reason) => {
+  const result = await client.query(
+    `INSERT INTO payroll_entries (
+      employee_id, entry_type, pay_period_start, pay_period_end, hours_worked, overtime_hours,
+      double_time_hours, vacation_pay, gross_pay, deductions, net_pay, payment_date, province_of_employment,
+      status, finalized_at, reverses_payroll_id, correction_reason
+    )
+    SELECT employee_id, 'REVERSAL', pay_period_start, pay_period_end, -hours_worked, -overtime_hours,
+      -double_time_hours, -vacation_pay, -gross_pay, -deductions, -net_pay, $2, province_of_employment,
+      'FINALIZED', CURRENT_TIMESTAMP, payroll_id, $3
+    FROM payroll_entries WHERE payroll_id = $1
+    RETURNING *`,
+    [original.payroll_id, paymentDate, reason || null]
+  );
+  const reversal = result.rows[0];
+
+  const earningLines = await client.query(
+    `INSERT INTO payroll_earning_lines (payroll_id, earning_type, hours, rate, amount)
+     SELECT $2, earning_type, -hours, rate, -amount FROM payroll_earning_lines WHERE payroll_id = $1 ORDER BY line_id
+     RETURNING line_id, payroll_id, earning_type, hours, rate, amount`,
+    [original.payroll_id, reversal.payroll_id]
+  );
+  const deductionLines = await client.query(
+    `INSERT INTO payroll_deduction_lines (payroll_id, deduction_type, amount, employer_amount, is_pre_tax)
+     SELECT $2, deduction_type, -amount, -employer_amount, is_pre_tax FROM payroll_deduction_lines
+     WHERE payroll_id = $1 ORDER BY line_id
+     RETURNING line_id, payroll_id, deduction_type, amount, employer_amount, is_pre_tax`,
+    [original.payroll_id, reversal.payroll_id]
+  );
+  reversal.earning_lines = earningLines.rows;
+  reversal.deduction_lines = deductionLines.rows;
+
+  await reverseLedgerEntry(client, original, reversal);
+  return reversal;
+};
+
+// Draft entry paying a reversed regular entry's period again, paid on paymentDate. Hours, daily hours and
+// voluntary deductions not given in changes are taken from the original. Must run inside a transaction.
+const correctPayrollEntry = async (client, employee, original, changes, paymentDate, reason) => {
+  let dailyHours = changes.daily_hours;
+  if (dailyHours === undefined && changes.hours_worked === undefined) {
+    const timeEntries = await client.query(
+      'SELECT work_date, hours FROM payroll_time_entries WHERE payroll_id = $1 ORDER BY work_date',
+      [original.payroll_id]
+    );
+    dailyHours = timeEntries.rows;
+  }
+
+  let deductionLines = changes.deduction_lines;
+  if (deductionLines === undefined) {
+    const originalLines = (await fetchDeductionLines(client, [original.payroll_id]))[original.payroll_id];
+    deductionLines = originalLines
+      .filter(line => !STATUTORY_DEDUCTION_TYPES.includes(line.deduction_type))
+      .map(({ deduction_type, amount, employer_amount, is_pre_tax }) => ({ deduction_type, amount, employer_amount, is_pre_tax }));
+  }
+
+  return createPayrollEntry(client, employee, {
+    entry_type: original.entry_type,
+    pay_period_start: original.pay_period_start,
+    pay_period_end: original.pay_period_end,
+    payment_date: paymentDate,
+    hours_worked: changes.hours_worked !== undefined ? changes.hours_worked : original.hours_worked,
+    daily_hours: dailyHours && dailyHours.length > 0 ? dailyHours : undefined,
+    deduction_lines: deductionLines,
+    corrects_payroll_id: original.payroll_id,
+    correction_reason: reason
+  });
+};
+
+module.exports = {
+  salaryProrationFactor,
+  createPayrollEntry,
+  payOutVacationBalance,
+  recalculatePayrollEntry,
+  reversePayrollEntry,
+  correctPayrollEntry,
+  finalizePayrollEntries
+};
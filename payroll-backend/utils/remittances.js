@@ -0,0 +1,226 @@
+// PD7A source deduction remittances: remitting periods, due dates and amounts owed to CRA
+const { roundCurrency } = require('./payrollCalculator');
+const { toISODate, addDays, isBusinessDay, shiftToBusinessDay } = require('./payCalendar');
+const { operationalError } = require('./operationalError');
+
+// REGULAR remitters pay monthly, QUARTERLY remitters once a quarter. Accelerated threshold 1
+// remitters pay twice a month and threshold 2 remitters up to four times a month.
+const REMITTER_TYPES = ['REGULAR', 'QUARTERLY', 'ACCELERATED_THRESHOLD_1', 'ACCELERATED_THRESHOLD_2'];
+
+// Day n of a month; day 0 is the last day of the previous month
+const dateOf = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+const addBusinessDays = (isoDate, days) => {
+  let date = isoDate;
+  for (let count = 0; count < days;) {
+    date = addDays(date, 1);
+    if (isBusinessDay(date)) count++;
+  }
+  return date;
+};
+
+// The remitting period containing a payment date, with its due date.
+// Due dates falling on a weekend or holiday move to the next business day.
+const remittancePeriodFor = (remitterType, isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const monthEnd = dateOf(year, month + 1, 0);
+
+  switch (remitterType) {
+    case 'QUARTERLY': {
+      const quarterStartMonth = Math.floor((month - 1) / 3) * 3 + 1;
+      return {
+        period_start: dateOf(year, quarterStartMonth, 1),
+        period_end: dateOf(year, quarterStartMonth + 3, 0),
+        due_date: shiftToBusinessDay(dateOf(year, quarterStartMonth + 3, 15), 'NEXT')
+      };
+    }
+    case 'ACCELERATED_THRESHOLD_1':
+      if (day <= 15) {
+        return {
+          period_start: dateOf(year, month, 1),
+          period_end: dateOf(year, month, 15),
+          due_date: shiftToBusinessDay(dateOf(year, month, 25), 'NEXT')
+        };
+      }
+      return {
+        period_start: dateOf(year, month, 16),
+        period_end: monthEnd,
+        due_date: shiftToBusinessDay(dateOf(year, month + 1, 10), 'NEXT')
+      };
+    case 'ACCELERATED_THRESHOLD_2': {
+      // Periods end on the 7th, 14th, 21st and last day of the month; remittances are due 3 working days later
+      const startDay = Math.min(Math.floor((day - 1) / 7), 3) * 7 + 1;
+      const periodEnd = startDay === 22 ? monthEnd : dateOf(year, month, startDay + 6);
+      return {
+        period_start: dateOf(year, month, startDay),
+        period_end: periodEnd,
+        due_date: addBusinessDays(periodEnd, 3)
+      };
+    }
+    default:
+      return {
+        period_start: dateOf(year, month, 1),
+        period_end: monthEnd,
+        due_date: shiftToBusinessDay(dateOf(year, month + 1, 15), 'NEXT')
+      };
+  }
+};
+
+// Remitting periods overlapping a date range
+const remittancePeriodsBetween = (remitterType, from, to) => {
+  const periods = [];
+  for (let period = remittancePeriodFor(remitterType, from);
+    period.period_start <= to;
+    period = remittancePeriodFor(remitterType, addDays(period.period_end, 1))) {
+    periods.push(period);
+  }
+  return periods;
+};
+
+const fetchCompany = async (db, companyId) => {
+  const result = await db.query('SELECT company_id, company_name, remitter_type FROM companies WHERE company_id = $1', [companyId]);
+  if (result.rows.length === 0) {
+    throw operationalError('Company not found', 404);
+  }
+  return result.rows[0];
+};
+
+// Finalized payroll entries paid in a date range with their statutory deductions
+const fetchPaidEntries = async (db, companyId, from, to) => {
+  const result = await db.query(
+    `SELECT pe.payroll_id, pe.employee_id, pe.payment_date, pe.gross_pay,
+       COALESCE(SUM(dl.amount) FILTER (WHERE dl.deduction_type IN ('CPP', 'CPP2')), 0) AS cpp_employee,
+       COALESCE(SUM(dl.employer_amount) FILTER (WHERE dl.deduction_type IN ('CPP', 'CPP2')), 0) AS cpp_employer,
+       COALESCE(SUM(dl.amount) FILTER (WHERE dl.deduction_type = 'EI'), 0) AS ei_employee,
+       COALESCE(SUM(dl.employer_amount) FILTER (WHERE dl.deduction_type = 'EI'), 0) AS ei_employer,
+       COALESCE(SUM(dl.amount) FILTER (WHERE dl.deduction_type IN ('FEDERAL_TAX', 'PROVINCIAL_TAX')), 0) AS income_tax
+     FROM payroll_entries pe
+     JOIN employees e ON pe.employee_id = e.employee_id
+     LEFT JOIN payroll_deduction_lines dl ON dl.payroll_id = pe.payroll_id
+     WHERE e.company_id = $1 AND pe.status = 'FINALIZED' AND pe.payment_date BETWEEN $2 AND $3
+     GROUP BY pe.payroll_id`,
+    [companyId, from, to]
+  );
+  return result.rows.map(row => ({ ...row, payment_date: toISODate(row.payment_date) }));
+};
+
+const formatPayment = (row) => ({
+  ...row,
+  period_start: toISODate(row.period_start),
+  period_end: toISODate(row.period_end),
+  paid_date: toISODate(row.paid_date)
+});
+
+const fetchPayments = async (db, companyId, from, to) => {
+  const result = await db.query(
+    `SELECT * FROM remittance_payments
+     WHERE company_id = $1 AND period_start BETWEEN $2 AND $3
+     ORDER BY paid_date, payment_id`,
+    [companyId, from, to]
+  );
+  return result.rows.map(formatPayment);
+};
+
+// PD7A amounts for a set of payroll entries and the payments made against them
+const summarize = (entries, payments) => {
+  const total = (field) => roundCurrency(entries.reduce((sum, entry) => sum + parseFloat(entry[field]), 0));
+  const summary = {
+    gross_payroll: total('gross_pay'),
+    employee_count: new Set(entries.map(entry => entry.employee_id)).size,
+    cpp_employee: total('cpp_employee'),
+    cpp_employer: total('cpp_employer'),
+    ei_employee: total('ei_employee'),
+    ei_employer: total('ei_employer'),
+    income_tax: total('income_tax')
+  };
+  summary.total_due = roundCurrency(
+    summary.cpp_employee + summary.cpp_employer + summary.ei_employee + summary.ei_employer + summary.income_tax
+  );
+  summary.amount_paid = roundCurrency(payments.reduce((sum, payment) => sum + parseFloat(payment.amount_paid), 0));
+  summary.balance = roundCurrency(summary.total_due - summary.amount_paid);
+  return summary;
+};
+
+const periodStatus = (period, asOfDate) => {
+  if (period.balance <= 0) return period.total_due > 0 ? 'PAID' : 'NIL';
+  return period.due_date < asOfDate ? 'OVERDUE' : 'DUE';
+};
+
+// Remittance report for an arbitrary date range, by payment date
+const buildRemittanceReport = async (db, companyId, from, to) => {
+  const company = await fetchCompany(db, companyId);
+  const entries = await fetchPaidEntries(db, companyId, from, to);
+  const payments = await fetchPayments(db, companyId, from, to);
+  return {
+    company_id: company.company_id,
+    remitter_type: company.remitter_type,
+    period_start: from,
+    period_end: to,
+    ...summarize(entries, payments),
+    payments
+  };
+};
+
+// Each remitting period overlapping a date range, with its due date, balance and status
+const buildRemittancePeriods = async (db, companyId, from, to, asOfDate = toISODate(new Date())) => {
+  const company = await fetchCompany(db, companyId);
+  const periods = remittancePeriodsBetween(company.remitter_type, from, to);
+  if (periods.length === 0) return [];
+
+  const rangeStart = periods[0].period_start;
+  const rangeEnd = periods[periods.length - 1].period_end;
+  const entries = await fetchPaidEntries(db, companyId, rangeStart, rangeEnd);
+  const payments = await fetchPayments(db, companyId, rangeStart, rangeEnd);
+
+  const within = (period, date) => date >= period.period_start && date <= period.period_end;
+  return periods.map(period => {
+    const remittance = {
+      ...period,
+      ...summarize(
+        entries.filter(entry => within(period, entry.payment_date)),
+        payments.filter(payment => within(period, payment.period_start))
+      )
+    };
+    remittance.status = periodStatus(remittance, asOfDate);
+    return remittance;
+  });
+};
+
+// Remitting periods past their due date with an unpaid balance, from the first payroll payment onwards
+const findOverdueRemittances = async (db, companyId, asOfDate = toISODate(new Date())) => {
+  const first = await db.query(
+    `SELECT MIN(pe.payment_date) AS first_payment_date
+     FROM payroll_entries pe JOIN employees e ON pe.employee_id = e.employee_id
+     WHERE e.company_id = $1`,
+    [companyId]
+  );
+  if (!first.rows[0].first_payment_date) {
+    await fetchCompany(db, companyId);
+    return [];
+  }
+
+  const periods = await buildRemittancePeriods(db, companyId, toISODate(first.rows[0].first_payment_date), asOfDate, asOfDate);
+  return periods.filter(period => period.status === 'OVERDUE');
+};
+
+// Record a payment against the remitting period containing period_date
+const recordRemittancePayment = async (db, companyId, { period_date, amount_paid, paid_date, reference }) => {
+  const company = await fetchCompany(db, companyId);
+  const period = remittancePeriodFor(company.remitter_type, period_date);
+  const result = await db.query(
+    `INSERT INTO remittance_payments (company_id, period_start, period_end, amount_paid, paid_date, reference)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [companyId, period.period_start, period.period_end, amount_paid, paid_date, reference || null]
+  );
+  return { ...formatPayment(result.rows[0]), due_date: period.due_date };
+};
+
+module.exports = {
+  REMITTER_TYPES,
+  remittancePeriodFor,
+  remittancePeriodsBetween,
+  buildRemittanceReport,
+  buildRemittancePeriods,
+  findOverdueRemittances,
+  recordRemittancePayment
+};
@@ -0,0 +1,198 @@
+// Retroactive pay: the difference between what finalized periods paid and what they would have paid at a
+// backdated rate, paid as one RETRO_PAY adjustment entry in an open pay run. Original entries are never changed.
+const { fetchEarningLines } = require('./earningLines');
+const { operationalError } = require('./operationalError');
+const { toISODate } = require('./payCalendar');
+const { getPeriodsPerYear, roundCurrency } = require('./payrollCalculator');
+const {
+  salaryProrationFactor, createPayrollEntry, recalculatePayrollEntry
+} = require('./payrollEntries');
+const { withCompensationOn, recordCompensationChange } = require('./compensation');
+
+const HOURLY_EARNING_TYPES = ['REGULAR', 'OVERTIME', 'DOUBLE_TIME'];
+
+const fetchRetroLines = async (db, payrollId) => {
+  const result = await db.query(
+    'SELECT * FROM payroll_retro_lines WHERE payroll_id = $1 ORDER BY pay_period_start, retro_line_id',
+    [payrollId]
+  );
+  return result.rows;
+};
+
+// Earning lines for an adjustment: one per kind of pay, e.g. RETRO_REGULAR for the regular hours of every period
+const retroEarningLines = (retroLines) => retroLines.reduce((lines, retroLine) => {
+  const earningType = `RETRO_${retroLine.earning_type}`;
+  let line = lines.find(existing => existing.earning_type === earningType);
+  if (!line) {
+    line = { earning_type: earningType, hours: null, rate: null, amount: 0 };
+    lines.push(line);
+  }
+  if (retroLine.hours != null) {
+    line.hours = roundCurrency((line.hours || 0) + parseFloat(retroLine.hours));
+  }
+  line.amount = roundCurrency(line.amount + parseFloat(retroLine.difference));
+  return lines;
+}, []);
+
+// What each earning line of a finalized entry would have paid at payRate. Hourly lines keep their hours and
+// overtime multiplier; a salary keeps its proration for a partial period.
+const recalculatedEarnings = async (client, employee, entry, lines, payType, payRate) => {
+  if (payType === 'HOURLY') {
+    const regular = lines.find(line => line.earning_type === 'REGULAR');
+    const regularRate = regular ? parseFloat(regular.rate) : 0;
+    if (regularRate <= 0) {
+      return [];
+    }
+    return lines
+      .filter(line => HOURLY_EARNING_TYPES.includes(line.earning_type) && parseFloat(line.hours) > 0)
+      .map(line => ({
+        line,
+        amount: roundCurrency(parseFloat(line.hours) * payRate * parseFloat(line.rate) / regularRate)
+      }));
+  }
+
+  const compensation = await withCompensationOn(client, employee, toISODate(entry.pay_period_end));
+  const factor = await salaryProrationFactor(client, { ...employee, pay_type: 'SALARY' }, entry);
+  return lines
+    .filter(line => line.earning_type === 'SALARY')
+    .map(line => ({
+      line,
+      amount: roundCurrency(payRate / getPeriodsPerYear(compensation.pay_schedule) * factor)
+    }));
+};
+
+// Differences owed for every finalized regular entry whose period ends on or after effectiveFrom and that hasn't
+// been reversed. payRate only applies until the employee's next compensation record, so periods ending on or after
+// a later change keep the pay they got at that rate. What was paid includes earlier retro adjustments for the same
+// period that still stand, so paying the same raise twice owes nothing.
+const calculateRetroLines = async (client, employee, effectiveFrom, payRate) => {
+  const { pay_type: payType } = await withCompensationOn(client, employee, effectiveFrom);
+  const entries = await client.query(
+    `SELECT pe.* FROM payroll_entries pe
+     WHERE pe.employee_id = $1 AND pe.entry_type = 'REGULAR' AND pe.status = 'FINALIZED' AND pe.pay_period_end >= $2
+       AND pe.pay_period_end < COALESCE(
+         (SELECT MIN(c.effective_from) FROM employee_compensation c WHERE c.employee_id = $1 AND c.effective_from > $2),
+         'infinity'::date
+       )
+       AND NOT EXISTS (SELECT 1 FROM payroll_entries r WHERE r.reverses_payroll_id = pe.payroll_id)
+     ORDER BY pe.pay_period_start, pe.payroll_id`,
+    [employee.employee_id, effectiveFrom]
+  );
+  const payrollIds = entries.rows.map(entry => entry.payroll_id);
+  const linesByPayroll = await fetchEarningLines(client, payrollIds);
+  const adjusted = await client.query(
+    `SELECT rl.original_payroll_id, rl.earning_type, SUM(rl.difference) AS difference FROM payroll_retro_lines rl
+     WHERE rl.original_payroll_id = ANY($1)
+       AND NOT EXISTS (SELECT 1 FROM payroll_entries r WHERE r.reverses_payroll_id = rl.payroll_id)
+     GROUP BY rl.original_payroll_id, rl.earning_type`,
+    [payrollIds]
+  );
+
+  const retroLines = [];
+  for (const entry of entries.rows) {
+    const recalculated = await recalculatedEarnings(
+      client, employee, entry, linesByPayroll[entry.payroll_id], payType, payRate
+    );
+    recalculated.forEach(({ line, amount }) => {
+      const earlier = adjusted.rows.find(row =>
+        row.original_payroll_id === entry.payroll_id && row.earning_type === line.earning_type);
+      const paid = roundCurrency(parseFloat(line.amount) + (earlier ? parseFloat(earlier.difference) : 0));
+      const difference = roundCurrency(amount - paid);
+      if (difference !== 0) {
+        retroLines.push({
+          original_payroll_id: entry.payroll_id,
+          pay_period_start: entry.pay_period_start,
+          pay_period_end: entry.pay_period_end,
+          earning_type: line.earning_type,
+          hours: line.hours,
+          pay_rate: payRate,
+          paid_amount: paid,
+          recalculated_amount: amount,
+          difference
+        });
+      }
+    });
+  }
+  return retroLines;
+};
+
+const insertRetroLines = async (client, payrollId, retroLines) => {
+  for (const line of retroLines) {
+    await client.query(
+      `INSERT INTO payroll_retro_lines (
+        payroll_id, original_payroll_id, pay_period_start, pay_period_end, earning_type, hours, pay_rate,
+        paid_amount, recalculated_amount, difference
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [payrollId, line.original_payroll_id, line.pay_period_start, line.pay_period_end, line.earning_type,
+       line.hours, line.pay_rate, line.paid_amount, line.recalculated_amount, line.difference]
+    );
+  }
+};
+
+// Pay an employee retroactively at payRate from effectiveFrom (until their next compensation change) in an open
+// pay run. The differences go on the employee's adjustment entry in the run (added to it if the run already has
+// one), payRate is recorded in the compensation history, and draft entries for periods ending on or after
+// effectiveFrom are recalculated at the pay in effect for them.
+// Returns the adjustment entry with its retro lines. Must run inside a transaction.
+const applyRetroPay = async (client, employee, run, { effectiveFrom, payRate, reason, userId }) => {
+  const retroLines = await calculateRetroLines(client, employee, effectiveFrom, payRate);
+  const total = roundCurrency(retroLines.reduce((sum, line) => sum + line.difference, 0));
+  if (total <= 0) {
+    throw operationalError(`No retroactive pay is owed for finalized periods ending on or after ${effectiveFrom}`);
+  }
+
+  const existing = await client.query(
+    `SELECT * FROM payroll_entries
+     WHERE run_id = $1 AND employee_id = $2 AND entry_type = 'RETRO_PAY'
+     FOR UPDATE`,
+    [run.run_id, employee.employee_id]
+  );
+  let entry;
+  if (existing.rows.length > 0) {
+    await insertRetroLines(client, existing.rows[0].payroll_id, retroLines);
+    const allLines = await fetchRetroLines(client, existing.rows[0].payroll_id);
+    entry = await recalculatePayrollEntry(client, employee, {
+      ...existing.rows[0],
+      earning_lines: retroEarningLines(allLines)
+    }, {});
+  } else {
+    entry = await createPayrollEntry(client, employee, {
+      run_id: run.run_id,
+      entry_type: 'RETRO_PAY',
+      earning_lines: retroEarningLines(retroLines),
+      pay_period_start: run.pay_period_start,
+      pay_period_end: run.pay_period_end,
+      payment_date: run.payment_date
+    });
+    await insertRetroLines(client, entry.payroll_id, retroLines);
+  }
+  entry.retro_lines = await fetchRetroLines(client, entry.payroll_id);
+
+  const change = await recordCompensationChange(
+    client, employee, { pay_rate: payRate }, effectiveFrom, reason || 'Retroactive pay', userId
+  );
+  const updated = await client.query(
+    `UPDATE employees
+     SET pay_type = $1, pay_rate = $2, pay_schedule = $3, position = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE employee_id = $5 RETURNING *`,
+    [change.current.pay_type, change.current.pay_rate, change.current.pay_schedule, change.current.position,
+     employee.employee_id]
+  );
+
+  const drafts = await client.query(
+    `SELECT * FROM payroll_entries
+     WHERE employee_id = $1 AND entry_type = 'REGULAR' AND status = 'DRAFT' AND pay_period_end >= $2
+     FOR UPDATE`,
+    [employee.employee_id, effectiveFrom]
+  );
+  for (const draft of drafts.rows) {
+    await recalculatePayrollEntry(client, updated.rows[0], draft, {});
+  }
+
+  return { entry, compensation: change.record };
+};
+
+module.exports = {
+  fetchRetroLines,
+  applyRetroPay
+};
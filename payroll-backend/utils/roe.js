@@ -0,0 +1,221 @@
+// Record of Employment data from offboarding records and payroll entries, and ROE Web XML export
+const { roundCurrency, getPeriodsPerYear } = require('./payrollCalculator');
+const { toISODate, addDays, countWorkingDays } = require('./payCalendar');
+const { STANDARD_ANNUAL_HOURS } = require('./vacationAccrual');
+const { element, xmlDocument } = require('./xmlBuilder');
+const { operationalError } = require('./operationalError');
+
+// Block 16 reason for issuing codes
+const ROE_REASON_CODES = {
+  LAID_OFF: 'A', // Shortage of work / end of contract or season
+  QUIT: 'E',
+  RETIRED: 'G',
+  OTHER: 'K',
+  FIRED: 'M' // Dismissal or suspension
+};
+
+// Block 6 pay period types
+const ROE_PAY_PERIOD_TYPES = {
+  WEEKLY: 'W',
+  BIWEEKLY: 'B',
+  SEMI_MONTHLY: 'S',
+  MONTHLY: 'M'
+};
+
+// Number of most recent pay periods reported in block 15C
+const ROE_MAX_PAY_PERIODS = {
+  WEEKLY: 53,
+  BIWEEKLY: 27,
+  SEMI_MONTHLY: 25,
+  MONTHLY: 13
+};
+
+// Insurable hours are reported for the 53 weeks ending with the final pay period
+const INSURABLE_HOURS_WINDOW_DAYS = 53 * 7;
+
+// Block 17A code for vacation pay paid because the employee is no longer working
+const VACATION_PAY_SEPARATION_CODE = '2';
+
+// Block 14 expected date of recall: Y (date known), N (not returning) or U (unknown)
+const expectedRecall = (offboarding) => {
+  if (offboarding.callback_date) {
+    return { code: 'Y', date: toISODate(offboarding.callback_date) };
+  }
+  if (['QUIT', 'FIRED', 'RETIRED'].includes(offboarding.reason_for_leaving)) {
+    return { code: 'N', date: null };
+  }
+  return { code: 'U', date: null };
+};
+
+const splitPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+  return digits.length === 10 ? { area_code: digits.slice(0, 3), number: digits.slice(3) } : null;
+};
+
+const splitName = (fullName) => {
+  const parts = String(fullName || '').trim().split(/\s+/);
+  return { first_name: parts[0] || '', last_name: parts.slice(1).join(' ') };
+};
+
+// Build ROE data for an employee's most recent offboarding
+const buildRoe = async (db, employeeId) => {
+  const employeeResult = await db.query(
+    `SELECT e.*, c.company_name, c.business_number, c.contact_person, c.phone AS company_phone
+     FROM employees e JOIN companies c ON e.company_id = c.company_id
+     WHERE e.employee_id = $1`,
+    [employeeId]
+  );
+  if (employeeResult.rows.length === 0) {
+    throw operationalError('Employee not found', 404);
+  }
+  const employee = employeeResult.rows[0];
+
+  const offboardingResult = await db.query(
+    'SELECT * FROM employee_offboarding WHERE employee_id = $1 ORDER BY offboarding_id DESC LIMIT 1',
+    [employeeId]
+  );
+  if (offboardingResult.rows.length === 0) {
+    throw operationalError('A Record of Employment requires the employee to be offboarded', 409);
+  }
+  const offboarding = offboardingResult.rows[0];
+
+  // A rehired employee's start_date is their current period's, so the ended period's start is kept on the offboarding
+  const firstDayWorked = toISODate(offboarding.employment_start_date || employee.start_date);
+  const lastDayPaid = toISODate(offboarding.last_day_worked);
+
+  const entriesResult = await db.query(
+    `SELECT pe.entry_type, pe.pay_period_start, pe.pay_period_end, pe.hours_worked, pe.gross_pay, pe.vacation_pay,
+       (SELECT SUM(el.amount) FROM payroll_earning_lines el
+        WHERE el.payroll_id = pe.payroll_id AND el.earning_type = 'SALARY') AS salary
+     FROM payroll_entries pe
+     WHERE pe.employee_id = $1 AND pe.status = 'FINALIZED' AND pe.pay_period_start >= $2 AND pe.pay_period_start <= $3
+     ORDER BY pe.pay_period_end DESC`,
+    [employeeId, firstDayWorked, lastDayPaid]
+  );
+
+  // Salaried entries record no hours, so they count the normal hours of the working days employed in the
+  // period (reversals take them back off)
+  const normalPeriodHours = STANDARD_ANNUAL_HOURS / getPeriodsPerYear(employee.pay_schedule);
+  const insurableHours = (entry) => {
+    const hours = parseFloat(entry.hours_worked || 0);
+    const salary = parseFloat(entry.salary || 0);
+    if (hours !== 0 || salary === 0) {
+      return hours;
+    }
+    const periodStart = toISODate(entry.pay_period_start);
+    const periodEnd = toISODate(entry.pay_period_end);
+    const workedFrom = firstDayWorked > periodStart ? firstDayWorked : periodStart;
+    const workedTo = lastDayPaid < periodEnd ? lastDayPaid : periodEnd;
+    const periodDays = countWorkingDays(periodStart, periodEnd);
+    const share = periodDays === 0 ? 0 : countWorkingDays(workedFrom, workedTo) / periodDays;
+    return Math.sign(salary) * normalPeriodHours * share;
+  };
+
+  // Regular pay grouped by pay period, most recent first
+  const periods = [];
+  let vacationPay = 0;
+  entriesResult.rows.forEach(entry => {
+    if (entry.entry_type === 'VACATION_PAYOUT') {
+      vacationPay += parseFloat(entry.vacation_pay);
+      return;
+    }
+    const periodEnd = toISODate(entry.pay_period_end);
+    let period = periods.find(p => p.pay_period_end === periodEnd);
+    if (!period) {
+      period = { pay_period_end: periodEnd, hours: 0, earnings: 0 };
+      periods.push(period);
+    }
+    period.hours += insurableHours(entry);
+    period.earnings += parseFloat(entry.gross_pay);
+  });
+
+  const finalPayPeriodEnd = periods.length > 0 ? periods[0].pay_period_end : lastDayPaid;
+  const hoursWindowStart = addDays(finalPayPeriodEnd, -INSURABLE_HOURS_WINDOW_DAYS);
+  const totalInsurableHours = periods
+    .filter(period => period.pay_period_end > hoursWindowStart)
+    .reduce((sum, period) => sum + period.hours, 0);
+
+  return {
+    employee_id: employee.employee_id,
+    offboarding_id: offboarding.offboarding_id,
+    employer: {
+      name: employee.company_name,
+      business_number: employee.business_number,
+      contact: { ...splitName(employee.contact_person), phone: splitPhone(employee.company_phone) }
+    },
+    pay_period_type: ROE_PAY_PERIOD_TYPES[employee.pay_schedule],
+    sin: employee.sin,
+    first_name: employee.first_name,
+    last_name: employee.last_name,
+    address: employee.full_address,
+    occupation: employee.position,
+    first_day_worked: firstDayWorked,
+    last_day_for_which_paid: lastDayPaid,
+    final_pay_period_ending_date: finalPayPeriodEnd,
+    expected_recall: expectedRecall(offboarding),
+    reason_for_leaving: offboarding.reason_for_leaving,
+    reason_code: ROE_REASON_CODES[offboarding.reason_for_leaving],
+    total_insurable_hours: roundCurrency(totalInsurableHours),
+    insurable_earnings: periods.slice(0, ROE_MAX_PAY_PERIODS[employee.pay_schedule]).map((period, index) => ({
+      pay_period_number: index + 1,
+      pay_period_end: period.pay_period_end,
+      amount: roundCurrency(period.earnings)
+    })),
+    vacation_pay: roundCurrency(vacationPay)
+  };
+};
+
+const formatAmount = (amount) => amount.toFixed(2);
+
+// Address lines are limited to 35 characters
+const addressLines = (address) => {
+  const lines = String(address || '').split(/\n|,\s*/).map(line => line.trim().slice(0, 35)).filter(Boolean);
+  return lines.slice(0, 3).map((line, index) => element(`A${index + 1}`, line));
+};
+
+const roeElement = (roe) => element('ROE', [
+  element('B5', roe.employer.business_number),
+  element('B6', roe.pay_period_type),
+  element('B8', roe.sin),
+  element('B9', [
+    element('FN', roe.first_name),
+    element('LN', roe.last_name),
+    ...addressLines(roe.address)
+  ]),
+  element('B10', roe.first_day_worked),
+  element('B11', roe.last_day_for_which_paid),
+  element('B12', roe.final_pay_period_ending_date),
+  element('B13', roe.occupation),
+  element('B14', [
+    element('CD', roe.expected_recall.code),
+    element('DT', roe.expected_recall.date)
+  ]),
+  element('B15A', formatAmount(roe.total_insurable_hours)),
+  element('B15C', roe.insurable_earnings.map(period => element('PP', [
+    element('AMT', formatAmount(period.amount))
+  ], { nbr: period.pay_period_number }))),
+  element('B16', [
+    element('CD', roe.reason_code),
+    element('FN', roe.employer.contact.first_name || null),
+    element('LN', roe.employer.contact.last_name || null),
+    roe.employer.contact.phone ? element('AC', roe.employer.contact.phone.area_code) : '',
+    roe.employer.contact.phone ? element('TEL', roe.employer.contact.phone.number) : ''
+  ]),
+  roe.vacation_pay > 0
+    ? element('B17A', [element('VP', [
+      element('CD', VACATION_PAY_SEPARATION_CODE),
+      element('AMT', formatAmount(roe.vacation_pay))
+    ], { nbr: 1 })])
+    : ''
+], { Issue: 'S', PrintingLanguage: 'E' });
+
+// ROE Web bulk upload file for one or more ROEs
+const roesToXml = (roes) => xmlDocument(
+  element('ROEHEADER', roes.map(roeElement), { FileVersion: 'W-2.0', ProductName: 'Payroll by Vanguard Financial' })
+);
+
+module.exports = {
+  ROE_REASON_CODES,
+  buildRoe,
+  roesToXml
+};
@@ -0,0 +1,142 @@
+// Yearly CPP, CPP2 and EI limits from the versioned tax tables, and employees' contributions against them
+const { roundCurrency } = require('./payrollCalculator');
+const { getTaxTable, listTaxTableVersions } = require('./taxTables');
+const { toISODate } = require('./payCalendar');
+
+const CONTRIBUTION_TYPES = ['CPP', 'CPP2', 'EI'];
+
+// CPP, CPP2 and EI limits in effect on a date, taken from the versioned cpp and ei tax tables
+const statutoryLimitsOn = (date) => {
+  const { year, versions, cpp, ei } = getTaxTable(date);
+  return { year, effective_date: versions.cpp > versions.ei ? versions.cpp : versions.ei, cpp, ei };
+};
+
+// Limits for a whole year: the versions in effect at year end, which hold that year's annual maximums.
+// A year without tables is rejected rather than reported against another year's limits.
+const statutoryLimitsFor = (year) => statutoryLimitsOn(`${year}-12-31`);
+
+// Every version of the limits, newest first, in the flat shape the statutory parameters listing returns
+const listStatutoryLimits = () => {
+  const dates = listTaxTableVersions()
+    .filter(({ jurisdiction }) => jurisdiction === 'cpp' || jurisdiction === 'ei')
+    .reduce((all, { versions }) => [...all, ...versions.map(version => version.effective_date)], []);
+
+  return [...new Set(dates)].sort().reverse().map(date => {
+    const { year, effective_date, cpp, ei } = statutoryLimitsOn(date);
+    return {
+      year,
+      effective_date,
+      ympe: cpp.ympe,
+      yampe: cpp.yampe != null ? cpp.yampe : null,
+      cpp_basic_exemption: cpp.basicExemption,
+      cpp_rate: cpp.rate,
+      cpp_base_rate: cpp.baseRate,
+      cpp_max_contribution: cpp.maxContribution,
+      cpp2_rate: cpp.cpp2Rate || 0,
+      cpp2_max_contribution: cpp.cpp2MaxContribution || 0,
+      ei_rate: ei.rate,
+      ei_employer_multiplier: ei.employerMultiplier,
+      ei_max_insurable_earnings: ei.maxInsurableEarnings,
+      ei_max_premium: ei.maxPremium
+    };
+  });
+};
+
+// Gross pay and CPP, CPP2 and EI already deducted from an employee this calendar year, up to a payment date.
+// Only finalized entries count: drafts, including others in the same pay run, can still change or be dropped.
+// Any excess from drafts finalized together shows up in findOverContributions. excludePayrollId leaves out
+// the entry being (re)calculated.
+const fetchContributionsToDate = async (db, employeeId, paymentDate, excludePayrollId = null) => {
+  const date = toISODate(paymentDate);
+  const result = await db.query(
+    `SELECT COALESCE(SUM(pe.gross_pay), 0) AS gross_pay,
+       COALESCE(SUM(lines.cpp), 0) AS cpp,
+       COALESCE(SUM(lines.cpp2), 0) AS cpp2,
+       COALESCE(SUM(lines.ei), 0) AS ei
+     FROM payroll_entries pe
+     LEFT JOIN (
+       SELECT payroll_id,
+         SUM(amount) FILTER (WHERE deduction_type = 'CPP') AS cpp,
+         SUM(amount) FILTER (WHERE deduction_type = 'CPP2') AS cpp2,
+         SUM(amount) FILTER (WHERE deduction_type = 'EI') AS ei
+       FROM payroll_deduction_lines GROUP BY payroll_id
+     ) lines ON lines.payroll_id = pe.payroll_id
+     WHERE pe.employee_id = $1 AND pe.status = 'FINALIZED' AND pe.payment_date BETWEEN $2 AND $3
+       AND ($4::int IS NULL OR pe.payroll_id <> $4)`,
+    [employeeId, `${date.slice(0, 4)}-01-01`, date, excludePayrollId]
+  );
+  const row = result.rows[0];
+  return {
+    gross_pay: parseFloat(row.gross_pay),
+    cpp: parseFloat(row.cpp),
+    cpp2: parseFloat(row.cpp2),
+    ei: parseFloat(row.ei)
+  };
+};
+
+// Finalized payroll entries whose CPP, CPP2 or EI took an employee's year-to-date contributions past the annual maximum
+const findOverContributions = async (db, companyId, year) => {
+  const limits = statutoryLimitsFor(year);
+  const maximums = {
+    CPP: limits.cpp.maxContribution,
+    CPP2: limits.cpp.cpp2MaxContribution || 0,
+    EI: limits.ei.maxPremium
+  };
+
+  const result = await db.query(
+    `SELECT pe.payroll_id, pe.employee_id, pe.payment_date, pe.status, e.first_name, e.last_name,
+       dl.deduction_type, dl.amount
+     FROM payroll_entries pe
+     JOIN employees e ON pe.employee_id = e.employee_id
+     JOIN payroll_deduction_lines dl ON dl.payroll_id = pe.payroll_id
+     WHERE e.company_id = $1 AND pe.status = 'FINALIZED' AND pe.payment_date >= $2 AND pe.payment_date < $3
+       AND dl.deduction_type = ANY($4)
+     ORDER BY pe.employee_id, pe.payment_date, pe.payroll_id`,
+    [companyId, `${year}-01-01`, `${year + 1}-01-01`, CONTRIBUTION_TYPES]
+  );
+
+  const toDate = {};
+  const flagged = {};
+  result.rows.forEach(line => {
+    const key = `${line.employee_id}:${line.deduction_type}`;
+    const before = toDate[key] || 0;
+    const amount = parseFloat(line.amount);
+    toDate[key] = roundCurrency(before + amount);
+
+    const excess = roundCurrency(Math.min(amount, toDate[key] - maximums[line.deduction_type]));
+    if (excess <= 0) return;
+
+    if (!flagged[line.payroll_id]) {
+      flagged[line.payroll_id] = {
+        payroll_id: line.payroll_id,
+        employee_id: line.employee_id,
+        first_name: line.first_name,
+        last_name: line.last_name,
+        payment_date: toISODate(line.payment_date),
+        status: line.status,
+        over_contributions: {}
+      };
+    }
+    flagged[line.payroll_id].over_contributions[line.deduction_type] = excess;
+  });
+
+  const entries = Object.values(flagged).map(entry => ({
+    ...entry,
+    total: roundCurrency(Object.values(entry.over_contributions).reduce((sum, amount) => sum + amount, 0))
+  }));
+
+  return {
+    year,
+    maximums,
+    total_over_contribution: roundCurrency(entries.reduce((sum, entry) => sum + entry.total, 0)),
+    entries
+  };
+};
+
+module.exports = {
+  statutoryLimitsOn,
+  statutoryLimitsFor,
+  listStatutoryLimits,
+  fetchContributionsToDate,
+  findOverContributions
+};
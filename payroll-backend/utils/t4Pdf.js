@@ -0,0 +1,52 @@
+// Printable T4 slip for an employee
+const PDFDocument = require('pdfkit');
+
+const formatAmount = (amount) => (amount ? amount.toFixed(2) : '');
+
+const maskSin = (sin) => `***-***-${String(sin).slice(-3)}`;
+
+const SLIP_BOXES = [
+  ['14', 'Employment income', 'box_14_employment_income'],
+  ['16', "Employee's CPP contributions", 'box_16_cpp_contributions'],
+  ['16A', "Employee's second CPP contributions", 'box_16a_cpp2_contributions'],
+  ['18', "Employee's EI premiums", 'box_18_ei_premiums'],
+  ['22', 'Income tax deducted', 'box_22_income_tax_deducted'],
+  ['24', 'EI insurable earnings', 'box_24_ei_insurable_earnings'],
+  ['26', 'CPP pensionable earnings', 'box_26_cpp_pensionable_earnings'],
+  ['44', 'Union dues', 'box_44_union_dues']
+];
+
+// Render the slip to a PDF buffer
+const renderT4SlipPdf = (slip, employer, year) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(18).text(`T4 Statement of Remuneration Paid - ${year}`);
+  doc.moveDown();
+
+  doc.fontSize(11).text(`Employer: ${employer.name}`);
+  if (employer.address) doc.text(employer.address);
+  doc.text(`Employer's account number (54): ${employer.business_number || ''}`);
+  doc.moveDown();
+
+  doc.text(`Employee: ${slip.first_name} ${slip.last_name}`);
+  if (slip.address) doc.text(slip.address);
+  doc.text(`Social insurance number (12): ${maskSin(slip.sin)}`);
+  doc.text(`Province of employment (10): ${slip.province_of_employment}`);
+  doc.moveDown();
+
+  SLIP_BOXES.forEach(([box, label, field]) => {
+    const y = doc.y;
+    doc.text(`${box}  ${label}`, 50, y);
+    doc.text(formatAmount(slip[field]), 400, y, { width: 150, align: 'right' });
+  });
+
+  doc.end();
+});
+
+module.exports = {
+  renderT4SlipPdf
+};
@@ -0,0 +1,149 @@
+// Statutory rates used by the payroll calculator (CRA T4127 payroll deductions formulas), loaded from
+// data/tax-tables/<effective date>/<jurisdiction>.json|.csv. Every version is kept so past entries recalculate the same.
+const fs = require('fs');
+const path = require('path');
+const { toISODate } = require('./payCalendar');
+const { operationalError } = require('./operationalError');
+
+const TAX_TABLES_DIR = path.join(__dirname, '..', 'data', 'tax-tables');
+
+const PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'SK', 'YT'];
+const JURISDICTIONS = ['federal', 'cpp', 'ei', ...PROVINCES];
+
+// Fields each jurisdiction's parameters must carry
+const REQUIRED_FIELDS = {
+  federal: ['brackets', 'basicPersonalAmount', 'basicPersonalAmountMin', 'canadaEmploymentAmount'],
+  cpp: ['rate', 'baseRate', 'basicExemption', 'ympe', 'maxContribution'],
+  ei: ['rate', 'employerMultiplier', 'maxInsurableEarnings', 'maxPremium'],
+  province: ['brackets', 'basicPersonalAmount']
+};
+
+const parseCsvValue = (value) => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+};
+
+// CSV files hold one "key,value" row per parameter; keys are dotted paths (brackets.0.threshold)
+const parseCsv = (content) => {
+  const [header, ...rows] = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (header.trim() !== 'key,value') {
+    throw new Error('Tax table CSV files must start with a "key,value" header');
+  }
+
+  const parameters = {};
+  rows.forEach(row => {
+    const [key, value] = row.split(',').map(cell => cell.trim());
+    const parts = key.split('.');
+    let target = parameters;
+    parts.slice(0, -1).forEach((part, i) => {
+      if (target[part] === undefined) {
+        target[part] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+      }
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = parseCsvValue(value);
+  });
+  return parameters;
+};
+
+const validateParameters = (jurisdiction, parameters, file) => {
+  const kind = PROVINCES.includes(jurisdiction) ? 'province' : jurisdiction;
+  const missing = REQUIRED_FIELDS[kind].filter(field => parameters[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Tax table ${file} is missing: ${missing.join(', ')}`);
+  }
+  if (parameters.brackets) {
+    const ascending = parameters.brackets.every((bracket, i) =>
+      typeof bracket.threshold === 'number' && typeof bracket.rate === 'number' &&
+      (i === 0 ? bracket.threshold === 0 : bracket.threshold > parameters.brackets[i - 1].threshold));
+    if (!ascending) {
+      throw new Error(`Tax table ${file} brackets must start at 0 and increase`);
+    }
+  }
+};
+
+// Read every version under a directory: { jurisdiction: [{ effective_date, source, parameters }, ...] } oldest first
+const loadTaxTableVersions = (dir = TAX_TABLES_DIR) => {
+  const versions = {};
+  fs.readdirSync(dir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name))
+    .sort()
+    .forEach(effectiveDate => {
+      fs.readdirSync(path.join(dir, effectiveDate)).sort().forEach(fileName => {
+        const { name: jurisdiction, ext } = path.parse(fileName);
+        const file = `${effectiveDate}/${fileName}`;
+        if (!['.json', '.csv'].includes(ext)) return;
+        if (!JURISDICTIONS.includes(jurisdiction)) {
+          throw new Error(`Tax table ${file} is not for a known jurisdiction`);
+        }
+        if ((versions[jurisdiction] || []).some(version => version.effective_date === effectiveDate)) {
+          throw new Error(`Tax table ${file} duplicates another file for the same jurisdiction and date`);
+        }
+
+        const content = fs.readFileSync(path.join(dir, file), 'utf8');
+        const parameters = ext === '.json' ? JSON.parse(content) : parseCsv(content);
+        validateParameters(jurisdiction, parameters, file);
+
+        versions[jurisdiction] = [...(versions[jurisdiction] || []), { effective_date: effectiveDate, source: file, parameters }];
+      });
+    });
+
+  ['federal', 'cpp', 'ei'].forEach(jurisdiction => {
+    if (!versions[jurisdiction]) {
+      throw new Error(`No ${jurisdiction} tax tables found in ${dir}`);
+    }
+  });
+  return versions;
+};
+
+const VERSIONS = loadTaxTableVersions();
+
+// The version in effect on a date. Rates are published for each calendar year, so a version only covers
+// the rest of the year it takes effect in.
+const versionOn = (versions, date) => {
+  const effective = versions.filter(version =>
+    version.effective_date <= date && version.effective_date.slice(0, 4) === date.slice(0, 4));
+  return effective.length > 0 ? effective[effective.length - 1] : null;
+};
+
+// Rates in effect on a payment date, with the effective date of each jurisdiction's version. Dates that a
+// jurisdiction has no tables for are rejected rather than calculated with another year's rates.
+const getTaxTable = (paymentDate, versions = VERSIONS) => {
+  const date = toISODate(paymentDate);
+  const inEffect = JURISDICTIONS.filter(jurisdiction => versions[jurisdiction]).reduce((selected, jurisdiction) => {
+    const version = versionOn(versions[jurisdiction], date);
+    if (!version) {
+      throw operationalError(`No ${jurisdiction} tax table covers ${date}`);
+    }
+    return { ...selected, [jurisdiction]: version };
+  }, {});
+
+  return {
+    year: parseInt(date.slice(0, 4)),
+    versions: Object.keys(inEffect).reduce((dates, jurisdiction) => ({
+      ...dates,
+      [jurisdiction]: inEffect[jurisdiction].effective_date
+    }), {}),
+    cpp: inEffect.cpp.parameters,
+    ei: inEffect.ei.parameters,
+    federal: inEffect.federal.parameters,
+    provinces: PROVINCES.filter(province => inEffect[province]).reduce((provinces, province) => ({
+      ...provinces,
+      [province]: inEffect[province].parameters
+    }), {})
+  };
+};
+
+// Every loaded version, for listing what each jurisdiction's rates were and when they changed
+const listTaxTableVersions = () => JURISDICTIONS.filter(jurisdiction => VERSIONS[jurisdiction]).map(jurisdiction => ({
+  jurisdiction,
+  versions: VERSIONS[jurisdiction].map(({ effective_date, source }) => ({ effective_date, source }))
+}));
+
+module.exports = {
+  getTaxTable,
+  listTaxTableVersions,
+  loadTaxTableVersions,
+  JURISDICTIONS,
+  PROVINCES
+};
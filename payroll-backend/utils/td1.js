@@ -0,0 +1,111 @@
+// Structured TD1 declarations (claim amounts, additional tax, prescribed zone deduction) per employee, year and jurisdiction
+const { body } = require('express-validator');
+const { getTaxTable, PROVINCES } = require('./taxTables');
+const { operationalError } = require('./operationalError');
+
+const FEDERAL = 'FEDERAL';
+
+// Request body validation for PUT /employees/:id/td1/:year. Additional tax and the prescribed zone
+// deduction are only on the federal TD1.
+const td1Validators = [
+  body('federal').optional().isObject(),
+  body('federal.total_claim_amount').if(body('federal').exists()).isFloat({ min: 0 }),
+  body('federal.income_below_claim').optional().isBoolean().toBoolean(),
+  body('federal.additional_tax').optional().isFloat({ min: 0 }),
+  body('federal.prescribed_zone_deduction').optional().isFloat({ min: 0 }),
+  body('federal.document_id').optional().isInt(),
+  body('provincial').optional().isObject(),
+  body('provincial.province').if(body('provincial').exists()).isIn(PROVINCES),
+  body('provincial.total_claim_amount').if(body('provincial').exists()).isFloat({ min: 0 }),
+  body('provincial.income_below_claim').optional().isBoolean().toBoolean(),
+  body('provincial.document_id').optional().isInt()
+];
+
+// Basic personal amount a jurisdiction allowed in a year, to recognize TD1s that only claimed the basic amount.
+// null for a year without tax tables.
+const basicPersonalAmount = (jurisdiction, year) => {
+  let table;
+  try {
+    table = getTaxTable(`${year}-01-01`);
+  } catch (err) {
+    if (err.isOperational) return null;
+    throw err;
+  }
+  const rates = jurisdiction === FEDERAL ? table.federal : table.provinces[jurisdiction];
+  return rates ? rates.basicPersonalAmount : null;
+};
+
+// A TD1 row as calculator input. A TD1 carried forward from an earlier year that only claimed that year's
+// basic amount leaves the claim to the calculator, so the indexed basic amount applies.
+const toTd1Claim = (row, year) => {
+  const claimAmount = parseFloat(row.total_claim_amount);
+  const basicOnly = row.tax_year < year && claimAmount === basicPersonalAmount(row.jurisdiction, row.tax_year);
+  return {
+    tax_year: row.tax_year,
+    claimAmount: basicOnly ? null : claimAmount,
+    incomeBelowClaim: row.income_below_claim,
+    additionalTax: parseFloat(row.additional_tax),
+    prescribedZoneDeduction: parseFloat(row.prescribed_zone_deduction)
+  };
+};
+
+// Federal and provincial claims in effect for a year: the latest TD1 on or before it for each jurisdiction
+const fetchTd1Claims = async (db, employeeId, year, province) => {
+  const result = await db.query(
+    `SELECT DISTINCT ON (jurisdiction) *
+     FROM employee_td1
+     WHERE employee_id = $1 AND tax_year <= $2 AND jurisdiction IN ($3, $4)
+     ORDER BY jurisdiction, tax_year DESC`,
+    [employeeId, year, FEDERAL, province]
+  );
+  const federal = result.rows.find(row => row.jurisdiction === FEDERAL);
+  const provincial = result.rows.find(row => row.jurisdiction === province);
+  return {
+    federal: federal ? toTd1Claim(federal, year) : null,
+    provincial: provincial ? toTd1Claim(provincial, year) : null
+  };
+};
+
+// The supporting PDF must be one of the employee's TD1 uploads
+const assertTd1Document = async (client, employeeId, documentId) => {
+  if (documentId == null) return;
+  const result = await client.query(
+    `SELECT document_id FROM employee_documents
+     WHERE document_id = $1 AND employee_id = $2 AND document_type IN ('TD1_FEDERAL', 'TD1_PROVINCIAL')`,
+    [documentId, employeeId]
+  );
+  if (result.rows.length === 0) {
+    throw operationalError('document_id must be one of this employee\'s TD1 documents');
+  }
+};
+
+// Add or replace the TD1 for a year and jurisdiction
+const saveTd1 = async (client, employeeId, year, jurisdiction, declaration) => {
+  await assertTd1Document(client, employeeId, declaration.document_id);
+  const result = await client.query(
+    `INSERT INTO employee_td1 (
+      employee_id, tax_year, jurisdiction, total_claim_amount, income_below_claim,
+      additional_tax, prescribed_zone_deduction, document_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (employee_id, tax_year, jurisdiction) DO UPDATE SET
+      total_claim_amount = EXCLUDED.total_claim_amount,
+      income_below_claim = EXCLUDED.income_below_claim,
+      additional_tax = EXCLUDED.additional_tax,
+      prescribed_zone_deduction = EXCLUDED.prescribed_zone_deduction,
+      document_id = COALESCE(EXCLUDED.document_id, employee_td1.document_id),
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *`,
+    [employeeId, year, jurisdiction, declaration.total_claim_amount, declaration.income_below_claim || false,
+     jurisdiction === FEDERAL ? declaration.additional_tax || 0 : 0,
+     jurisdiction === FEDERAL ? declaration.prescribed_zone_deduction || 0 : 0,
+     declaration.document_id || null]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  FEDERAL,
+  td1Validators,
+  fetchTd1Claims,
+  saveTd1
+};
@@ -0,0 +1,240 @@
+// Vacation accrual ledger, posted when payroll entries are finalized
+const { roundCurrency } = require('./payrollCalculator');
+const { toISODate, addDays } = require('./payCalendar');
+const { operationalError } = require('./operationalError');
+
+// Vacation pay as a share of vacationable earnings, by completed years of service
+const VACATION_PAY_RATES = [
+  { minYears: 0, rate: 0.04 },
+  { minYears: 5, rate: 0.06 }
+];
+
+const completedYearsOfService = (startDate, asOfDate) => {
+  const [startYear, startMonth, startDay] = toISODate(startDate).split('-').map(Number);
+  const [year, month, day] = toISODate(asOfDate).split('-').map(Number);
+  const beforeAnniversary = month < startMonth || (month === startMonth && day < startDay);
+  return Math.max(0, year - startYear - (beforeAnniversary ? 1 : 0));
+};
+
+const vacationPayRate = (startDate, asOfDate) => {
+  const years = completedYearsOfService(startDate, asOfDate);
+  return VACATION_PAY_RATES.filter(tier => years >= tier.minYears).pop().rate;
+};
+
+// Start date that counts all of a rehired employee's service: the current period's start date, moved back by
+// the days of each earlier employment period (from its start to the last day worked)
+const fetchServiceStartDate = async (db, employee) => {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(last_day_worked - employment_start_date + 1), 0) AS days FROM employee_offboarding
+     WHERE employee_id = $1 AND rehire_date IS NOT NULL AND employment_start_date IS NOT NULL`,
+    [employee.employee_id]
+  );
+  return addDays(toISODate(employee.start_date), -parseInt(result.rows[0].days));
+};
+
+// Lock the employee row so ledger entries are appended one at a time, then read the running balances
+const lockVacationBalance = async (client, employeeId) => {
+  await client.query('SELECT employee_id FROM employees WHERE employee_id = $1 FOR UPDATE', [employeeId]);
+  return fetchVacationBalance(client, employeeId);
+};
+
+const fetchVacationBalance = async (db, employeeId) => {
+  const result = await db.query(
+    `SELECT balance, amount_balance FROM vacation_accrual
+     WHERE employee_id = $1 ORDER BY accrual_id DESC LIMIT 1`,
+    [employeeId]
+  );
+  if (result.rows.length === 0) {
+    return { hours: 0, amount: 0 };
+  }
+  return { hours: parseFloat(result.rows[0].balance), amount: parseFloat(result.rows[0].amount_balance) };
+};
+
+const insertLedgerEntry = async (client, entry) => {
+  const result = await client.query(
+    `INSERT INTO vacation_accrual (
+      employee_id, payroll_id, entry_type, accrual_date, hours_accrued, hours_used, balance,
+      vacationable_earnings, accrual_rate, amount_accrued, amount_used, amount_balance, note
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+    [entry.employee_id, entry.payroll_id || null, entry.entry_type, entry.accrual_date,
+     entry.hours_accrued || 0, entry.hours_used || 0, entry.balance,
+     entry.vacationable_earnings != null ? entry.vacationable_earnings : null,
+     entry.accrual_rate != null ? entry.accrual_rate : null,
+     entry.amount_accrued || 0, entry.amount_used || 0, entry.amount_balance, entry.note || null]
+  );
+  return result.rows[0];
+};
+
+// Hours used to turn an annual salary into an hourly rate for paying out vacation hours
+const STANDARD_ANNUAL_HOURS = 2080;
+
+const vacationHourlyRate = (employee) => {
+  const rate = parseFloat(employee.pay_rate);
+  return employee.pay_type === 'HOURLY' ? rate : rate / STANDARD_ANNUAL_HOURS;
+};
+
+// Post accruals for finalized payroll entries. Must run inside the finalizing transaction.
+// PERCENT employees accrue vacation pay on gross earnings; HOURS employees accrue a fixed number of hours.
+// Vacation payouts are not vacationable earnings, and retro pay adjustments accrue no hours of their own.
+const accrueVacationForEntries = async (client, entries) => {
+  const accruals = [];
+  for (const entry of entries.filter(entry => entry.entry_type !== 'VACATION_PAYOUT')) {
+    const employeeResult = await client.query('SELECT * FROM employees WHERE employee_id = $1', [entry.employee_id]);
+    const employee = employeeResult.rows[0];
+    if (entry.entry_type === 'RETRO_PAY' && employee.vacation_accrual_method === 'HOURS') {
+      continue;
+    }
+    const balance = await lockVacationBalance(client, employee.employee_id);
+
+    const accrual = {
+      employee_id: employee.employee_id,
+      payroll_id: entry.payroll_id,
+      entry_type: 'ACCRUAL',
+      accrual_date: entry.payment_date,
+      vacationable_earnings: entry.gross_pay
+    };
+
+    if (employee.vacation_accrual_method === 'HOURS') {
+      accrual.hours_accrued = parseFloat(employee.vacation_hours_per_period || 0);
+    } else {
+      accrual.accrual_rate = vacationPayRate(await fetchServiceStartDate(client, employee), entry.pay_period_end);
+      accrual.amount_accrued = roundCurrency(parseFloat(entry.gross_pay) * accrual.accrual_rate);
+    }
+    accrual.balance = roundCurrency(balance.hours + (accrual.hours_accrued || 0));
+    accrual.amount_balance = roundCurrency(balance.amount + (accrual.amount_accrued || 0));
+
+    accruals.push(await insertLedgerEntry(client, accrual));
+  }
+  return accruals;
+};
+
+// Record vacation taken, in hours and/or vacation pay. Must run inside a transaction.
+const recordVacationUsage = async (client, employeeId, { usage_date, hours = 0, amount = 0, note }) => {
+  const balance = await lockVacationBalance(client, employeeId);
+  const hoursUsed = parseFloat(hours);
+  const amountUsed = parseFloat(amount);
+
+  if (hoursUsed > balance.hours + 0.005 || amountUsed > balance.amount + 0.005) {
+    throw operationalError('Vacation usage exceeds the available balance');
+  }
+
+  return insertLedgerEntry(client, {
+    employee_id: employeeId,
+    entry_type: 'USAGE',
+    accrual_date: usage_date,
+    hours_used: hoursUsed,
+    amount_used: amountUsed,
+    balance: roundCurrency(balance.hours - hoursUsed),
+    amount_balance: roundCurrency(balance.amount - amountUsed),
+    note
+  });
+};
+
+// Balance earned by payoutDate: ledger rows dated on or before it, plus those posted by entries for pay periods
+// starting on or before it (a final period paid after the last day worked). Rows of a later employment are left out.
+const fetchVacationBalanceAsOf = async (db, employeeId, payoutDate) => {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(va.hours_accrued - va.hours_used), 0) AS hours,
+            COALESCE(SUM(va.amount_accrued - va.amount_used), 0) AS amount
+     FROM vacation_accrual va
+     LEFT JOIN payroll_entries pe ON va.payroll_id = pe.payroll_id
+     WHERE va.employee_id = $1 AND (va.accrual_date <= $2 OR pe.pay_period_start <= $2)`,
+    [employeeId, payoutDate]
+  );
+  return { hours: parseFloat(result.rows[0].hours), amount: parseFloat(result.rows[0].amount) };
+};
+
+// Value in dollars of the balance to pay out on payoutDate: the balance as of that date, capped at the running
+// balance. remaining is what is left once it is paid out. Locks the ledger like lockVacationBalance.
+const lockVacationPayout = async (client, employee, payoutDate) => {
+  const balance = await lockVacationBalance(client, employee.employee_id);
+  const earned = await fetchVacationBalanceAsOf(client, employee.employee_id, payoutDate);
+  const hours = roundCurrency(Math.min(balance.hours, earned.hours));
+  const amount = roundCurrency(Math.min(balance.amount, earned.amount));
+  return {
+    hours,
+    amount,
+    payout: roundCurrency(amount + hours * vacationHourlyRate(employee)),
+    remaining: { hours: roundCurrency(balance.hours - hours), amount: roundCurrency(balance.amount - amount) }
+  };
+};
+
+// Take the paid-out balance (as returned by lockVacationPayout) off the ledger against the payroll entry that pays it
+const recordVacationPayout = async (client, employeeId, payrollId, payoutDate, balance) => {
+  return insertLedgerEntry(client, {
+    employee_id: employeeId,
+    payroll_id: payrollId,
+    entry_type: 'PAYOUT',
+    accrual_date: payoutDate,
+    hours_used: balance.hours,
+    amount_used: balance.amount,
+    balance: balance.remaining.hours,
+    amount_balance: balance.remaining.amount,
+    note: 'Paid out on offboarding'
+  });
+};
+
+// Take an unpaid balance left from an earlier employment off the ledger, so a new employment starts from zero.
+// Returns null when there is no balance. Must run inside a transaction.
+const closeOutVacationBalance = async (client, employeeId, closeDate, note) => {
+  const balance = await lockVacationBalance(client, employeeId);
+  if (balance.hours === 0 && balance.amount === 0) {
+    return null;
+  }
+
+  return insertLedgerEntry(client, {
+    employee_id: employeeId,
+    entry_type: 'CLOSE_OUT',
+    accrual_date: closeDate,
+    hours_used: balance.hours,
+    amount_used: balance.amount,
+    balance: 0,
+    amount_balance: 0,
+    note
+  });
+};
+
+// Undo the ledger entry a reversed payroll entry posted (its accrual, or the balance it paid out), dated
+// with the reversal. Must run inside a transaction.
+const reverseLedgerEntry = async (client, original, reversal) => {
+  const posted = await client.query('SELECT * FROM vacation_accrual WHERE payroll_id = $1', [original.payroll_id]);
+  if (posted.rows.length === 0) {
+    return null;
+  }
+  const ledgerEntry = posted.rows[0];
+  const balance = await lockVacationBalance(client, original.employee_id);
+  const hoursAccrued = -parseFloat(ledgerEntry.hours_accrued || 0);
+  const hoursUsed = -parseFloat(ledgerEntry.hours_used || 0);
+  const amountAccrued = -parseFloat(ledgerEntry.amount_accrued || 0);
+  const amountUsed = -parseFloat(ledgerEntry.amount_used || 0);
+
+  return insertLedgerEntry(client, {
+    employee_id: original.employee_id,
+    payroll_id: reversal.payroll_id,
+    entry_type: ledgerEntry.entry_type,
+    accrual_date: reversal.payment_date,
+    hours_accrued: hoursAccrued,
+    hours_used: hoursUsed,
+    balance: roundCurrency(balance.hours + hoursAccrued - hoursUsed),
+    vacationable_earnings: ledgerEntry.vacationable_earnings != null ? -parseFloat(ledgerEntry.vacationable_earnings) : null,
+    accrual_rate: ledgerEntry.accrual_rate,
+    amount_accrued: amountAccrued,
+    amount_used: amountUsed,
+    amount_balance: roundCurrency(balance.amount + amountAccrued - amountUsed),
+    note: `Reversal of payroll entry ${original.payroll_id}`
+  });
+};
+
+module.exports = {
+  VACATION_PAY_RATES,
+  STANDARD_ANNUAL_HOURS,
+  vacationPayRate,
+  fetchServiceStartDate,
+  fetchVacationBalance,
+  accrueVacationForEntries,
+  recordVacationUsage,
+  lockVacationPayout,
+  recordVacationPayout,
+  closeOutVacationBalance,
+  reverseLedgerEntry
+};
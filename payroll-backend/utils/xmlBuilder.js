@@ -0,0 +1,29 @@
+// Minimal XML serialization for government filing formats
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Render an element. content is text, an array of rendered child elements, or null/undefined to omit the element.
+const element = (name, content, attributes = {}) => {
+  if (content === null || content === undefined) {
+    return '';
+  }
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  const body = Array.isArray(content) ? content.filter(Boolean).join('') : escapeXml(content);
+  return `<${name}${attrs}>${body}</${name}>`;
+};
+
+const xmlDocument = (root) => `<?xml version="1.0" encoding="UTF-8"?>\n${root}\n`;
+
+module.exports = {
+  escapeXml,
+  element,
+  xmlDocument
+};
@@ -0,0 +1,199 @@
+// Year-end T4 slips and T4 Summary from payroll entries paid in a calendar year
+const { roundCurrency } = require('./payrollCalculator');
+const { statutoryLimitsFor } = require('./statutoryParameters');
+const { element, xmlDocument } = require('./xmlBuilder');
+const { operationalError } = require('./operationalError');
+
+// Transmitter number for employers filing their own return
+const DEFAULT_TRANSMITTER_NUMBER = 'MM555555';
+
+const sumLines = (lines, types, field = 'amount') => roundCurrency(
+  lines.filter(line => types.includes(line.deduction_type)).reduce((sum, line) => sum + parseFloat(line[field]), 0)
+);
+
+// Build T4 slips and the T4 Summary for a company and tax year
+const buildT4Return = async (db, companyId, year) => {
+  const companyResult = await db.query('SELECT * FROM companies WHERE company_id = $1', [companyId]);
+  if (companyResult.rows.length === 0) {
+    throw operationalError('Company not found', 404);
+  }
+  const company = companyResult.rows[0];
+  const limits = statutoryLimitsFor(year);
+
+  const yearStart = `${year}-01-01`;
+  const nextYearStart = `${year + 1}-01-01`;
+
+  // An employee who worked in more than one province gets a slip for each; entries recorded before
+  // entries carried a province count towards the employee's current one
+  const entryProvince = 'COALESCE(pe.province_of_employment, e.province_of_employment)';
+  const earnings = await db.query(
+    `SELECT e.employee_id, e.first_name, e.last_name, e.sin, e.full_address,
+       ${entryProvince} AS province_of_employment, SUM(pe.gross_pay) AS employment_income
+     FROM payroll_entries pe
+     JOIN employees e ON pe.employee_id = e.employee_id
+     WHERE e.company_id = $1 AND pe.status = 'FINALIZED' AND pe.payment_date >= $2 AND pe.payment_date < $3
+     GROUP BY e.employee_id, ${entryProvince}
+     ORDER BY e.last_name, e.first_name, province_of_employment`,
+    [companyId, yearStart, nextYearStart]
+  );
+
+  const lines = await db.query(
+    `SELECT pe.employee_id, ${entryProvince} AS province_of_employment, dl.deduction_type,
+       SUM(dl.amount) AS amount, SUM(dl.employer_amount) AS employer_amount
+     FROM payroll_deduction_lines dl
+     JOIN payroll_entries pe ON dl.payroll_id = pe.payroll_id
+     JOIN employees e ON pe.employee_id = e.employee_id
+     WHERE e.company_id = $1 AND pe.status = 'FINALIZED' AND pe.payment_date >= $2 AND pe.payment_date < $3
+     GROUP BY pe.employee_id, ${entryProvince}, dl.deduction_type`,
+    [companyId, yearStart, nextYearStart]
+  );
+
+  const slips = earnings.rows.map(employee => {
+    const employeeLines = lines.rows.filter(line =>
+      line.employee_id === employee.employee_id && line.province_of_employment === employee.province_of_employment);
+    const employmentIncome = roundCurrency(parseFloat(employee.employment_income));
+    return {
+      employee_id: employee.employee_id,
+      first_name: employee.first_name,
+      last_name: employee.last_name,
+      sin: employee.sin,
+      address: employee.full_address,
+      province_of_employment: employee.province_of_employment,
+      box_14_employment_income: employmentIncome,
+      box_16_cpp_contributions: sumLines(employeeLines, ['CPP']),
+      box_16a_cpp2_contributions: sumLines(employeeLines, ['CPP2']),
+      box_18_ei_premiums: sumLines(employeeLines, ['EI']),
+      box_22_income_tax_deducted: sumLines(employeeLines, ['FEDERAL_TAX', 'PROVINCIAL_TAX']),
+      box_24_ei_insurable_earnings: roundCurrency(Math.min(employmentIncome, limits.ei.maxInsurableEarnings)),
+      // Pensionable earnings run up to the YAMPE once CPP2 applies
+      box_26_cpp_pensionable_earnings: roundCurrency(Math.min(employmentIncome, limits.cpp.yampe || limits.cpp.ympe)),
+      box_44_union_dues: sumLines(employeeLines, ['UNION_DUES']),
+      employer_cpp_contributions: sumLines(employeeLines, ['CPP', 'CPP2'], 'employer_amount'),
+      employer_ei_premiums: sumLines(employeeLines, ['EI'], 'employer_amount')
+    };
+  });
+
+  const total = (field) => roundCurrency(slips.reduce((sum, slip) => sum + slip[field], 0));
+  const summary = {
+    box_88_slip_count: slips.length,
+    box_14_employment_income: total('box_14_employment_income'),
+    box_16_cpp_contributions: total('box_16_cpp_contributions'),
+    box_16a_cpp2_contributions: total('box_16a_cpp2_contributions'),
+    box_18_ei_premiums: total('box_18_ei_premiums'),
+    box_19_employer_ei_premiums: total('employer_ei_premiums'),
+    box_22_income_tax_deducted: total('box_22_income_tax_deducted'),
+    box_27_employer_cpp_contributions: total('employer_cpp_contributions')
+  };
+  summary.box_80_total_deductions = roundCurrency(
+    summary.box_16_cpp_contributions + summary.box_16a_cpp2_contributions + summary.box_27_employer_cpp_contributions +
+    summary.box_18_ei_premiums + summary.box_19_employer_ei_premiums + summary.box_22_income_tax_deducted
+  );
+
+  return {
+    year,
+    employer: {
+      company_id: company.company_id,
+      name: company.company_name,
+      business_number: company.business_number,
+      address: company.address,
+      contact_person: company.contact_person,
+      phone: company.phone,
+      email: company.email
+    },
+    slips,
+    summary
+  };
+};
+
+const formatAmount = (amount) => amount.toFixed(2);
+
+// Amount elements are omitted when zero
+const amountElement = (name, amount) => (amount ? element(name, formatAmount(amount)) : '');
+
+const addressElements = (address) => {
+  const lines = String(address || '').split(/\n|,\s*/).map(line => line.trim().slice(0, 30)).filter(Boolean);
+  return [element('addr_l1_txt', lines[0] || null), element('addr_l2_txt', lines[1] || null)];
+};
+
+const contactElement = (employer) => {
+  const digits = String(employer.phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+  return element('CNTC', [
+    element('cntc_nm', employer.contact_person || employer.name),
+    digits.length === 10 ? element('cntc_area_cd', digits.slice(0, 3)) : '',
+    digits.length === 10 ? element('cntc_phn_nbr', `${digits.slice(3, 6)}-${digits.slice(6)}`) : '',
+    element('cntc_email_area', employer.email || null)
+  ]);
+};
+
+const slipElement = (slip, employer) => element('T4Slip', [
+  element('EMPE_NM', [element('snm', slip.last_name), element('gvn_nm', slip.first_name)]),
+  element('EMPE_ADDR', addressElements(slip.address)),
+  element('sin', slip.sin),
+  element('empe_nbr', slip.employee_id),
+  element('bn', employer.business_number),
+  element('empt_prov_cd', slip.province_of_employment),
+  element('rpt_tcd', 'O'),
+  element('T4_AMT', [
+    amountElement('empt_incamt', slip.box_14_employment_income),
+    amountElement('cpp_cntrb_amt', slip.box_16_cpp_contributions),
+    amountElement('cppe_cntrb_amt', slip.box_16a_cpp2_contributions),
+    amountElement('empe_eip_amt', slip.box_18_ei_premiums),
+    amountElement('itx_ddct_amt', slip.box_22_income_tax_deducted),
+    amountElement('ei_insu_ern_amt', slip.box_24_ei_insurable_earnings),
+    amountElement('cpp_qpp_ern_amt', slip.box_26_cpp_pensionable_earnings),
+    amountElement('unn_dues_amt', slip.box_44_union_dues)
+  ])
+]);
+
+const summaryElement = (t4Return) => element('T4Summary', [
+  element('bn', t4Return.employer.business_number),
+  element('EMPR_NM', [element('l1_nm', t4Return.employer.name)]),
+  element('EMPR_ADDR', addressElements(t4Return.employer.address)),
+  contactElement(t4Return.employer),
+  element('tx_yr', t4Return.year),
+  element('slp_cnt', t4Return.summary.box_88_slip_count),
+  element('rpt_tcd', 'O'),
+  element('T4_TAMT', [
+    amountElement('tot_empt_incamt', t4Return.summary.box_14_employment_income),
+    amountElement('tot_empe_cpp_amt', t4Return.summary.box_16_cpp_contributions),
+    amountElement('tot_empe_cppe_amt', t4Return.summary.box_16a_cpp2_contributions),
+    amountElement('tot_empe_eip_amt', t4Return.summary.box_18_ei_premiums),
+    amountElement('tot_itx_ddct_amt', t4Return.summary.box_22_income_tax_deducted),
+    amountElement('tot_empr_cpp_amt', t4Return.summary.box_27_employer_cpp_contributions),
+    amountElement('tot_empr_eip_amt', t4Return.summary.box_19_employer_ei_premiums)
+  ])
+]);
+
+// CRA Internet File Transfer (XML) submission with the T619 transmittal record
+const t4ReturnToXml = (t4Return) => {
+  const { employer } = t4Return;
+  const submissionReference = `T${String(employer.company_id).padStart(5, '0')}${String(t4Return.year).slice(2)}`;
+
+  return xmlDocument(element('Submission', [
+    element('T619', [
+      element('sbmt_ref_id', submissionReference),
+      element('rpt_tcd', 'O'),
+      element('trnmtr_nbr', process.env.CRA_TRANSMITTER_NUMBER || DEFAULT_TRANSMITTER_NUMBER),
+      element('trnmtr_tcd', '1'),
+      element('summ_cnt', '1'),
+      element('lang_cd', 'E'),
+      element('TRNMTR_NM', [element('l1_nm', employer.name)]),
+      element('TRNMTR_ADDR', addressElements(employer.address)),
+      contactElement(employer)
+    ]),
+    element('Return', [
+      element('T4', [
+        ...t4Return.slips.map(slip => slipElement(slip, employer)),
+        summaryElement(t4Return)
+      ])
+    ])
+  ], {
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:noNamespaceSchemaLocation': 'layout-topologie.xsd'
+  }));
+};
+
+module.exports = {
+  buildT4Return,
+  t4ReturnToXml
+};
@@ -0,0 +1,94 @@
+// Year-to-date totals for an employee, up to and including a payroll entry or a date
+const { roundCurrency } = require('./payrollCalculator');
+const { toISODate } = require('./payCalendar');
+
+// Entries counted towards an entry's YTD: the entry itself and finalized entries of the same employee and
+// calendar year, paid earlier, or paid the same day and created no later. Aliases: target (the entry), pe (counted entries).
+const YTD_JOIN = `JOIN payroll_entries pe ON pe.employee_id = target.employee_id
+  AND (pe.status = 'FINALIZED' OR pe.payroll_id = target.payroll_id)
+  AND pe.payment_date >= date_trunc('year', target.payment_date)::date
+  AND (pe.payment_date < target.payment_date OR (pe.payment_date = target.payment_date AND pe.payroll_id <= target.payroll_id))`;
+
+const formatYearToDate = (year, row, lines) => ({
+  year,
+  entry_count: row ? row.entry_count : 0,
+  gross_pay: roundCurrency(parseFloat(row ? row.gross_pay : 0)),
+  deductions: roundCurrency(parseFloat(row ? row.deductions : 0)),
+  net_pay: roundCurrency(parseFloat(row ? row.net_pay : 0)),
+  deductions_by_type: lines.reduce((byType, line) => ({
+    ...byType,
+    [line.deduction_type]: roundCurrency(parseFloat(line.amount))
+  }), {})
+});
+
+// YTD figures for each payroll entry, keyed by payroll_id
+const fetchYearToDateByEntry = async (db, payrollIds) => {
+  if (payrollIds.length === 0) return {};
+
+  const totals = await db.query(
+    `SELECT target.payroll_id, target.payment_date, COUNT(pe.payroll_id)::int AS entry_count,
+       SUM(pe.gross_pay) AS gross_pay, SUM(pe.deductions) AS deductions, SUM(pe.net_pay) AS net_pay
+     FROM payroll_entries target
+     ${YTD_JOIN}
+     WHERE target.payroll_id = ANY($1)
+     GROUP BY target.payroll_id, target.payment_date`,
+    [payrollIds]
+  );
+
+  const lines = await db.query(
+    `SELECT target.payroll_id, dl.deduction_type, SUM(dl.amount) AS amount
+     FROM payroll_entries target
+     ${YTD_JOIN}
+     JOIN payroll_deduction_lines dl ON dl.payroll_id = pe.payroll_id
+     WHERE target.payroll_id = ANY($1)
+     GROUP BY target.payroll_id, dl.deduction_type
+     ORDER BY dl.deduction_type`,
+    [payrollIds]
+  );
+
+  return totals.rows.reduce((byPayroll, row) => ({
+    ...byPayroll,
+    [row.payroll_id]: formatYearToDate(
+      parseInt(toISODate(row.payment_date).slice(0, 4)),
+      row,
+      lines.rows.filter(line => line.payroll_id === row.payroll_id)
+    )
+  }), {});
+};
+
+// YTD figures for a single entry
+const fetchYearToDate = async (db, payrollId) => (await fetchYearToDateByEntry(db, [payrollId]))[payrollId];
+
+// YTD figures for an employee's finalized entries from January 1 up to and including a date
+const fetchEmployeeYearToDate = async (db, employeeId, asOfDate) => {
+  const asOf = toISODate(asOfDate);
+  const yearStart = `${asOf.slice(0, 4)}-01-01`;
+
+  const totals = await db.query(
+    `SELECT COUNT(*)::int AS entry_count,
+       COALESCE(SUM(gross_pay), 0) AS gross_pay,
+       COALESCE(SUM(deductions), 0) AS deductions,
+       COALESCE(SUM(net_pay), 0) AS net_pay
+     FROM payroll_entries
+     WHERE employee_id = $1 AND status = 'FINALIZED' AND payment_date BETWEEN $2 AND $3`,
+    [employeeId, yearStart, asOf]
+  );
+
+  const lines = await db.query(
+    `SELECT dl.deduction_type, SUM(dl.amount) AS amount
+     FROM payroll_deduction_lines dl
+     JOIN payroll_entries pe ON dl.payroll_id = pe.payroll_id
+     WHERE pe.employee_id = $1 AND pe.status = 'FINALIZED' AND pe.payment_date BETWEEN $2 AND $3
+     GROUP BY dl.deduction_type
+     ORDER BY dl.deduction_type`,
+    [employeeId, yearStart, asOf]
+  );
+
+  return formatYearToDate(parseInt(asOf.slice(0, 4)), totals.rows[0], lines.rows);
+};
+
+module.exports = {
+  fetchYearToDate,
+  fetchYearToDateByEntry,
+  fetchEmployeeYearToDate
+};